@@ -0,0 +1,149 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { DATA_DIR, writeJsonAtomic } from "./store.js";
+import { clamp, httpError, safeNum } from "./util.js";
+
+/* ============================
+   Audience registry
+============================ */
+// Built-in audiences come from config/audiences.json (or AUDIENCES_FILE); custom
+// ones added through the API live in DATA_DIR/audiences.json. Each audience
+// carries its own tone, length and focus, and names the template narrative
+// (clinical/operations/financial/executive) used when the model is unavailable.
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const CONFIG_FILE = process.env.AUDIENCES_FILE
+  ? path.resolve(process.env.AUDIENCES_FILE)
+  : path.join(ROOT, "config", "audiences.json");
+const CUSTOM_FILE = path.join(DATA_DIR, "audiences.json");
+
+export const TEMPLATE_KEYS = ["clinical", "operations", "financial", "executive"];
+
+const KEY_RE = /^[a-z][a-z0-9_]{1,31}$/;
+
+function readListSync(file) {
+  try {
+    const json = JSON.parse(fs.readFileSync(file, "utf8"));
+    return Array.isArray(json?.audiences) ? json.audiences : [];
+  } catch (err) {
+    if (err.code === "ENOENT") return [];
+    throw new Error(`Could not read audiences from ${file}: ${err.message}`);
+  }
+}
+
+const text = (v, max) => String(v ?? "").trim().slice(0, max);
+
+// Validates and fills defaults; throws a 400 for anything unusable.
+function normalizeAudience(raw, { builtin = false } = {}) {
+  const key = String(raw?.key || "").trim();
+  if (!KEY_RE.test(key)) {
+    throw httpError(400, `Invalid audience key "${key}". Use 2–32 lowercase letters, digits or underscores.`);
+  }
+  const title = text(raw.title, 60);
+  if (!title) throw httpError(400, `Audience "${key}" needs a title.`);
+
+  const template = TEMPLATE_KEYS.includes(raw.template) ? raw.template : "executive";
+  const min = clamp(Math.round(safeNum(raw.words?.min, 250)), 50, 1500);
+  const max = clamp(Math.round(safeNum(raw.words?.max, 450)), min, 1500);
+
+  return {
+    key,
+    title,
+    subtitle: text(raw.subtitle, 80),
+    tile: text(raw.tile ?? raw.subtitle, 120),
+    icon: text(raw.icon, 8) || "📝",
+    default: Boolean(raw.default),
+    builtin,
+    template,
+    words: { min, max },
+    tone: text(raw.tone, 600),
+    focus: text(raw.focus, 1200)
+  };
+}
+
+function loadBuiltins() {
+  const out = new Map();
+  for (const raw of readListSync(CONFIG_FILE)) {
+    const a = normalizeAudience(raw, { builtin: true });
+    out.set(a.key, a);
+  }
+  if (!out.size) throw new Error(`No audiences configured in ${CONFIG_FILE}.`);
+  return out;
+}
+
+const builtins = loadBuiltins();
+const custom = new Map();
+for (const raw of readListSync(CUSTOM_FILE)) {
+  try {
+    const a = normalizeAudience(raw);
+    if (!builtins.has(a.key)) custom.set(a.key, a);
+  } catch (err) {
+    console.warn(`Skipping custom audience: ${err.message}`);
+  }
+}
+
+/* ---------- Lookup ---------- */
+export function listAudiences() {
+  return [...builtins.values(), ...custom.values()];
+}
+
+export function getAudience(key) {
+  return builtins.get(key) || custom.get(key) || null;
+}
+
+// Requested keys → registry entries (deduplicated, in request order); unknown keys are a 400.
+export function resolveAudiences(keys) {
+  const unique = [...new Set((keys || []).map((k) => String(k)))];
+  const unknown = unique.filter((k) => !getAudience(k));
+  if (unknown.length) throw httpError(400, `Unknown audience(s): ${unknown.join(", ")}.`, { unknown });
+  return unique.map(getAudience);
+}
+
+/* ---------- Custom audiences ---------- */
+let writeChain = Promise.resolve();
+function persist() {
+  const snapshot = { audiences: [...custom.values()].map(({ builtin, ...a }) => a) };
+  const next = writeChain.then(() => writeJsonAtomic(CUSTOM_FILE, snapshot));
+  writeChain = next.catch(() => {});
+  return next;
+}
+
+export async function saveAudience(key, input) {
+  if (builtins.has(key)) throw httpError(409, `"${key}" is a built-in audience; change it in the config file.`);
+  const audience = normalizeAudience({ ...input, key });
+  custom.set(audience.key, audience);
+  await persist();
+  return audience;
+}
+
+export async function deleteAudience(key) {
+  if (builtins.has(key)) throw httpError(409, `"${key}" is a built-in audience and cannot be deleted.`);
+  if (!custom.delete(key)) throw httpError(404, `Audience "${key}" not found.`);
+  await persist();
+}
+
+/* ---------- Prompt + schema ---------- */
+export function describeAudiences(audiences) {
+  return audiences
+    .map((a) =>
+      [
+        `- ${a.key} — ${a.title}${a.subtitle ? ` (${a.subtitle})` : ""}:`,
+        `  Length: ${a.words.min}–${a.words.max} words.`,
+        a.tone ? `  Tone: ${a.tone}` : null,
+        a.focus ? `  Focus: ${a.focus}` : null
+      ]
+        .filter(Boolean)
+        .join("\n")
+    )
+    .join("\n");
+}
+
+export function narrativesSchema(audiences) {
+  return {
+    type: "object",
+    additionalProperties: false,
+    properties: Object.fromEntries(audiences.map((a) => [a.key, { type: "string" }])),
+    required: audiences.map((a) => a.key)
+  };
+}
@@ -0,0 +1,333 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { csvCell } from "./csv.js";
+import { DATA_DIR } from "./store.js";
+import { httpError } from "./util.js";
+
+/* ============================
+   Generation audit log
+============================ */
+// Append-only JSON Lines in DATA_DIR/audit.jsonl: one entry per generated report,
+// written once and never rewritten. Entries are hash-chained (each hash covers the
+// previous one), so an edited or deleted line shows up in verifyAuditLog().
+
+const AUDIT_FILE = path.join(DATA_DIR, "audit.jsonl");
+const GENESIS = "0".repeat(64);
+const UNREADABLE = "line is not valid JSON";
+
+export const AUDIT_FORMATS = ["jsonl", "csv"];
+
+const sha256 = (s) => crypto.createHash("sha256").update(s).digest("hex");
+
+// Keys sorted at every level, so the same data always hashes the same.
+function canonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(",")}]`;
+  if (value && typeof value === "object") {
+    const keys = Object.keys(value).filter((k) => value[k] !== undefined).sort();
+    return `{${keys.map((k) => `${JSON.stringify(k)}:${canonicalJson(value[k])}`).join(",")}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+export const hashJson = (value) => sha256(canonicalJson(value));
+
+const entryHash = ({ hash, ...entry }) => sha256(canonicalJson(entry));
+
+// Lines with their byte offsets, so single entries can be read back directly.
+async function* readLines() {
+  const input = fs.createReadStream(AUDIT_FILE);
+  try {
+    await new Promise((resolve, reject) => input.once("open", resolve).once("error", reject));
+  } catch (err) {
+    if (err.code === "ENOENT") return;
+    throw err;
+  }
+  let pending = Buffer.alloc(0);
+  let offset = 0; // file offset of pending[0]
+  for await (const chunk of input) {
+    const buf = pending.length ? Buffer.concat([pending, chunk]) : chunk;
+    let start = 0;
+    for (let i = buf.indexOf(10); i !== -1; i = buf.indexOf(10, start)) {
+      yield { text: buf.toString("utf8", start, i), offset: offset + start, length: i - start };
+      start = i + 1;
+    }
+    offset += start;
+    pending = buf.subarray(start);
+  }
+  if (pending.length) yield { text: pending.toString("utf8"), offset, length: pending.length };
+}
+
+async function* readEntries() {
+  let line = 0;
+  for await (const { text, offset, length } of readLines()) {
+    line++;
+    if (!text.trim()) continue;
+    let entry;
+    try {
+      entry = JSON.parse(text);
+    } catch {
+      // A torn or hand-edited line still counts: verification, listing and export all report it.
+      entry = { unreadable: true, line, text };
+    }
+    yield Object.defineProperty(entry, "location", { value: { offset, length } });
+  }
+}
+
+/* ---------- Index ---------- */
+// The log is scanned once per process for the chain head, the file size and a
+// runId → { offset, length } index; after that, appends keep all three current
+// and a provenance lookup reads one line.
+let index = null;
+
+function loadIndex() {
+  index ||= (async () => {
+    let last = null;
+    const byRun = new Map();
+    for await (const e of readEntries()) {
+      if (e.unreadable) continue;
+      last = e;
+      if (e.runId) byRun.set(e.runId, e.location);
+    }
+    const size = (await fs.promises.stat(AUDIT_FILE).catch(() => null))?.size || 0;
+    // A torn last line (crash mid-write) must not swallow the next entry.
+    const torn = size > 0 && (await tailByte()) !== 10;
+    return { seq: last?.seq || 0, hash: last?.hash || GENESIS, size, torn, byRun };
+  })();
+  // A failed scan is retried on the next call.
+  index.catch(() => (index = null));
+  return index;
+}
+
+async function tailByte() {
+  const file = await fs.promises.open(AUDIT_FILE, "r");
+  try {
+    const buf = Buffer.alloc(1);
+    const { size } = await file.stat();
+    await file.read(buf, 0, 1, size - 1);
+    return buf[0];
+  } finally {
+    await file.close();
+  }
+}
+
+async function readAt({ offset, length }) {
+  const file = await fs.promises.open(AUDIT_FILE, "r");
+  try {
+    const buf = Buffer.alloc(length);
+    await file.read(buf, 0, length, offset);
+    return JSON.parse(buf.toString("utf8"));
+  } catch {
+    return null;
+  } finally {
+    await file.close();
+  }
+}
+
+/* ---------- Append ---------- */
+// Writes are serialized behind the index scan.
+let writeChain = Promise.resolve();
+
+function append(entry) {
+  const next = writeChain.then(async () => {
+    const head = await loadIndex();
+    const record = { seq: head.seq + 1, ...entry, prevHash: head.hash };
+    record.hash = entryHash(record);
+    const json = JSON.stringify(record);
+    const lead = head.torn ? "\n" : "";
+    await fs.promises.mkdir(path.dirname(AUDIT_FILE), { recursive: true });
+    try {
+      await fs.promises.appendFile(AUDIT_FILE, lead + json + "\n");
+    } catch (err) {
+      // Part of the line may have landed; rescan before the next append.
+      index = null;
+      throw err;
+    }
+    const location = { offset: head.size + lead.length, length: Buffer.byteLength(json) };
+    if (record.runId) head.byRun.set(record.runId, location);
+    Object.assign(head, { seq: record.seq, hash: record.hash, size: location.offset + location.length + 1, torn: false });
+    return record;
+  });
+  writeChain = next.catch(() => {});
+  return next;
+}
+
+/**
+ * Records one generation. job: the prepared translation (payload, prompt, request,
+ * raw model outputs); result: what finishTranslation returned; run: the saved run's
+ * { id, version } or null. Returns { id, seq, at, hash }.
+ */
+export async function recordGeneration(job, result, run) {
+  const payload = job.payload || {};
+  const telemetrySummary = payload.telemetrySummary || null;
+  const record = await append({
+    id: crypto.randomUUID(),
+    at: new Date().toISOString(),
+    event: "generation",
+    workspace: job.workspace || "default",
+    user: job.createdBy || null,
+    batchId: job.batchId || null,
+    runId: run?.id || null,
+    runVersion: run?.version || null,
+    customerName: job.customerName,
+    inputHash: hashJson(payload),
+    // What the model was actually sent: the rendered system + user prompt, and its hash.
+    request: { system: job.request.system, user: job.request.user },
+    requestHash: hashJson({ system: job.request.system, user: job.request.user }),
+    assumptions: result.financials?.assumptionsUsed || null,
+    valueInputs: result.financials?.valueInputs || null,
+    lineItemSources: result.financials?.lineItemSources || null,
+    telemetrySummary,
+    mapping: payload.epicMapping || telemetrySummary?.mapping_used || null,
+    provider: result.provider,
+    model: result.model,
+    prompt: result.prompt,
+    locale: result.locale ? { locale: result.locale.locale, currency: result.locale.currency } : null,
+    // As returned by the provider: parsed JSON for single calls, raw text when streamed.
+    rawOutputs: job.rawOutputs || [],
+    output: result.output,
+    source: result.source,
+    templateFields: result.templateFields,
+    fallbackReason: result.fallbackReason,
+    claimCheck: result.claimCheck
+  });
+  return { id: record.id, seq: record.seq, at: record.at, hash: record.hash };
+}
+
+/* ---------- Read ---------- */
+/** The audit entry behind a saved run, with its own hash rechecked, or null. */
+export async function findProvenance(runId) {
+  if (!runId) return null;
+  const location = (await loadIndex()).byRun.get(runId);
+  if (!location) return null;
+  let entry = await readAt(location);
+  if (entry?.runId !== runId) {
+    // The file changed outside this process (edited or replaced): fall back to a scan and reindex.
+    index = null;
+    entry = null;
+    for await (const e of readEntries()) if (e.runId === runId) entry = e;
+  }
+  return entry && { ...entry, hashValid: entryHash(entry) === entry.hash };
+}
+
+function matches(e, { workspace, user, customer, from, to }) {
+  // Nothing in an unreadable line can rule it out, so every filtered view shows it.
+  if (e.unreadable) return true;
+  if (workspace && e.workspace !== workspace) return false;
+  if (user && e.user?.username !== user) return false;
+  if (customer && !String(e.customerName || "").toLowerCase().includes(String(customer).toLowerCase())) return false;
+  if (from && e.at < from) return false;
+  // A bare date includes that whole day.
+  if (to && e.at > (/^\d{4}-\d\d-\d\d$/.test(to) ? `${to}T23:59:59.999Z` : to)) return false;
+  return true;
+}
+
+function summaryOf(e) {
+  if (e.unreadable) return { unreadable: true, line: e.line, problem: `line ${e.line}: ${UNREADABLE}` };
+  return {
+    seq: e.seq,
+    id: e.id,
+    at: e.at,
+    workspace: e.workspace,
+    user: e.user?.username || null,
+    via: e.user?.via || null,
+    batchId: e.batchId,
+    runId: e.runId,
+    runVersion: e.runVersion,
+    customerName: e.customerName,
+    inputHash: e.inputHash,
+    provider: e.provider,
+    model: e.model,
+    promptVersion: e.prompt?.version || null,
+    promptHash: e.prompt?.hash || null,
+    source: e.source,
+    claimWarnings: e.claimCheck?.warnings?.length || 0,
+    hash: e.hash
+  };
+}
+
+/**
+ * Newest-first entry summaries; filter: { workspace, user, customer, from, to, limit }.
+ * Returns { entries, unreadableLines }: unreadable lines appear in entries as
+ * { unreadable, line, problem } and are all listed by line number, whatever the limit.
+ */
+export async function listAuditEntries(filter = {}) {
+  const limit = Math.min(Math.max(Number(filter.limit) || 200, 1), 1000);
+  const out = [];
+  const unreadableLines = [];
+  for await (const e of readEntries()) {
+    if (!matches(e, filter)) continue;
+    if (e.unreadable) unreadableLines.push(e.line);
+    out.push(summaryOf(e));
+  }
+  return { entries: out.reverse().slice(0, limit), unreadableLines };
+}
+
+/**
+ * Walks the whole chain: every line parses, seq runs 1..n without gaps, each
+ * prevHash is the previous hash and each hash matches its content.
+ * Returns { ok, entries, firstProblem: { seq?, line?, problem } | null }.
+ */
+export async function verifyAuditLog() {
+  let prev = { seq: 0, hash: GENESIS };
+  let entries = 0;
+  for await (const e of readEntries()) {
+    entries++;
+    const fail = (problem) => ({ ok: false, entries, firstProblem: { seq: e.seq ?? null, line: e.line ?? null, problem } });
+    if (e.unreadable) return fail(UNREADABLE);
+    if (e.seq !== prev.seq + 1) return fail(`expected entry ${prev.seq + 1}, found ${e.seq}`);
+    if (e.prevHash !== prev.hash) return fail("chain broken: prevHash does not match the previous entry");
+    if (entryHash(e) !== e.hash) return fail("content does not match its hash (entry was edited)");
+    prev = e;
+  }
+  return { ok: true, entries, firstProblem: null };
+}
+
+/* ---------- Export ---------- */
+const CSV_COLUMNS = [
+  ["seq", "seq"],
+  ["at", "at"],
+  ["workspace", "workspace"],
+  ["user", "user"],
+  ["via", "via"],
+  ["customer", "customerName"],
+  ["run_id", "runId"],
+  ["run_version", "runVersion"],
+  ["batch_id", "batchId"],
+  ["input_hash", "inputHash"],
+  ["provider", "provider"],
+  ["model", "model"],
+  ["prompt_version", "promptVersion"],
+  ["prompt_hash", "promptHash"],
+  ["source", "source"],
+  ["claim_warnings", "claimWarnings"],
+  ["hash", "hash"],
+  ["problem", "problem"]
+];
+
+/**
+ * Compliance export, oldest first. jsonl: the full entries exactly as stored (hashes
+ * verifiable line by line); csv: one summary row per entry. Unreadable lines are kept
+ * in place: in jsonl as { unreadable, line, text } with the raw text, in csv as a
+ * row whose problem column names the line.
+ * Returns { buffer, contentType, filename }.
+ */
+export async function exportAuditLog(format, filter = {}) {
+  if (!AUDIT_FORMATS.includes(format)) throw httpError(400, `Unsupported audit export format "${format}" (use ${AUDIT_FORMATS.join(", ")}).`);
+  const lines = [];
+  if (format === "csv") lines.push(CSV_COLUMNS.map(([h]) => h).join(","));
+  for await (const e of readEntries()) {
+    if (!matches(e, filter)) continue;
+    if (format === "jsonl") lines.push(JSON.stringify(e));
+    else {
+      const s = summaryOf(e);
+      lines.push(CSV_COLUMNS.map(([, k]) => csvCell(s[k])).join(","));
+    }
+  }
+  const stamp = new Date().toISOString().slice(0, 10);
+  return {
+    buffer: Buffer.from(lines.join("\n") + (lines.length ? "\n" : "")),
+    contentType: format === "csv" ? "text/csv; charset=utf-8" : "application/x-ndjson",
+    filename: `audit-log-${filter.workspace || "all"}-${stamp}.${format}`
+  };
+}
@@ -0,0 +1,372 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { promisify } from "util";
+import { DATA_DIR, writeJsonAtomic } from "./store.js";
+import { clamp, httpError, safeNum } from "./util.js";
+
+const scrypt = promisify(crypto.scrypt);
+
+/* ============================
+   Users, API tokens, sessions and workspaces
+============================ */
+// Local users live in DATA_DIR/users.json (scrypt password hashes, SHA-256 hashes
+// of API tokens); workspaces in DATA_DIR/workspaces.json. A workspace groups the
+// accounts a team works on: runs, batches and saved mapping profiles belong to one,
+// and users see only the workspaces they are assigned to (admins see all).
+// Browser sessions are in memory, so a restart signs everyone out.
+
+export const ROLES = ["viewer", "csm", "admin"];
+const ROLE_RANK = Object.fromEntries(ROLES.map((r, i) => [r, i]));
+
+export const DEFAULT_WORKSPACE = "default";
+export const SESSION_COOKIE = "svi_session";
+const SESSION_TTL_MS = clamp(safeNum(process.env.SESSION_TTL_HOURS, 12), 1, 24 * 30) * 3600 * 1000;
+
+const USERS_FILE = path.join(DATA_DIR, "users.json");
+const WORKSPACES_FILE = path.join(DATA_DIR, "workspaces.json");
+
+const USERNAME_RE = /^[a-z0-9][a-z0-9._-]{2,39}$/;
+const KEY_RE = /^[a-z][a-z0-9_-]{1,39}$/;
+const MIN_PASSWORD = 10;
+
+function readSync(file, field) {
+  try {
+    const json = JSON.parse(fs.readFileSync(file, "utf8"));
+    return Array.isArray(json?.[field]) ? json[field] : [];
+  } catch (err) {
+    if (err.code === "ENOENT") return [];
+    throw new Error(`Could not read ${file}: ${err.message}`);
+  }
+}
+
+const users = new Map(readSync(USERS_FILE, "users").map((u) => [u.id, u]));
+const tokens = new Map(readSync(USERS_FILE, "tokens").map((t) => [t.hash, t]));
+const workspaces = new Map(readSync(WORKSPACES_FILE, "workspaces").map((w) => [w.key, w]));
+const sessions = new Map(); // sha256(session token) → { userId, workspace, expiresAt }
+
+// Changes run one at a time: each checks, awaits scrypt and writes without another
+// change landing in between (two setups both creating an admin, say).
+let changeChain = Promise.resolve();
+function serialized(fn) {
+  return (...args) => {
+    const next = changeChain.then(() => fn(...args));
+    changeChain = next.catch(() => {});
+    return next;
+  };
+}
+
+let writeChain = Promise.resolve();
+function persist() {
+  const next = writeChain.then(async () => {
+    await writeJsonAtomic(USERS_FILE, { users: [...users.values()], tokens: [...tokens.values()] });
+    await writeJsonAtomic(WORKSPACES_FILE, { workspaces: [...workspaces.values()] });
+  });
+  writeChain = next.catch(() => {});
+  return next;
+}
+
+const text = (v, max) => String(v ?? "").trim().slice(0, max);
+const sha256 = (s) => crypto.createHash("sha256").update(String(s)).digest("hex");
+const now = () => new Date().toISOString();
+
+if (!workspaces.has(DEFAULT_WORKSPACE)) {
+  workspaces.set(DEFAULT_WORKSPACE, { key: DEFAULT_WORKSPACE, name: "Default", description: "", createdAt: now() });
+}
+
+/* ---------- Passwords ---------- */
+// Stored as scrypt$N$salt$hash (base64); N is kept so the cost can be raised later.
+const SCRYPT_N = 16384;
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(String(password), salt, 64, { N: SCRYPT_N });
+  return `scrypt$${SCRYPT_N}$${salt.toString("base64")}$${hash.toString("base64")}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, n, salt, hash] = String(stored || "").split("$");
+  if (scheme !== "scrypt" || !salt || !hash) return false;
+  const expected = Buffer.from(hash, "base64");
+  const actual = await scrypt(String(password), Buffer.from(salt, "base64"), expected.length, { N: Number(n) });
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+function checkPassword(password) {
+  if (String(password || "").length < MIN_PASSWORD) throw httpError(400, `Passwords need at least ${MIN_PASSWORD} characters.`);
+}
+
+/* ---------- Users ---------- */
+export function publicUser(user) {
+  if (!user) return null;
+  const { password, ...rest } = user;
+  return rest;
+}
+
+export function hasRole(user, role) {
+  return Boolean(user) && ROLE_RANK[user.role] >= ROLE_RANK[role];
+}
+
+const findByUsername = (username) => [...users.values()].find((u) => u.username === String(username || "").trim().toLowerCase());
+
+function normalizeWorkspaceList(list) {
+  const keys = [...new Set([].concat(list ?? []).map((k) => String(k).trim()))];
+  const unknown = keys.filter((k) => !workspaces.has(k));
+  if (unknown.length) throw httpError(400, `Unknown workspace(s): ${unknown.join(", ")}.`);
+  return keys;
+}
+
+export function listUsers() {
+  return [...users.values()].map(publicUser).sort((a, b) => a.username.localeCompare(b.username));
+}
+
+async function addUser(input) {
+  const username = text(input?.username, 40).toLowerCase();
+  if (!USERNAME_RE.test(username)) throw httpError(400, "Usernames are 3–40 lowercase letters, digits, dots, dashes or underscores.");
+  if (findByUsername(username)) throw httpError(409, `User "${username}" already exists.`);
+  const role = input.role || "viewer";
+  if (!ROLES.includes(role)) throw httpError(400, `Role must be one of ${ROLES.join(", ")}.`);
+  checkPassword(input.password);
+
+  const user = {
+    id: crypto.randomUUID(),
+    username,
+    name: text(input.name, 80) || username,
+    role,
+    workspaces: normalizeWorkspaceList(input.workspaces ?? [DEFAULT_WORKSPACE]),
+    password: await hashPassword(input.password),
+    createdAt: now(),
+    updatedAt: now()
+  };
+  users.set(user.id, user);
+  await persist();
+  return publicUser(user);
+}
+
+export const createUser = serialized(addUser);
+
+const admins = () => [...users.values()].filter((u) => u.role === "admin");
+
+export const updateUser = serialized(async (id, input) => {
+  const user = users.get(id);
+  if (!user) throw httpError(404, "User not found.");
+  const next = { ...user };
+  if (input.name != null) next.name = text(input.name, 80) || user.username;
+  if (input.role != null) {
+    if (!ROLES.includes(input.role)) throw httpError(400, `Role must be one of ${ROLES.join(", ")}.`);
+    if (user.role === "admin" && input.role !== "admin" && admins().length === 1) throw httpError(409, "The last admin cannot be demoted.");
+    next.role = input.role;
+  }
+  if (input.workspaces != null) next.workspaces = normalizeWorkspaceList(input.workspaces);
+  if (input.password != null) {
+    checkPassword(input.password);
+    next.password = await hashPassword(input.password);
+    // A new password ends the user's other sessions.
+    for (const [key, s] of sessions) if (s.userId === id) sessions.delete(key);
+  }
+  next.updatedAt = now();
+  users.set(id, next);
+  await persist();
+  return publicUser(next);
+});
+
+export const deleteUser = serialized(async (id) => {
+  const user = users.get(id);
+  if (!user) throw httpError(404, "User not found.");
+  if (user.role === "admin" && admins().length === 1) throw httpError(409, "The last admin cannot be deleted.");
+  users.delete(id);
+  for (const [hash, t] of tokens) if (t.userId === id) tokens.delete(hash);
+  for (const [key, s] of sessions) if (s.userId === id) sessions.delete(key);
+  await persist();
+});
+
+/* ---------- First run ---------- */
+export const needsSetup = () => users.size === 0;
+
+// The first account is always an admin. Also used for ADMIN_USERNAME/ADMIN_PASSWORD at startup.
+export const setupAdmin = serialized(async (input) => {
+  if (!needsSetup()) throw httpError(409, "Setup is already complete; sign in instead.");
+  return addUser({ ...input, role: "admin", workspaces: [DEFAULT_WORKSPACE] });
+});
+
+/* ---------- Sessions ---------- */
+// Repeated failures lock a username briefly; the reply does not say whether it exists.
+const MAX_FAILURES = 5;
+const LOCK_MS = 5 * 60 * 1000;
+// Failures are counted per username over LOCK_MS; the map is pruned so random usernames cannot grow it.
+const MAX_TRACKED = 10_000;
+const failures = new Map(); // username → { count, lockedUntil, expiresAt }
+
+function recordFailure(key, f) {
+  const t = Date.now();
+  const count = (f?.count || 0) + 1;
+  const lockedUntil = count >= MAX_FAILURES ? t + LOCK_MS : 0;
+  failures.delete(key); // re-insert so Map order stays oldest-first
+  // Forgotten LOCK_MS after the latest failure, which is also when a lock ends.
+  failures.set(key, { count, lockedUntil, expiresAt: t + LOCK_MS });
+  if (failures.size <= MAX_TRACKED) return;
+  for (const [k, e] of failures) if (e.expiresAt <= t) failures.delete(k);
+  for (const k of failures.keys()) {
+    if (failures.size <= MAX_TRACKED) break;
+    failures.delete(k);
+  }
+}
+
+// Unknown usernames are checked against this, so a miss costs the same scrypt as a wrong password.
+const DUMMY_HASH = hashPassword(crypto.randomBytes(16).toString("hex"));
+
+export async function login(username, password) {
+  // Usernames are at most 40 characters, so longer input need not be kept whole.
+  const key = String(username || "").trim().toLowerCase().slice(0, 64);
+  let f = failures.get(key);
+  if (f && f.expiresAt <= Date.now()) {
+    failures.delete(key);
+    f = null;
+  }
+  if (f?.lockedUntil > Date.now()) throw httpError(429, "Too many failed sign-ins. Try again in a few minutes.");
+
+  const user = findByUsername(key);
+  let ok = false;
+  if (user) ok = await verifyPassword(password, user.password);
+  else await verifyPassword(password, await DUMMY_HASH);
+  if (!ok) {
+    recordFailure(key, f);
+    throw httpError(401, "Invalid username or password.");
+  }
+  failures.delete(key);
+
+  // Expired sessions are otherwise only dropped when presented; clear them out here.
+  for (const [k, s] of sessions) if (s.expiresAt < Date.now()) sessions.delete(k);
+  const token = crypto.randomBytes(32).toString("base64url");
+  sessions.set(sha256(token), { userId: user.id, workspace: null, expiresAt: Date.now() + SESSION_TTL_MS });
+  return { token, user: publicUser(user), maxAgeMs: SESSION_TTL_MS };
+}
+
+export function logout(token) {
+  if (token) sessions.delete(sha256(token));
+}
+
+/* ---------- API tokens ---------- */
+// Shown once at creation; only the hash is stored. Tokens act with their owner's role.
+export function listTokens(userId) {
+  return [...tokens.values()].filter((t) => t.userId === userId).map(({ hash, ...t }) => t);
+}
+
+export async function createToken(userId, name) {
+  const token = `svi_${crypto.randomBytes(24).toString("base64url")}`;
+  const record = { id: crypto.randomUUID(), userId, name: text(name, 60) || "API token", createdAt: now(), lastUsedAt: null };
+  tokens.set(sha256(token), { ...record, hash: sha256(token) });
+  await persist();
+  return { ...record, token };
+}
+
+export async function revokeToken(userId, id, { any = false } = {}) {
+  const entry = [...tokens.entries()].find(([, t]) => t.id === id && (any || t.userId === userId));
+  if (!entry) throw httpError(404, "Token not found.");
+  tokens.delete(entry[0]);
+  await persist();
+}
+
+function parseCookies(header) {
+  const out = {};
+  for (const part of String(header || "").split(";")) {
+    const i = part.indexOf("=");
+    if (i <= 0) continue;
+    // A malformed value (e.g. a stray "%") is skipped rather than failing every request.
+    try {
+      out[part.slice(0, i).trim()] = decodeURIComponent(part.slice(i + 1).trim());
+    } catch {
+      continue;
+    }
+  }
+  return out;
+}
+
+/**
+ * Identifies the caller from an "Authorization: Bearer <api token>" header or the
+ * session cookie. Returns { user, via: "token" | "session", session?, sessionToken? } or null.
+ */
+export function identify(req) {
+  const bearer = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || "")?.[1];
+  if (bearer) {
+    const t = tokens.get(sha256(bearer));
+    const user = t && users.get(t.userId);
+    if (!user) return null;
+    // Last-used is kept in memory and written with the next change, not on every call.
+    t.lastUsedAt = now();
+    return { user, via: "token" };
+  }
+
+  const sessionToken = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+  if (!sessionToken) return null;
+  const session = sessions.get(sha256(sessionToken));
+  if (!session || session.expiresAt < Date.now()) {
+    if (session) sessions.delete(sha256(sessionToken));
+    return null;
+  }
+  const user = users.get(session.userId);
+  return user ? { user, via: "session", session, sessionToken } : null;
+}
+
+/* ---------- Workspaces ---------- */
+const visible = (user) => (user.role === "admin" ? [...workspaces.keys()] : user.workspaces.filter((k) => workspaces.has(k)));
+
+export function listWorkspaces(user) {
+  const keys = new Set(visible(user));
+  return [...workspaces.values()].filter((w) => keys.has(w.key));
+}
+
+export function canAccessWorkspace(user, key) {
+  return visible(user).includes(key);
+}
+
+/**
+ * The workspace a request acts in: the explicit one (X-Workspace header or
+ * ?workspace=), else the session's selection, else the user's first workspace.
+ */
+export function resolveWorkspace({ user, session }, requested) {
+  const key = requested || session?.workspace || visible(user)[0];
+  if (!key) throw httpError(403, "You are not assigned to any workspace. Ask an admin for access.");
+  if (!canAccessWorkspace(user, key)) throw httpError(403, `No access to workspace "${key}".`);
+  return key;
+}
+
+export function selectWorkspace(auth, key) {
+  if (!auth.session) throw httpError(400, "API tokens choose a workspace per request with the X-Workspace header.");
+  auth.session.workspace = resolveWorkspace(auth, key);
+  return auth.session.workspace;
+}
+
+export const saveWorkspace = serialized(async (key, input) => {
+  if (!KEY_RE.test(key)) throw httpError(400, `Invalid workspace key "${key}". Use 2–40 lowercase letters, digits, dashes or underscores.`);
+  const prev = workspaces.get(key);
+  const workspace = {
+    key,
+    name: text(input?.name, 80) || prev?.name || key,
+    description: text(input?.description, 400),
+    createdAt: prev?.createdAt || now()
+  };
+  workspaces.set(key, workspace);
+  await persist();
+  return workspace;
+});
+
+// Removes the workspace and its assignments; its stored runs and batches stay on disk, unlisted.
+export const deleteWorkspace = serialized(async (key) => {
+  if (key === DEFAULT_WORKSPACE) throw httpError(409, "The default workspace cannot be deleted.");
+  if (!workspaces.delete(key)) throw httpError(404, `Workspace "${key}" not found.`);
+  for (const user of users.values()) user.workspaces = user.workspaces.filter((k) => k !== key);
+  await persist();
+});
+
+/* ---------- Bootstrap ---------- */
+// Seeds the first admin from ADMIN_USERNAME / ADMIN_PASSWORD when no users exist yet.
+export async function bootstrapAuth() {
+  const { ADMIN_USERNAME, ADMIN_PASSWORD } = process.env;
+  if (needsSetup() && ADMIN_USERNAME && ADMIN_PASSWORD) {
+    await setupAdmin({ username: ADMIN_USERNAME, password: ADMIN_PASSWORD, name: "Administrator" });
+    console.log(`🔐 Created admin user "${ADMIN_USERNAME.toLowerCase()}" from ADMIN_USERNAME.`);
+  } else if (needsSetup()) {
+    console.warn("⚠️ No users yet: the first account created on the sign-in screen becomes the admin.");
+  }
+}
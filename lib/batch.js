@@ -0,0 +1,472 @@
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+import JSZip from "jszip";
+import { findProvenance } from "./audit.js";
+import { createCsvParser, csvCell } from "./csv.js";
+import { EXPORT_FORMATS, exportRun } from "./exports/index.js";
+import { createPhiScanner, scanColumns } from "./phi.js";
+import { customerKey, DATA_DIR, getRun, readJson, writeJsonAtomic } from "./store.js";
+import { httpError, parseNum } from "./util.js";
+
+/* ============================
+   Portfolio rows (CSV / JSON → translate payloads)
+============================ */
+export const MAX_BATCH_ROWS = 500;
+
+// Accepted column spellings, compared lowercase with spaces/underscores/dashes removed.
+const ROW_FIELDS = {
+  customerName: ["customername", "customer", "account", "accountname", "name"],
+  specialty: ["specialty"],
+  physicianCount: ["physiciancount", "physicians", "providers", "providercount"],
+  timeSavedHrsPerDay: ["timesavedhrsperday", "timesaved", "timesavedhrs", "hourssaved"],
+  patientIncreasePerDay: ["patientincreaseperday", "patientincrease", "additionalpatients"],
+  burnoutImprovement: ["burnoutimprovement", "burnout"],
+  adoptionRatePct: ["adoptionratepct", "adoptionrate", "adoption"],
+  npsScore: ["npsscore", "nps"],
+  clinicalContext: ["clinicalcontext", "context"],
+  audiences: ["audiences"],
+  valueMode: ["valuemode"],
+  clinicalValidationMode: ["clinicalvalidationmode", "validationmode"],
+  locale: ["locale"],
+  currency: ["currency"],
+  promptVersion: ["promptversion", "prompt"]
+};
+
+const ASSUMPTION_FIELDS = [
+  "physicianHourlyRate",
+  "reimbursementPerVisit",
+  "sukiCostPerPhysicianPerMonth",
+  "workDaysPerYear",
+  "horizonYears",
+  "rampStartPct",
+  "rampMonths",
+  "implementationCost",
+  "trainingCostPerPhysician",
+  "priceEscalatorPct",
+  "discountRatePct"
+];
+
+const NUMERIC_FIELDS = new Set(["physicianCount", "timeSavedHrsPerDay", "patientIncreasePerDay", "adoptionRatePct", "npsScore"]);
+
+const normColumn = (c) => String(c).toLowerCase().replace(/[\s_-]+/g, "");
+
+const COLUMN_TARGETS = new Map([
+  ...Object.entries(ROW_FIELDS).flatMap(([field, aliases]) => aliases.map((a) => [a, { field }])),
+  ...ASSUMPTION_FIELDS.map((f) => [normColumn(f), { assumption: f }])
+]);
+
+function parseCsvRows(text) {
+  const rows = [];
+  let header = null;
+  const parser = createCsvParser({
+    onRecord(fields, line) {
+      if (!header) {
+        header = fields.map((f) => f.trim());
+        return;
+      }
+      if (fields.length !== header.length) {
+        throw httpError(400, `CSV line ${line} has ${fields.length} fields; the header has ${header.length}.`);
+      }
+      rows.push(Object.fromEntries(header.map((c, i) => [c, fields[i]])));
+    }
+  });
+  parser.push(String(text).replace(/^\uFEFF/, ""));
+  if (!parser.end()) throw httpError(400, "CSV ends inside a quoted field.");
+  return { columns: header || [], rows };
+}
+
+// Row values win over the shared defaults (the form the batch was started from).
+function toPayload(raw, defaults) {
+  const payload = { ...defaults, assumptions: { ...(defaults.assumptions || {}) } };
+  const problems = [];
+
+  for (const [column, value] of Object.entries(raw)) {
+    if (value == null || value === "") continue;
+    const target = COLUMN_TARGETS.get(normColumn(column));
+    if (!target) continue;
+
+    if (target.assumption) {
+      const n = parseNum(value);
+      if (n == null) problems.push(`${column} is not a number`);
+      else payload.assumptions[target.assumption] = n;
+    } else if (NUMERIC_FIELDS.has(target.field)) {
+      const n = parseNum(value);
+      if (n == null) problems.push(`${column} is not a number`);
+      else payload[target.field] = n;
+    } else if (target.field === "audiences") {
+      payload.audiences = (Array.isArray(value) ? value : String(value).split(/[;|]/)).map((a) => String(a).trim()).filter(Boolean);
+    } else if (target.field === "clinicalValidationMode") {
+      payload.clinicalValidationMode = value === true || /^(true|yes|y|1)$/i.test(String(value).trim());
+    } else {
+      payload[target.field] = String(value).trim();
+    }
+  }
+
+  if (!payload.customerName) problems.push("missing customer name");
+  if (!payload.specialty) problems.push("missing specialty");
+  if (!(payload.physicianCount > 0)) problems.push("physician count must be > 0");
+  return { payload, problems };
+}
+
+/**
+ * Parses an uploaded portfolio: { csv } text, or { rows: [...] } objects, plus
+ * optional shared defaults. Every cell is PHI-scanned before anything is queued;
+ * the customer-name column is an account name, so only its values are scanned.
+ * Returns [{ row, payload, problems }].
+ */
+export function parseBatchInput({ csv, rows, defaults } = {}) {
+  let parsed;
+  if (typeof csv === "string") parsed = parseCsvRows(csv);
+  else if (Array.isArray(rows)) {
+    const objects = rows.filter((r) => r && typeof r === "object" && !Array.isArray(r));
+    if (objects.length !== rows.length) throw httpError(400, "rows must be an array of objects.");
+    parsed = { columns: [...new Set(objects.flatMap((r) => Object.keys(r)))], rows: objects };
+  } else throw httpError(400, "Send a portfolio as { csv: \"...\" } or { rows: [...] }.");
+
+  if (!parsed.rows.length) throw httpError(400, "The portfolio has no rows.");
+  if (parsed.rows.length > MAX_BATCH_ROWS) throw httpError(400, `A batch can hold at most ${MAX_BATCH_ROWS} accounts.`);
+
+  const nameColumns = parsed.columns.filter((c) => COLUMN_TARGETS.get(normColumn(c))?.field === "customerName");
+  const scanner = createPhiScanner({ columns: [] });
+  parsed.rows.forEach((r, i) => scanner.scanRow(r, i + 1));
+  const phi = { ...scanner.report(), columns: scanColumns(parsed.columns, { exempt: nameColumns }) };
+  phi.clean = phi.clean && !phi.columns.length;
+  if (!phi.clean) {
+    throw httpError(422, "Possible PHI detected in the portfolio. Remove or redact the flagged cells and try again.", { phi });
+  }
+
+  const base = defaults && typeof defaults === "object" ? defaults : {};
+  return parsed.rows.map((raw, i) => ({ row: i + 1, ...toPayload(raw, base) }));
+}
+
+/* ============================
+   Portfolio rollup
+============================ */
+const add = (acc, key, n) => (acc[key] += Number.isFinite(n) ? n : 0);
+
+function newTotals() {
+  return { accounts: 0, physicians: 0, annualTotalValue: 0, annualSukiCost: 0, npv: 0, roiX: null };
+}
+
+function accumulate(t, r) {
+  t.accounts++;
+  add(t, "physicians", r.physicianCount);
+  add(t, "annualTotalValue", r.annualTotalValue);
+  add(t, "annualSukiCost", r.annualSukiCost);
+  add(t, "npv", r.npv);
+}
+
+const withRoi = (t) => ({ ...t, roiX: t.annualSukiCost > 0 ? t.annualTotalValue / t.annualSukiCost : null });
+
+/**
+ * Totals across completed accounts. Figures are never converted, so accounts are
+ * grouped by currency; ROI is portfolio value over portfolio cost, not a mean of ROIs.
+ */
+export function rollupBatch(rows) {
+  const groups = new Map();
+  for (const r of rows) {
+    if (r.status !== "done" || !r.currency) continue;
+    let g = groups.get(r.currency);
+    if (!g) {
+      g = { currency: r.currency, locale: r.locale, totals: newTotals(), validatedAccounts: 0, specialties: new Map() };
+      groups.set(r.currency, g);
+    }
+    accumulate(g.totals, r);
+    if (r.valueSource === "validated") g.validatedAccounts++;
+    const spec = String(r.specialty || "Unspecified");
+    if (!g.specialties.has(spec)) g.specialties.set(spec, newTotals());
+    accumulate(g.specialties.get(spec), r);
+  }
+
+  return {
+    accounts: rows.filter((r) => r.status === "done").length,
+    byCurrency: [...groups.values()].map((g) => ({
+      currency: g.currency,
+      locale: g.locale,
+      ...withRoi(g.totals),
+      validatedAccounts: g.validatedAccounts,
+      bySpecialty: [...g.specialties]
+        .map(([specialty, t]) => ({ specialty, ...withRoi(t) }))
+        .sort((a, b) => b.annualTotalValue - a.annualTotalValue)
+    }))
+  };
+}
+
+/* ============================
+   Batch jobs (queue + worker pool)
+============================ */
+const BATCHES_DIR = path.join(DATA_DIR, "batches");
+const isBatchId = (id) => /^[0-9a-f-]{36}$/.test(String(id));
+
+const sleep = (ms, signal) =>
+  new Promise((resolve) => {
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener("abort", () => (clearTimeout(timer), resolve()), { once: true });
+  });
+
+function rowSummary(result) {
+  const f = result.financials || {};
+  return {
+    runId: result.run?.id || null,
+    version: result.run?.version ?? null,
+    source: result.source,
+    warnings: result.claimCheck?.warnings?.length || 0,
+    fallbackReason: result.fallbackReason,
+    auditError: result.auditError || null,
+    currency: result.locale?.currency || "USD",
+    locale: result.locale?.locale || "en-US",
+    valueSource: f.lineItemSources?.annualTotalValue || "illustrative",
+    annualTotalValue: f.annualTotalValue ?? null,
+    annualSukiCost: f.annualSukiCost ?? null,
+    roiX: f.roiX ?? null,
+    npv: f.multiYear?.npv ?? null,
+    paybackMonth: f.multiYear?.paybackMonth ?? null
+  };
+}
+
+function counts(rows) {
+  const c = { queued: 0, running: 0, done: 0, failed: 0, cancelled: 0 };
+  for (const r of rows) c[r.status]++;
+  return c;
+}
+
+/**
+ * Queues portfolio jobs and runs their rows through
+ * runRow(payload, { signal, attempt, final, workspace, createdBy, batchId }), which resolves to a
+ * /translate result. Errors flagged expose with a 4xx status are
+ * permanent; anything else is retried with backoff up to `retries` times. On the final
+ * attempt runRow should accept a template fallback rather than fail.
+ * Jobs run one at a time, each with up to `concurrency` rows in flight.
+ */
+export function createBatchRunner({ runRow, concurrency = 3, retries = 2, retryDelayMs = 2000 }) {
+  const jobs = new Map();
+  const live = new Map(); // id → { payloads, controller } for jobs of this process
+  const waiting = [];
+  let active = null;
+  let loaded = null;
+
+  // Jobs left queued/running by a previous process cannot resume: their payloads were in memory.
+  function load() {
+    loaded ||= (async () => {
+      let files = [];
+      try {
+        files = (await fs.readdir(BATCHES_DIR)).filter((f) => f.endsWith(".json"));
+      } catch (err) {
+        if (err.code !== "ENOENT") throw err;
+      }
+      for (const f of files) {
+        const job = await readJson(path.join(BATCHES_DIR, f));
+        if (!job?.id || jobs.has(job.id)) continue;
+        if (job.status === "queued" || job.status === "running") {
+          for (const r of job.rows) {
+            if (r.status === "queued" || r.status === "running") Object.assign(r, { status: "failed", error: "Interrupted by a server restart." });
+          }
+          job.status = "interrupted";
+          job.counts = counts(job.rows);
+          job.finishedAt ||= new Date().toISOString();
+          await writeJsonAtomic(path.join(BATCHES_DIR, f), job);
+        }
+        jobs.set(job.id, job);
+      }
+    })();
+    return loaded;
+  }
+
+  // Writes are chained per job so a slow write never lands after a newer one.
+  const chains = new Map();
+  function persist(job) {
+    job.counts = counts(job.rows);
+    job.updatedAt = new Date().toISOString();
+    const snapshot = JSON.parse(JSON.stringify(job));
+    const next = (chains.get(job.id) || Promise.resolve())
+      .then(() => writeJsonAtomic(path.join(BATCHES_DIR, `${job.id}.json`), snapshot))
+      .catch((e) => console.error("⚠️ Failed to save batch:", e));
+    chains.set(job.id, next);
+    return next;
+  }
+
+  async function runOne(job, row, payload, signal) {
+    row.status = "running";
+    row.startedAt = new Date().toISOString();
+    persist(job);
+
+    for (let attempt = 1; ; attempt++) {
+      row.attempts = attempt;
+      try {
+        const result = await runRow(payload, {
+          signal,
+          attempt,
+          final: attempt > retries,
+          workspace: job.workspace,
+          createdBy: job.createdBy,
+          batchId: job.id
+        });
+        if (signal.aborted) throw new Error("Cancelled.");
+        Object.assign(row, { status: "done", error: null }, rowSummary(result));
+        break;
+      } catch (err) {
+        if (signal.aborted) {
+          Object.assign(row, { status: "cancelled", error: null });
+          break;
+        }
+        const permanent = err?.expose && err.status < 500;
+        if (permanent || attempt > retries) {
+          Object.assign(row, { status: "failed", error: err?.message || "Unknown error", details: err?.expose ? err.details : undefined });
+          if (!permanent) console.error(`❌ Batch ${job.id} row ${row.row} failed:`, err);
+          break;
+        }
+        row.error = `Attempt ${attempt} failed: ${err?.message || "Unknown error"}; retrying.`;
+        persist(job);
+        await sleep(retryDelayMs * 2 ** (attempt - 1), signal);
+      }
+    }
+    row.finishedAt = new Date().toISOString();
+    persist(job);
+  }
+
+  async function drain(job) {
+    const { payloads, controller } = live.get(job.id);
+    const queue = job.rows.filter((r) => r.status === "queued");
+    let next = 0;
+    const worker = async () => {
+      while (next < queue.length && !controller.signal.aborted) {
+        const row = queue[next++];
+        await runOne(job, row, payloads.get(row.row), controller.signal);
+      }
+    };
+
+    job.status = "running";
+    job.startedAt = new Date().toISOString();
+    persist(job);
+    await Promise.all(Array.from({ length: Math.min(concurrency, queue.length) }, worker));
+
+    for (const r of job.rows) if (r.status === "queued") r.status = "cancelled";
+    job.status = controller.signal.aborted ? "cancelled" : job.rows.some((r) => r.status === "failed") ? "completed_with_errors" : "completed";
+    job.finishedAt = new Date().toISOString();
+    job.rollup = rollupBatch(job.rows);
+    live.delete(job.id);
+    await persist(job);
+  }
+
+  function pump() {
+    if (active || !waiting.length) return;
+    const job = waiting.shift();
+    active = drain(job)
+      .catch((e) => console.error(`❌ Batch ${job.id} crashed:`, e))
+      .finally(() => {
+        active = null;
+        pump();
+      });
+  }
+
+  return {
+    /** Queues parsed rows (from parseBatchInput); invalid rows are recorded as failed. */
+    async create(parsedRows, { name = null, workspace = "default", createdBy = null } = {}) {
+      await load();
+      const payloads = new Map();
+      const job = {
+        id: crypto.randomUUID(),
+        name: name ? String(name).slice(0, 200) : null,
+        workspace,
+        createdBy,
+        status: "queued",
+        createdAt: new Date().toISOString(),
+        startedAt: null,
+        finishedAt: null,
+        total: parsedRows.length,
+        rows: parsedRows.map(({ row, payload, problems }) => {
+          payloads.set(row, payload);
+          return {
+            row,
+            customerName: payload.customerName || null,
+            specialty: payload.specialty || null,
+            physicianCount: payload.physicianCount ?? null,
+            status: problems.length ? "failed" : "queued",
+            attempts: 0,
+            error: problems.length ? `Invalid row: ${problems.join("; ")}.` : null
+          };
+        }),
+        rollup: null
+      };
+      jobs.set(job.id, job);
+      live.set(job.id, { payloads, controller: new AbortController() });
+      await persist(job);
+      waiting.push(job);
+      pump();
+      return job;
+    },
+
+    // Jobs saved before workspaces existed belong to "default".
+    async list({ workspace } = {}) {
+      await load();
+      return [...jobs.values()]
+        .filter((job) => !workspace || (job.workspace || "default") === workspace)
+        .map(({ rows, ...meta }) => ({ ...meta, counts: counts(rows) }))
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    },
+
+    /** Full job with per-row status; the rollup covers rows finished so far. */
+    async get(id) {
+      if (!isBatchId(id)) return null;
+      await load();
+      const job = jobs.get(id);
+      return job ? { ...job, counts: counts(job.rows), rollup: job.rollup || rollupBatch(job.rows) } : null;
+    },
+
+    async cancel(id) {
+      const job = await this.get(id);
+      if (!job) return null;
+      const state = live.get(id);
+      if (!state) throw httpError(409, `Batch is already ${job.status}.`);
+      state.controller.abort();
+      // Not started yet: nothing will drain it, so settle it here.
+      const i = waiting.findIndex((j) => j.id === id);
+      if (i >= 0) {
+        const [queued] = waiting.splice(i, 1);
+        for (const r of queued.rows) if (r.status === "queued") r.status = "cancelled";
+        Object.assign(queued, { status: "cancelled", finishedAt: new Date().toISOString(), rollup: rollupBatch(queued.rows) });
+        live.delete(id);
+        await persist(queued);
+      }
+      return this.get(id);
+    }
+  };
+}
+
+/* ============================
+   Download bundle
+============================ */
+function accountsCsv(rows) {
+  const header = ["row", "customer", "specialty", "physicians", "status", "attempts", "source", "currency", "annual_value", "annual_cost", "roi_x", "npv", "payback_month", "run_id", "version", "error", "audit_error"];
+  const lines = rows.map((r) =>
+    [r.row, r.customerName, r.specialty, r.physicianCount, r.status, r.attempts, r.source, r.currency, r.annualTotalValue, r.annualSukiCost, r.roiX, r.npv, r.paybackMonth, r.runId, r.version, r.error, r.auditError]
+      .map(csvCell)
+      .join(",")
+  );
+  return [header.join(","), ...lines].join("\n") + "\n";
+}
+
+/**
+ * Zip of every completed account's report in `format`, plus accounts.csv (per-row
+ * status and figures) and rollup.json. Returns { buffer, contentType, filename }.
+ */
+export async function bundleBatch(job, format) {
+  if (!EXPORT_FORMATS.includes(format)) throw httpError(400, `Unsupported export format "${format}" (use ${EXPORT_FORMATS.join(", ")}).`);
+  const zip = new JSZip();
+  const reports = zip.folder("reports");
+  for (const r of job.rows) {
+    if (r.status !== "done" || !r.runId) continue;
+    const run = await getRun(r.runId);
+    if (!run) continue;
+    // Same audit reference in the header as a single-run export.
+    const file = await exportRun({ ...run, provenance: await findProvenance(run.id) }, format);
+    reports.file(`${String(r.row).padStart(3, "0")}-${file.filename}`, file.buffer);
+  }
+  zip.file("accounts.csv", accountsCsv(job.rows));
+  zip.file("rollup.json", JSON.stringify({ id: job.id, name: job.name, status: job.status, counts: job.counts, rollup: job.rollup }, null, 2));
+
+  const buffer = await zip.generateAsync({ type: "nodebuffer", compression: "DEFLATE" });
+  const stem = job.name ? customerKey(job.name) : `batch-${job.id.slice(0, 8)}`;
+  return { buffer, contentType: "application/zip", filename: `${stem}-portfolio-${format}.zip` };
+}
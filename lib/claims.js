@@ -0,0 +1,244 @@
+import { localeOf } from "./locale.js";
+import { safeNum } from "./util.js";
+
+/* ============================
+   Claim checker
+============================ */
+// Every figure the narratives quote must trace back to the model inputs, and
+// nothing may read as a clinical-outcome claim. Warnings are plain objects:
+// { type: "number" | "outcome_claim", field, text, message }
+
+/* ---------- Figures ---------- */
+function collectNumbers(value, out, depth = 0) {
+  if (depth > 6 || value == null) return out;
+  if (typeof value === "number") {
+    if (Number.isFinite(value)) out.push(value);
+  } else if (Array.isArray(value)) {
+    for (const v of value.slice(0, 200)) collectNumbers(v, out, depth + 1);
+  } else if (typeof value === "object") {
+    for (const v of Object.values(value)) collectNumbers(v, out, depth + 1);
+  }
+  return out;
+}
+
+// Everything a narrative may legitimately quote, plus the obvious unit conversions
+// (fractions → %, minutes → hours) and per-physician / per-year roll-ups.
+function figurePool(job) {
+  const { payload, financials: fin } = job;
+  const physicians = Math.max(1, safeNum(payload.physicianCount, 1));
+  const workDays = fin.assumptionsUsed?.workDays || 0;
+  const base = collectNumbers(
+    [
+      fin,
+      job.scenarioAnalysis,
+      job.simulation,
+      payload.telemetrySummary,
+      payload.assumptions,
+      [payload.physicianCount, payload.timeSavedHrsPerDay, payload.patientIncreasePerDay, payload.adoptionRatePct, payload.npsScore]
+    ],
+    []
+  );
+  const timeSaved = fin.valueInputs?.timeSavedHrsPerDay?.value || 0;
+  const patients = fin.valueInputs?.patientIncreasePerDay?.value || 0;
+  base.push(
+    fin.annualTotalValue - fin.annualSukiCost,
+    timeSaved * workDays,
+    timeSaved * workDays * physicians,
+    timeSaved * physicians,
+    patients * workDays,
+    patients * workDays * physicians,
+    patients * physicians
+  );
+
+  const pool = new Set();
+  for (const n of base) {
+    if (!Number.isFinite(n)) continue;
+    for (const v of [n, n * 100, n / 60, n / physicians]) pool.add(Math.abs(v));
+  }
+  return [...pool];
+}
+
+const SCALE = {
+  k: 1e3,
+  thousand: 1e3,
+  m: 1e6,
+  mm: 1e6,
+  million: 1e6,
+  millions: 1e6,
+  "millón": 1e6,
+  millones: 1e6,
+  b: 1e9,
+  bn: 1e9,
+  billion: 1e9,
+  md: 1e9,
+  milliard: 1e9,
+  milliards: 1e9
+};
+// \b is ASCII-only, so "millón" needs an explicit end-of-word check.
+const END = "(?![A-Za-z\u00C0-\u017F])";
+const SCALE_WORDS = "millones|millón|millions|milliards?|million|billion|thousand|mm|md|bn|k|m|b";
+
+const PATTERNS = [
+  {
+    kind: "money",
+    re: new RegExp(`\\$\\s?-?(\\d{1,3}(?:,\\d{3})+|\\d+)(?:\\.(\\d+))?(?:\\s?(${SCALE_WORDS})${END})?`, "gi"),
+    relTol: 0.005
+  },
+  { kind: "percent", re: /(\d+)(?:\.(\d+))?\s?(?:%|percent\b|por ciento\b|pour cent\b)/gi, relTol: 0, allowed: [95, 100] },
+  { kind: "multiple", re: /(\d+)(?:\.(\d+))?\s?x\b/gi, relTol: 0.01, allowed: [1] },
+  { kind: "hours", re: /(\d+)(?:\.(\d+))?\s?(?:hrs?|hours?|horas?|heures?|h)\b/gi, relTol: 0.01 }
+];
+
+const escapeRe = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const localeRules = new Map();
+
+// Separators and currency marks for a locale/currency, e.g. fr-CA → "4 375 000,5 $".
+function rulesFor(fmt) {
+  const key = `${fmt.locale}|${fmt.currency}`;
+  if (localeRules.has(key)) return localeRules.get(key);
+  const parts = new Intl.NumberFormat(fmt.locale).formatToParts(1234567.5);
+  const group = parts.find((p) => p.type === "group")?.value || ",";
+  const decimal = parts.find((p) => p.type === "decimal")?.value || ".";
+  const symbols = new Set([fmt.currency, "$"]);
+  for (const display of ["symbol", "narrowSymbol"]) {
+    const p = new Intl.NumberFormat(fmt.locale, { style: "currency", currency: fmt.currency, currencyDisplay: display }).formatToParts(1);
+    symbols.add(p.find((x) => x.type === "currency")?.value);
+  }
+  const G = /\s/.test(group) ? "[\\s\\u00a0\\u202f]" : escapeRe(group);
+  const D = escapeRe(decimal);
+  // Longest first so "US$" wins over "$".
+  const sym = [...symbols].filter(Boolean).sort((a, b) => b.length - a.length).map(escapeRe).join("|");
+  const rules = {
+    number: new RegExp(`(?<!\\d)(?:\\d{1,3}(?:${G}\\d{3})+(?:${D}\\d+)?|\\d+${D}\\d+)(?!\\d)`, "g"),
+    group: new RegExp(G, "g"),
+    decimal,
+    suffix: new RegExp(`(-?\\d+(?:\\.\\d+)?)(\\s?(?:${SCALE_WORDS})${END})?\\s?(?:${sym})(?![A-Za-z])`, "gi"),
+    prefix: new RegExp(`(?:${sym})\\s?(?=-?\\d)`, "g")
+  };
+  localeRules.set(key, rules);
+  return rules;
+}
+
+// Rewrites localized figures into the plain "$1234.5" form the patterns read:
+// "4 375 000 $" (fr-CA), "1.234,5 €" (es-ES), "US$ 2,5 M" → "$4375000", "$1234.5", "$2.5 M".
+function normalizeFigures(text, fmt) {
+  const r = rulesFor(fmt);
+  return text
+    .replace(r.number, (n) => n.replace(r.group, "").replace(r.decimal, "."))
+    .replace(r.suffix, (_, n, scale) => `$${n}${scale || ""}`)
+    .replace(r.prefix, "$");
+}
+
+function extractFigures(text, fmt) {
+  const found = [];
+  const plain = normalizeFigures(text, fmt);
+  for (const p of PATTERNS) {
+    for (const m of plain.matchAll(p.re)) {
+      const decimals = m[2] ? m[2].length : 0;
+      const scale = SCALE[(m[3] || "").toLowerCase()] || 1;
+      const value = Number(`${m[1].replace(/,/g, "")}${m[2] ? `.${m[2]}` : ""}`) * scale;
+      // Half a unit of the last printed digit: "$1.2M" covers 1.15M–1.25M.
+      const halfUnit = 0.5 * 10 ** -decimals * scale;
+      found.push({ kind: p.kind, text: m[0].trim(), value, tol: Math.max(halfUnit, p.relTol * value), allowed: p.allowed || [] });
+    }
+  }
+  return found;
+}
+
+/* ---------- Outcome language ---------- */
+// English, Spanish and French phrasings; narratives may be in any supported locale.
+const OUTCOME_CLAIMS = [
+  /\b(reduc|lower|decreas|cut)\w*\s+(patient\s+)?(mortality|morbidity|readmissions?|medical errors?|complications?|adverse events?|infections?)\b/i,
+  /\bimprov\w*\s+(patient\s+|clinical\s+|health\s+)?outcomes?\b/i,
+  /\bbetter\s+(patient\s+|clinical\s+|health\s+)?outcomes?\b/i,
+  /\bsav(e|es|ed|ing)\s+lives\b/i,
+  /\b(improv\w*|better|safer)\s+(patient\s+safety|quality of care|care quality|diagnos\w*)\b/i,
+  /\bclinically\s+(proven|validated)\b/i,
+  /\b(prevent|avoid)\w*\s+(deaths?|harm|errors?)\b/i,
+  /\b(reduc|disminu)\w*\s+(la\s+|las\s+|los\s+)?(mortalidad|morbilidad|readmisiones|errores médicos|complicaciones|eventos adversos)/i,
+  /\bmejor\w*\s+(los\s+)?resultados\s+(clínicos|de salud|de los pacientes)/i,
+  /\bsalva(r|n)?\s+vidas\b/i,
+  /\bclínicamente\s+(probad|validad)[oa]s?\b/i,
+  /\b(rédui|diminu)\w*\s+(la\s+|les\s+)?(mortalité|morbidité|réadmissions|erreurs médicales|complications|événements indésirables)/i,
+  /\bamélior\w*\s+(les\s+)?résultats\s+(cliniques|de santé|des patients)/i,
+  /\bsauver\s+des\s+vies\b/i,
+  /\bcliniquement\s+(prouvé|validé)e?s?/i
+];
+
+// "does not claim improved outcomes" is the kind of sentence we want, not a violation.
+const NEGATION = /\b(no|not|never|without|avoid\w*|nor|cannot|can't|doesn't|don't|isn't|sin|nunca|ni|ne|n'|pas|sans|jamais|aucune?)\b[^.!?]*$/i;
+
+function outcomeClaims(text) {
+  const hits = [];
+  for (const re of OUTCOME_CLAIMS) {
+    const m = text.match(re);
+    if (!m) continue;
+    const sentenceStart = Math.max(text.lastIndexOf(".", m.index), text.lastIndexOf("\n", m.index)) + 1;
+    if (NEGATION.test(text.slice(sentenceStart, m.index))) continue;
+    hits.push(m[0]);
+  }
+  return hits;
+}
+
+/* ---------- Checker ---------- */
+function textFields(output) {
+  const fields = [];
+  for (const [key, text] of Object.entries(output?.narratives || {})) {
+    if (typeof text === "string" && text.trim()) fields.push([`narratives.${key}`, text]);
+  }
+  for (const key of ["assumptions_and_caveats", "clinical_validation_checklist", "next_best_actions"]) {
+    (Array.isArray(output?.[key]) ? output[key] : []).forEach((t, i) => {
+      if (typeof t === "string") fields.push([`${key}[${i}]`, t]);
+    });
+  }
+  return fields;
+}
+
+const KIND_LABEL = { money: "Money amount", percent: "Percentage", multiple: "ROI multiple", hours: "Hour figure" };
+
+/**
+ * Checks narrative + list text against the figures in job
+ * ({ payload, locale, financials, scenarioAnalysis, simulation }).
+ */
+export function checkClaims(output, job) {
+  const pool = figurePool(job);
+  const fmt = localeOf(job);
+  const warnings = [];
+
+  for (const [field, text] of textFields(output)) {
+    for (const f of extractFigures(text, fmt)) {
+      if (f.value === 0 || f.allowed.includes(f.value)) continue;
+      if (pool.some((p) => Math.abs(p - f.value) <= f.tol)) continue;
+      warnings.push({
+        type: "number",
+        field,
+        text: f.text,
+        message: `${KIND_LABEL[f.kind]} "${f.text}" does not match any computed figure or telemetry value.`
+      });
+    }
+    for (const phrase of outcomeClaims(text)) {
+      warnings.push({
+        type: "outcome_claim",
+        field,
+        text: phrase,
+        message: `"${phrase}" reads as a clinical-outcome claim.`
+      });
+    }
+  }
+  return warnings;
+}
+
+// Follow-up prompt asking the model to fix exactly the flagged issues.
+export function correctionPrompt(user, output, warnings) {
+  return `${user}
+YOUR PREVIOUS OUTPUT:
+${JSON.stringify(output)}
+
+It failed these automated checks:
+${warnings.map((w) => `- ${w.field}: ${w.message}`).join("\n")}
+
+Return the corrected STRICT JSON with the same schema. Use only figures that appear in the INPUT above
+(rounding is fine), and remove or rephrase any clinical-outcome claims. Keep everything else unchanged.
+`;
+}
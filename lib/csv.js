@@ -0,0 +1,152 @@
+/* ============================
+   Streaming CSV parser (RFC 4180)
+============================ */
+const DELIMITER_CANDIDATES = [",", ";", "\t", "|"];
+
+// Pick the delimiter that appears most often outside quotes in the header line.
+export function detectDelimiter(headerLine) {
+  const counts = new Map(DELIMITER_CANDIDATES.map((d) => [d, 0]));
+  let inQuotes = false;
+  for (const ch of headerLine) {
+    if (ch === '"') inQuotes = !inQuotes;
+    else if (!inQuotes && counts.has(ch)) counts.set(ch, counts.get(ch) + 1);
+  }
+  let best = ",";
+  let bestCount = 0;
+  for (const [d, c] of counts) {
+    if (c > bestCount) {
+      best = d;
+      bestCount = c;
+    }
+  }
+  return best;
+}
+
+/**
+ * Incremental parser: feed text chunks with push(), call end() once.
+ * onRecord receives (fields, lineNumber) for every non-empty record.
+ * Quoted fields may contain delimiters, doubled quotes and newlines.
+ */
+export function createCsvParser({ delimiter = null, onRecord }) {
+  let delim = delimiter;
+  let pending = "";
+  let started = false;
+
+  let field = "";
+  let record = [];
+  let inQuotes = false;
+  let quotePending = false; // saw a quote inside a quoted field; next char decides
+  let fieldQuoted = false;
+  let line = 1;
+  let recordLine = 1;
+  let lastWasCR = false;
+
+  function emitField() {
+    record.push(fieldQuoted ? field : field.trim());
+    field = "";
+    fieldQuoted = false;
+  }
+
+  function emitRecord() {
+    emitField();
+    const empty = record.length === 1 && record[0] === "";
+    if (!empty) onRecord(record, recordLine);
+    record = [];
+    recordLine = line;
+  }
+
+  function consume(text) {
+    for (let i = 0; i < text.length; i++) {
+      const ch = text[i];
+
+      if (lastWasCR) {
+        lastWasCR = false;
+        if (ch === "\n") continue;
+      }
+
+      if (inQuotes) {
+        if (quotePending) {
+          quotePending = false;
+          if (ch === '"') {
+            field += '"';
+            continue;
+          }
+          inQuotes = false;
+          // fall through: ch is handled as an unquoted char below
+        } else if (ch === '"') {
+          quotePending = true;
+          continue;
+        } else {
+          if (ch === "\n" || ch === "\r") line++;
+          field += ch;
+          continue;
+        }
+      }
+
+      if (ch === '"' && field.trim() === "" && !fieldQuoted) {
+        field = "";
+        inQuotes = true;
+        fieldQuoted = true;
+      } else if (ch === delim) {
+        emitField();
+      } else if (ch === "\n" || ch === "\r") {
+        line++;
+        lastWasCR = ch === "\r";
+        emitRecord();
+      } else {
+        field += ch;
+      }
+    }
+  }
+
+  return {
+    get delimiter() {
+      return delim;
+    },
+
+    push(chunk) {
+      let text = String(chunk);
+      if (!started) {
+        pending += text;
+        // Need the full header line before we can sniff the delimiter.
+        if (!delim && !/[\r\n]/.test(pending)) return;
+        text = pending.replace(/^\uFEFF/, "");
+        pending = "";
+        started = true;
+        if (!delim) delim = detectDelimiter(text.split(/\r?\n|\r/, 1)[0]);
+      }
+      consume(text);
+    },
+
+    // Returns false when the input ended inside an unterminated quoted field.
+    end() {
+      if (!started) {
+        const text = pending.replace(/^\uFEFF/, "");
+        pending = "";
+        started = true;
+        if (!delim) delim = detectDelimiter(text);
+        consume(text);
+      }
+      if (quotePending) {
+        quotePending = false;
+        inQuotes = false;
+      }
+      if (inQuotes) return false;
+      if (field !== "" || record.length) emitRecord();
+      return true;
+    }
+  };
+}
+
+/* ============================
+   Writing
+============================ */
+// Text that a spreadsheet would evaluate as a formula (=, +, -, @, or a leading
+// tab/CR) is prefixed with ' so it opens as plain text. Numbers are left alone,
+// so negative figures stay numeric.
+export function csvCell(v) {
+  if (v == null) return "";
+  let s = String(v);
+  if (typeof v === "string" && /^[=+\-@\t\r]/.test(s)) s = `'${s}`;
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
@@ -0,0 +1,126 @@
+/* ============================
+   Run-to-run diff
+============================ */
+const MAX_LCS_TOKENS = 2500;
+
+function tokenize(text) {
+  // Keep whitespace as its own tokens so the diff can be re-joined verbatim.
+  return String(text || "").match(/\s+|[^\s]+/g) || [];
+}
+
+// Collapse adjacent segments with the same op.
+function pushSeg(out, op, text) {
+  const last = out[out.length - 1];
+  if (last && last.op === op) last.text += text;
+  else out.push({ op, text });
+}
+
+function lcsDiff(a, b) {
+  const n = a.length;
+  const m = b.length;
+  const dp = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      dp[i][j] = a[i] === b[j] ? dp[i + 1][j + 1] + 1 : Math.max(dp[i + 1][j], dp[i][j + 1]);
+    }
+  }
+  const out = [];
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (a[i] === b[j]) {
+      pushSeg(out, "eq", a[i]);
+      i++;
+      j++;
+    } else if (dp[i + 1][j] >= dp[i][j + 1]) {
+      pushSeg(out, "del", a[i++]);
+    } else {
+      pushSeg(out, "add", b[j++]);
+    }
+  }
+  while (i < n) pushSeg(out, "del", a[i++]);
+  while (j < m) pushSeg(out, "add", b[j++]);
+  return out;
+}
+
+/**
+ * Word-level diff of two texts as [{ op: "eq"|"add"|"del", text }].
+ * Very long texts fall back to a line-level diff to bound memory.
+ */
+export function diffText(before, after) {
+  let a = tokenize(before);
+  let b = tokenize(after);
+  if (a.length > MAX_LCS_TOKENS || b.length > MAX_LCS_TOKENS) {
+    a = String(before || "").split(/(?<=\n)/);
+    b = String(after || "").split(/(?<=\n)/);
+  }
+  return lcsDiff(a, b);
+}
+
+function diffList(before = [], after = []) {
+  const a = new Set(before);
+  const b = new Set(after);
+  return {
+    added: after.filter((x) => !a.has(x)),
+    removed: before.filter((x) => !b.has(x)),
+    unchanged: after.filter((x) => a.has(x))
+  };
+}
+
+const NUMBER_FIELDS = [
+  ["ROI (x)", (r) => r.financials?.roiX],
+  ["Annual total value", (r) => r.financials?.annualTotalValue],
+  ["Annual labor value", (r) => r.financials?.annualLaborValue],
+  ["Annual revenue uplift", (r) => r.financials?.annualRevenueUplift],
+  ["Annual platform cost", (r) => r.financials?.annualSukiCost],
+  ["Time saved (hrs/day)", (r) => r.financials?.valueInputs?.timeSavedHrsPerDay?.value],
+  ["Added capacity (patients/day)", (r) => r.financials?.valueInputs?.patientIncreasePerDay?.value],
+  ["Multi-year NPV", (r) => r.financials?.multiYear?.npv],
+  ["Payback month", (r) => r.financials?.multiYear?.paybackMonth],
+  ["IRR", (r) => r.financials?.multiYear?.irr],
+  ["ROI P10 (Monte Carlo)", (r) => r.simulation?.roiX?.p10],
+  ["ROI P90 (Monte Carlo)", (r) => r.simulation?.roiX?.p90],
+  ["Physicians", (r) => r.input?.physicianCount]
+];
+
+function diffNumbers(a, b) {
+  const rows = NUMBER_FIELDS.map(([label, get]) => {
+    const x = get(a);
+    const y = get(b);
+    const nx = Number.isFinite(x) ? x : null;
+    const ny = Number.isFinite(y) ? y : null;
+    const delta = nx != null && ny != null ? ny - nx : null;
+    return { label, before: nx, after: ny, delta, pctChange: delta != null && nx ? (delta / Math.abs(nx)) * 100 : null };
+  });
+
+  const au = a.financials?.assumptionsUsed || {};
+  const bu = b.financials?.assumptionsUsed || {};
+  for (const key of new Set([...Object.keys(au), ...Object.keys(bu)])) {
+    if (au[key] === bu[key]) continue;
+    const delta = Number.isFinite(au[key]) && Number.isFinite(bu[key]) ? bu[key] - au[key] : null;
+    rows.push({ label: `Assumption: ${key}`, before: au[key] ?? null, after: bu[key] ?? null, delta, pctChange: null });
+  }
+  return rows;
+}
+
+export function diffRuns(a, b) {
+  const na = a.output?.narratives || {};
+  const nb = b.output?.narratives || {};
+  const narratives = {};
+  for (const key of new Set([...Object.keys(na), ...Object.keys(nb)])) {
+    if (!na[key] && !nb[key]) continue;
+    narratives[key] = diffText(na[key], nb[key]);
+  }
+
+  return {
+    before: { id: a.id, version: a.version, createdAt: a.createdAt, model: a.model, prompt: a.prompt || null },
+    after: { id: b.id, version: b.version, createdAt: b.createdAt, model: b.model, prompt: b.prompt || null },
+    numbers: diffNumbers(a, b),
+    narratives,
+    lists: {
+      assumptions_and_caveats: diffList(a.output?.assumptions_and_caveats, b.output?.assumptions_and_caveats),
+      clinical_validation_checklist: diffList(a.output?.clinical_validation_checklist, b.output?.clinical_validation_checklist),
+      next_best_actions: diffList(a.output?.next_best_actions, b.output?.next_best_actions)
+    }
+  };
+}
@@ -0,0 +1,122 @@
+import {
+  AlignmentType,
+  BorderStyle,
+  Document,
+  HeadingLevel,
+  Packer,
+  Paragraph,
+  ShadingType,
+  Table,
+  TableCell,
+  TableRow,
+  TextRun,
+  WidthType
+} from "docx";
+import { BRAND } from "./report.js";
+
+/* ============================
+   Word document (editable)
+============================ */
+const thin = { style: BorderStyle.SINGLE, size: 4, color: "D5DCE8" };
+const borders = { top: thin, bottom: thin, left: thin, right: thin };
+
+function cell(text, { bold = false, shade = null, align = AlignmentType.LEFT } = {}) {
+  return new TableCell({
+    borders,
+    shading: shade ? { type: ShadingType.CLEAR, color: "auto", fill: shade } : undefined,
+    children: [new Paragraph({ alignment: align, children: [new TextRun({ text: String(text), bold, size: 18 })] })]
+  });
+}
+
+function table(header, rows) {
+  return new Table({
+    width: { size: 100, type: WidthType.PERCENTAGE },
+    rows: [
+      new TableRow({ tableHeader: true, children: header.map((h) => cell(h, { bold: true, shade: "EEF3FA" })) }),
+      ...rows.map((r) => new TableRow({ children: r.map((c, i) => cell(c, { align: i ? AlignmentType.RIGHT : AlignmentType.LEFT })) }))
+    ]
+  });
+}
+
+const textRuns = (runs) => runs.map((r) => new TextRun({ text: r.text, bold: r.bold }));
+
+function runsCell(runs, bold = false) {
+  return new TableCell({
+    borders,
+    shading: bold ? { type: ShadingType.CLEAR, color: "auto", fill: "EEF3FA" } : undefined,
+    children: [new Paragraph({ children: runs.map((r) => new TextRun({ text: r.text, bold: bold || r.bold, size: 18 })) })]
+  });
+}
+
+// Markdown blocks (shared parser) → Word paragraphs and tables.
+function blockElements(blocks) {
+  return blocks.flatMap((b) => {
+    if (b.type === "heading") return [new Paragraph({ heading: HeadingLevel.HEADING_3, children: textRuns(b.runs) })];
+    if (b.type === "list") {
+      return b.items.map((it, i) =>
+        b.ordered
+          ? new Paragraph({ indent: { left: 360 }, children: [new TextRun(`${i + 1}. `), ...textRuns(it)] })
+          : new Paragraph({ bullet: { level: 0 }, children: textRuns(it) })
+      );
+    }
+    if (b.type === "table") {
+      return [
+        new Table({
+          width: { size: 100, type: WidthType.PERCENTAGE },
+          rows: [
+            new TableRow({ tableHeader: true, children: b.header.map((c) => runsCell(c, true)) }),
+            ...b.rows.map((r) => new TableRow({ children: r.map((c) => runsCell(c)) }))
+          ]
+        }),
+        new Paragraph({ children: [] })
+      ];
+    }
+    return [new Paragraph({ spacing: { after: 120 }, children: textRuns(b.runs) })];
+  });
+}
+
+const bullets = (items) => items.map((x) => new Paragraph({ bullet: { level: 0 }, children: [new TextRun(x)] }));
+
+export async function renderDocx(report) {
+  const children = [
+    new Paragraph({ heading: HeadingLevel.TITLE, children: [new TextRun(report.customerName)] }),
+    new Paragraph({
+      spacing: { after: 240 },
+      children: [new TextRun({ text: `${BRAND.name} · ${report.product} · ${report.subtitle}`, color: BRAND.muted })]
+    }),
+    new Paragraph({ heading: HeadingLevel.HEADING_1, children: [new TextRun(report.labels.keyFigures)] }),
+    table(
+      [report.labels.metric, report.labels.value, report.labels.basis],
+      report.kpis.map((k) => [k.label, k.value, k.sourceLabel || ""])
+    )
+  ];
+
+  if (report.cashflow) {
+    children.push(new Paragraph({ heading: HeadingLevel.HEADING_2, children: [new TextRun(report.labels.cashflow)] }));
+    children.push(table(report.cashflow.header, report.cashflow.rows));
+  }
+
+  for (const s of report.sections) {
+    children.push(new Paragraph({ heading: HeadingLevel.HEADING_1, pageBreakBefore: true, children: [new TextRun(s.title)] }));
+    if (s.subtitle) children.push(new Paragraph({ children: [new TextRun({ text: s.subtitle, italics: true, color: BRAND.muted })] }));
+    children.push(...blockElements(s.blocks));
+  }
+
+  children.push(new Paragraph({ heading: HeadingLevel.HEADING_1, pageBreakBefore: true, children: [new TextRun(report.labels.caveats)] }));
+  children.push(...bullets(report.caveats));
+  children.push(new Paragraph({ heading: HeadingLevel.HEADING_1, children: [new TextRun(report.labels.checklist)] }));
+  children.push(...bullets(report.checklist));
+  children.push(new Paragraph({ heading: HeadingLevel.HEADING_1, children: [new TextRun(report.labels.actions)] }));
+  children.push(...bullets(report.actions));
+  children.push(
+    new Paragraph({ spacing: { before: 360 }, children: [new TextRun({ text: report.disclaimer, italics: true, size: 16, color: BRAND.muted })] })
+  );
+
+  const doc = new Document({
+    creator: BRAND.name,
+    title: report.title,
+    styles: { default: { document: { run: { font: "Calibri", size: 21 } } } },
+    sections: [{ children }]
+  });
+  return Packer.toBuffer(doc);
+}
@@ -0,0 +1,105 @@
+import { resolveLocale } from "../locale.js";
+import { customerKey } from "../store.js";
+import { httpError } from "../util.js";
+import { renderDocx } from "./docx.js";
+import { renderPdf } from "./pdf.js";
+import { renderPptx } from "./pptx.js";
+import { buildReport } from "./report.js";
+
+/* ============================
+   Report exports
+============================ */
+const FORMATS = {
+  pdf: { render: renderPdf, contentType: "application/pdf" },
+  docx: {
+    render: renderDocx,
+    contentType: "application/vnd.openxmlformats-officedocument.wordprocessingml.document"
+  },
+  pptx: {
+    render: renderPptx,
+    contentType: "application/vnd.openxmlformats-officedocument.presentationml.presentation"
+  }
+};
+
+export const EXPORT_FORMATS = Object.keys(FORMATS);
+
+/**
+ * Renders a stored run (or a just-generated result of the same shape).
+ * Returns { buffer, contentType, filename }.
+ */
+export async function exportRun(run, format) {
+  const f = FORMATS[format];
+  if (!f) throw httpError(400, `Unsupported export format "${format}" (use ${EXPORT_FORMATS.join(", ")}).`);
+  if (!run?.output?.narratives) throw httpError(400, "Nothing to export: result has no narratives.");
+
+  const buffer = await f.render(buildReport(run));
+  const version = run.version ? `-v${run.version}` : "";
+  return { buffer, contentType: f.contentType, filename: `${customerKey(run.customerName)}-value-report${version}.${format}` };
+}
+
+/* ---------- Posted results ---------- */
+const LIST_FIELDS = ["assumptions_and_caveats", "clinical_validation_checklist", "next_best_actions"];
+const FINANCIAL_FIELDS = ["roiX", "annualTotalValue", "annualLaborValue", "annualRevenueUplift"];
+const YEAR_FIELDS = ["year", "adoptionPct", "totalValue", "subscriptionCost", "netCashFlow", "cumulativeNetCashFlow"];
+
+const isObject = (v) => v != null && typeof v === "object" && !Array.isArray(v);
+
+/**
+ * Checks a client-posted result against every field buildReport reads, so a
+ * malformed body is a 400 instead of a renderer crash. Returns the run with its
+ * locale resolved.
+ */
+export function validatePostedRun(run) {
+  const bad = (msg) => httpError(400, `Invalid result: ${msg}`);
+  const number = (v, name, optional = true) => {
+    if (optional && v == null) return;
+    if (typeof v !== "number" || !Number.isFinite(v)) throw bad(`${name} must be a number.`);
+  };
+  const string = (v, name) => {
+    if (v != null && typeof v !== "string") throw bad(`${name} must be a string.`);
+  };
+  const object = (v, name) => {
+    if (v != null && !isObject(v)) throw bad(`${name} must be an object.`);
+    return v || {};
+  };
+  const strings = (v, name) => {
+    if (v != null && !(Array.isArray(v) && v.every((x) => typeof x === "string"))) throw bad(`${name} must be an array of strings.`);
+  };
+
+  if (!isObject(run)) throw bad("body must be an object.");
+  for (const key of ["customerName", "model", "source"]) string(run[key], key);
+  number(run.version, "version");
+  if (run.createdAt != null && Number.isNaN(new Date(run.createdAt).getTime())) throw bad("createdAt must be a date.");
+  strings(run.audiences, "audiences");
+  object(run.prompt, "prompt");
+
+  const out = object(run.output, "output");
+  for (const [key, text] of Object.entries(object(out.narratives, "output.narratives"))) string(text, `output.narratives.${key}`);
+  for (const key of LIST_FIELDS) strings(out[key], `output.${key}`);
+
+  const fin = object(run.financials, "financials");
+  for (const key of FINANCIAL_FIELDS) number(fin[key], `financials.${key}`);
+  for (const [key, src] of Object.entries(object(fin.lineItemSources, "financials.lineItemSources"))) {
+    string(src, `financials.lineItemSources.${key}`);
+  }
+  if (fin.multiYear != null) {
+    const my = object(fin.multiYear, "financials.multiYear");
+    number(my.npv, "financials.multiYear.npv", false);
+    number(my.oneTimeCost, "financials.multiYear.oneTimeCost", false);
+    number(my.horizonYears, "financials.multiYear.horizonYears");
+    number(my.paybackMonth, "financials.multiYear.paybackMonth");
+    if (!Array.isArray(my.years)) throw bad("financials.multiYear.years must be an array.");
+    my.years.forEach((y, i) => {
+      if (!isObject(y)) throw bad(`financials.multiYear.years[${i}] must be an object.`);
+      for (const key of YEAR_FIELDS) number(y[key], `financials.multiYear.years[${i}].${key}`, false);
+    });
+  }
+
+  if (run.simulation != null) {
+    const roi = object(object(run.simulation, "simulation").roiX, "simulation.roiX");
+    number(roi.p10, "simulation.roiX.p10", false);
+    number(roi.p90, "simulation.roiX.p90", false);
+  }
+
+  return run.locale == null ? run : { ...run, locale: resolveLocale(object(run.locale, "locale")) };
+}
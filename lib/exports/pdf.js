@@ -0,0 +1,146 @@
+import PDFDocument from "pdfkit";
+import { BRAND } from "./report.js";
+
+/* ============================
+   PDF one-pager
+============================ */
+// The built-in PDF fonts only cover WinAnsi, so map common symbols and drop the rest.
+function pdfSafe(text) {
+  return String(text ?? "")
+    .replace(/[→⇒]/g, "->")
+    .replace(/[←]/g, "<-")
+    .replace(/[\u2212\u2011]/g, "-")
+    .replace(/[\u202F]/g, "\u00A0")
+    .replace(/[≥]/g, ">=")
+    .replace(/[≤]/g, "<=")
+    .replace(/[×]/g, "x")
+    .replace(/[^\t\n\r\x20-\x7E\xA0-\xFF\u2013\u2014\u2018\u2019\u201C\u201D\u2022\u2026\u20AC]/g, "");
+}
+
+const hex = (h) => `#${h}`;
+
+function toBuffer(doc) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    doc.on("data", (c) => chunks.push(c));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+    doc.end();
+  });
+}
+
+// Writes bold/plain runs as one flowing paragraph, truncated with an ellipsis at `bottom`.
+function writeRuns(doc, runs, { x, y, width, bottom, size, prefix = "" }) {
+  const parts = prefix ? [{ text: prefix, bold: false }, ...runs] : runs;
+  parts.forEach((r, i) => {
+    doc.font(r.bold ? "Helvetica-Bold" : "Helvetica").fontSize(size);
+    const opts = { width, height: Math.max(10, bottom - y), ellipsis: true, continued: i < parts.length - 1 };
+    if (i === 0) doc.text(pdfSafe(r.text), x, y, opts);
+    else doc.text(pdfSafe(r.text), opts);
+  });
+  return doc.y;
+}
+
+function writeBlock(doc, b, { x, y, width, bottom }) {
+  doc.fillColor(b.type === "heading" ? hex(BRAND.ink) : "#222");
+  if (b.type === "heading") {
+    return writeRuns(doc, b.runs.map((r) => ({ ...r, bold: true })), { x, y: y + 2, width, bottom, size: 9.5 });
+  }
+  if (b.type === "list") {
+    let ly = y;
+    b.items.forEach((it, i) => {
+      if (ly > bottom - 10) return;
+      ly = writeRuns(doc, it, { x: x + 6, y: ly, width: width - 6, bottom, size: 8.8, prefix: b.ordered ? `${i + 1}.  ` : "•  " }) + 1;
+    });
+    return ly;
+  }
+  if (b.type === "table") {
+    let ly = y;
+    [b.header, ...b.rows].forEach((row, i) => {
+      if (ly > bottom - 10) return;
+      const line = row.map((c) => c.map((r) => r.text).join("")).join("  |  ");
+      ly = writeRuns(doc, [{ text: line, bold: i === 0 }], { x, y: ly, width, bottom, size: 8.2 }) + 1;
+    });
+    return ly;
+  }
+  return writeRuns(doc, b.runs, { x, y, width, bottom, size: 8.8 });
+}
+
+export async function renderPdf(report) {
+  const doc = new PDFDocument({ size: "LETTER", margin: 42, info: { Title: pdfSafe(report.title), Author: BRAND.name } });
+  const W = doc.page.width;
+  const H = doc.page.height;
+  const M = 42;
+  const contentW = W - M * 2;
+
+  // Header band
+  doc.rect(0, 0, W, 78).fill(hex(BRAND.ink));
+  doc.rect(0, 78, W, 3).fill(hex(BRAND.aqua));
+  doc.fillColor("white").font("Helvetica-Bold").fontSize(18).text(pdfSafe(report.customerName), M, 22, { width: contentW });
+  doc.font("Helvetica").fontSize(9.5).fillColor(hex(BRAND.blue)).text(pdfSafe(`${BRAND.name} · ${report.product} · ${report.subtitle}`), M, 48, {
+    width: contentW
+  });
+
+  // KPI tiles (up to 4 per row)
+  let y = 96;
+  const perRow = 4;
+  const gap = 8;
+  const tileW = (contentW - gap * (perRow - 1)) / perRow;
+  report.kpis.slice(0, 8).forEach((k, i) => {
+    const x = M + (i % perRow) * (tileW + gap);
+    const ty = y + Math.floor(i / perRow) * 50;
+    doc.roundedRect(x, ty, tileW, 42, 6).fill("#F2F6FC");
+    doc.fillColor(hex(BRAND.muted)).font("Helvetica").fontSize(7.5).text(pdfSafe(k.label.toUpperCase()), x + 8, ty + 7, { width: tileW - 16 });
+    doc.fillColor(hex(BRAND.ink)).font("Helvetica-Bold").fontSize(12.5).text(pdfSafe(k.value), x + 8, ty + 19, { width: tileW - 16 });
+    if (k.source) {
+      doc.fillColor(k.source === "validated" ? "#0F9D6B" : "#B7791F").font("Helvetica-Bold").fontSize(6.5)
+        .text(pdfSafe(k.sourceLabel.toUpperCase()), x + 8, ty + 34, { width: tileW - 16 });
+    }
+  });
+  y += Math.ceil(Math.min(report.kpis.length, 8) / perRow) * 50 + 6;
+
+  // Lead narrative: executive summary if present, else the first requested audience
+  const lead = report.sections.find((s) => s.key === "executive") || report.sections[0];
+  const footerTop = H - 40;
+  const sideW = 190;
+  const mainW = contentW - sideW - 16;
+
+  if (lead) {
+    doc.fillColor(hex(BRAND.ink)).font("Helvetica-Bold").fontSize(11).text(pdfSafe(lead.title), M, y, { width: mainW });
+    let ly = doc.y + 4;
+    doc.font("Helvetica").fontSize(8.8).fillColor("#222");
+    for (const b of lead.blocks) {
+      if (ly > footerTop - 24) break;
+      ly = writeBlock(doc, b, { x: M, y: ly, width: mainW, bottom: footerTop - 12 }) + 2;
+    }
+  }
+
+  // Right column: next best actions + caveats
+  const sx = M + mainW + 16;
+  doc.roundedRect(sx - 8, y - 4, sideW + 8, footerTop - y - 8, 6).fill("#F7F9FC");
+  let sy = y;
+  const sideList = (title, items, max) => {
+    doc.fillColor(hex(BRAND.ink)).font("Helvetica-Bold").fontSize(9.5).text(pdfSafe(title), sx, sy, { width: sideW - 8 });
+    sy = doc.y + 3;
+    for (const item of items.slice(0, max)) {
+      if (sy > footerTop - 30) break;
+      doc.fillColor("#333").font("Helvetica").fontSize(7.8).text(pdfSafe(`•  ${item}`), sx, sy, {
+        width: sideW - 8,
+        height: footerTop - 16 - sy,
+        ellipsis: true
+      });
+      sy = doc.y + 3;
+    }
+    sy += 6;
+  };
+  sideList(report.labels.actions, report.actions, 3);
+  sideList(report.labels.caveats, report.caveats, 5);
+  sideList(report.labels.checklistShort, report.checklist, 4);
+
+  // Footer (drop the bottom margin so writing inside it does not start a second page)
+  doc.page.margins.bottom = 0;
+  doc.rect(0, H - 30, W, 30).fill(hex(BRAND.ink));
+  doc.fillColor("#C9D4E5").font("Helvetica").fontSize(7).text(pdfSafe(report.disclaimer), M, H - 20, { width: contentW, lineBreak: false });
+
+  return toBuffer(doc);
+}
@@ -0,0 +1,103 @@
+import { createRequire } from "module";
+import { runsText } from "../markdown.js";
+import { BRAND } from "./report.js";
+
+// pptxgenjs ships its ESM build as plain .js without "type": "module", which
+// Node before 20.19 refuses to load; its CommonJS build works everywhere.
+const PptxGenJS = createRequire(import.meta.url)("pptxgenjs");
+
+/* ============================
+   PowerPoint deck
+============================ */
+const FONT = "Calibri";
+
+function addFrame(pptx, slide, title, subtitle) {
+  slide.background = { color: "FFFFFF" };
+  slide.addShape(pptx.ShapeType.rect, { x: 0, y: 0, w: "100%", h: 0.9, fill: { color: BRAND.ink } });
+  slide.addShape(pptx.ShapeType.rect, { x: 0, y: 0.9, w: "100%", h: 0.05, fill: { color: BRAND.aqua } });
+  slide.addText(title, { x: 0.5, y: 0.12, w: 9, h: 0.45, fontFace: FONT, fontSize: 22, bold: true, color: "FFFFFF" });
+  if (subtitle) slide.addText(subtitle, { x: 0.5, y: 0.52, w: 9, h: 0.3, fontFace: FONT, fontSize: 11, color: BRAND.blue });
+}
+
+function bulletSlide(pptx, title, subtitle, items) {
+  const slide = pptx.addSlide();
+  addFrame(pptx, slide, title, subtitle);
+  slide.addText(
+    items.map((t) => ({ text: t, options: { bullet: true, breakLine: true } })),
+    { x: 0.6, y: 1.2, w: 8.8, h: 4.1, fontFace: FONT, fontSize: 15, color: "222222", valign: "top", fit: "shrink", paraSpaceAfter: 6 }
+  );
+  return slide;
+}
+
+// One text frame per slide: each Markdown block becomes a paragraph of bold/plain runs.
+// Tables are flattened to "a · b · c" lines so they still fit the shrink-to-fit frame.
+function paragraph(runs, options) {
+  return runs.map((r, i) => ({
+    text: r.text,
+    options: { ...(i === 0 ? options : {}), bold: options.bold || r.bold, breakLine: i === runs.length - 1 }
+  }));
+}
+
+function blockTextRuns(blocks) {
+  return blocks.flatMap((b) => {
+    if (b.type === "heading") return paragraph(b.runs, { bold: true, color: BRAND.ink, paraSpaceBefore: 6 });
+    if (b.type === "list") return b.items.flatMap((it) => paragraph(it, { bullet: b.ordered ? { type: "number" } : true }));
+    if (b.type === "table") {
+      return [b.header, ...b.rows].flatMap((row, i) =>
+        paragraph([{ text: row.map((c) => runsText(c)).join("  ·  "), bold: i === 0 }], { bullet: false })
+      );
+    }
+    return paragraph(b.runs, {});
+  });
+}
+
+export async function renderPptx(report) {
+  const pptx = new PptxGenJS();
+  pptx.layout = "LAYOUT_16x9";
+  pptx.author = BRAND.name;
+  pptx.title = report.title;
+
+  // Title
+  const title = pptx.addSlide();
+  title.background = { color: BRAND.ink };
+  title.addText(report.customerName, { x: 0.6, y: 1.7, w: 8.8, h: 0.9, fontFace: FONT, fontSize: 36, bold: true, color: "FFFFFF" });
+  title.addText(report.product, { x: 0.6, y: 2.6, w: 8.8, h: 0.5, fontFace: FONT, fontSize: 20, color: BRAND.aqua });
+  title.addText(report.subtitle, { x: 0.6, y: 3.15, w: 8.8, h: 0.4, fontFace: FONT, fontSize: 12, color: "C9D4E5" });
+
+  // KPIs
+  const kpi = pptx.addSlide();
+  addFrame(pptx, kpi, report.labels.glance, report.disclaimer);
+  report.kpis.slice(0, 8).forEach((k, i) => {
+    const x = 0.5 + (i % 4) * 2.3;
+    const y = 1.3 + Math.floor(i / 4) * 1.6;
+    kpi.addShape(pptx.ShapeType.roundRect, { x, y, w: 2.1, h: 1.35, fill: { color: "F2F6FC" }, rectRadius: 0.08 });
+    kpi.addText(k.label.toUpperCase(), { x: x + 0.1, y: y + 0.1, w: 1.9, h: 0.3, fontFace: FONT, fontSize: 9, color: BRAND.muted });
+    kpi.addText(k.value, { x: x + 0.1, y: y + 0.42, w: 1.9, h: 0.5, fontFace: FONT, fontSize: 18, bold: true, color: BRAND.ink, fit: "shrink" });
+    if (k.source) {
+      kpi.addText(k.sourceLabel.toUpperCase(), {
+        x: x + 0.1,
+        y: y + 0.95,
+        w: 1.9,
+        h: 0.25,
+        fontFace: FONT,
+        fontSize: 8,
+        bold: true,
+        color: k.source === "validated" ? "0F9D6B" : "B7791F"
+      });
+    }
+  });
+
+  // One slide per audience
+  for (const s of report.sections) {
+    const slide = pptx.addSlide();
+    addFrame(pptx, slide, s.title, s.subtitle);
+    slide.addText(blockTextRuns(s.blocks), { x: 0.6, y: 1.15, w: 8.8, h: 4.25, fontFace: FONT, fontSize: 12, color: "222222", valign: "top", fit: "shrink" });
+    slide.addNotes(s.text);
+  }
+
+  bulletSlide(pptx, report.labels.caveats, null, report.caveats);
+  bulletSlide(pptx, report.labels.checklist, report.labels.checklistSub, report.checklist);
+  bulletSlide(pptx, report.labels.actions, null, report.actions);
+
+  return pptx.write({ outputType: "nodebuffer" });
+}
@@ -0,0 +1,96 @@
+import { getAudience } from "../audiences.js";
+import { localeOf, multiple, strings } from "../locale.js";
+import { parseMarkdown } from "../markdown.js";
+import { money } from "../util.js";
+
+/* ============================
+   Format-neutral report model
+============================ */
+// Every exporter renders this same structure, so the three formats never disagree.
+// Labels and money follow the run's locale and currency.
+export const BRAND = {
+  name: "SuccessForce",
+  product: "Value Intelligence Report",
+  blue: "4DA3FF",
+  aqua: "57FFD6",
+  ink: "0A1224",
+  muted: "5B6478"
+};
+
+export function buildReport(run) {
+  const fmt = localeOf(run);
+  const L = strings(fmt).report;
+  const m = (n) => money(n, fmt);
+  const roi = (x) => multiple(x, fmt);
+  const fin = run.financials || {};
+  const src = fin.lineItemSources || {};
+  const my = fin.multiYear;
+  const sim = run.simulation;
+  const out = run.output || {};
+  const narratives = out.narratives || {};
+  const audiences = run.audiences || Object.keys(narratives);
+
+  const kpis = [
+    { label: src.roiX === "validated" ? L.validatedRoi : L.illustrativeRoi, value: roi(fin.roiX), source: src.roiX },
+    { label: L.annualValue, value: m(fin.annualTotalValue || 0), source: src.annualTotalValue },
+    { label: L.laborValue, value: m(fin.annualLaborValue || 0), source: src.annualLaborValue },
+    { label: L.revenueUplift, value: m(fin.annualRevenueUplift || 0), source: src.annualRevenueUplift }
+  ];
+  if (my) {
+    kpis.push({ label: L.npv(my.horizonYears), value: m(my.npv) });
+    kpis.push({ label: L.payback, value: my.paybackMonth != null ? L.paybackMonth(my.paybackMonth) : L.notReached });
+  }
+  if (sim) kpis.push({ label: L.roiRange, value: `${roi(sim.roiX.p10)} – ${roi(sim.roiX.p90)}` });
+  for (const k of kpis) if (k.source) k.sourceLabel = L.sources[k.source] || k.source;
+
+  const cashflow = my
+    ? {
+        header: L.cashflowHeader,
+        rows: [
+          [L.year(0), "—", "—", "—", m(-my.oneTimeCost), m(-my.oneTimeCost)],
+          ...my.years.map((y) => [
+            L.year(y.year),
+            `${y.adoptionPct.toFixed(0)}%`,
+            m(y.totalValue),
+            m(y.subscriptionCost),
+            m(y.netCashFlow),
+            m(y.cumulativeNetCashFlow)
+          ])
+        ]
+      }
+    : null;
+
+  return {
+    title: `${run.customerName || "Customer"} — ${L.product}`,
+    product: L.product,
+    locale: fmt.locale,
+    customerName: run.customerName || "Customer",
+    subtitle: [
+      run.version ? L.version(run.version) : null,
+      run.createdAt ? new Date(run.createdAt).toISOString().slice(0, 10) : new Date().toISOString().slice(0, 10),
+      run.model ? L.model(run.model) : null,
+      run.prompt ? L.prompt(run.prompt.version) : null,
+      run.source === "template" ? L.template : run.source === "mixed" ? L.mixed : null,
+      run.provenance ? L.audit(run.provenance.seq, run.provenance.hash.slice(0, 12)) : null
+    ]
+      .filter(Boolean)
+      .join(" · "),
+    kpis,
+    labels: L.headings,
+    sections: audiences
+      .filter((key) => narratives[key])
+      .map((key) => ({
+        key,
+        // A custom audience may have been deleted since the run was saved.
+        title: getAudience(key)?.title || key,
+        subtitle: getAudience(key)?.subtitle || "",
+        text: narratives[key],
+        blocks: parseMarkdown(narratives[key])
+      })),
+    caveats: out.assumptions_and_caveats || [],
+    checklist: out.clinical_validation_checklist || [],
+    actions: out.next_best_actions || [],
+    cashflow,
+    disclaimer: L.disclaimer
+  };
+}
@@ -0,0 +1,174 @@
+import { getAudience } from "./audiences.js";
+import { localeOf, multiple, num, strings } from "./locale.js";
+import { money, safeNum } from "./util.js";
+
+/* ============================
+   Template narratives (model fallback)
+============================ */
+// Deterministic Markdown built only from computed figures, used when the model
+// errors, times out or returns unusable JSON. Same inputs → same text. Wording
+// lives in lib/locales/ so templates follow the requested language.
+
+function conclusive(m) {
+  return Boolean(m?.ci95 && (m.ci95[1] < 0 || m.ci95[0] > 0));
+}
+
+function evidenceBullet(L, label, m, unit, fmt) {
+  if (!m || !m.n) return null;
+  const ci = m.ci95 ? L.evidence.ci(num(m.ci95[0], 1, fmt), num(m.ci95[1], 1, fmt)) : L.evidence.noCi;
+  const verdict = conclusive(m) ? L.evidence.conclusive : L.evidence.inconclusive;
+  return L.evidence.bullet(label, num(m.mean_change, 1, fmt), unit, ci, m.n, verdict);
+}
+
+// Difference-in-differences against the comparison cohort (see lib/telemetry.js).
+function didBullet(L, label, m, unit, fmt) {
+  if (!m || m.did == null) return null;
+  const ci = m.ci95 ? L.evidence.ci(num(m.ci95[0], 1, fmt), num(m.ci95[1], 1, fmt)) : L.evidence.noCi;
+  const verdict = conclusive(m) ? L.evidence.conclusive : L.evidence.inconclusive;
+  return L.evidence.did(label, num(m.did, 1, fmt), unit, ci, m.n_adopters, m.n_comparison, verdict);
+}
+
+function evidenceBullets(L, t, fmt) {
+  if (!t) return [];
+  const { labels, units } = L.evidence;
+  const cc = t.cohort_comparison;
+  return [
+    evidenceBullet(L, labels.doc, t.doc_minutes, units.minutes, fmt),
+    evidenceBullet(L, labels.afterHours, t.after_hours_minutes, units.minutes, fmt),
+    evidenceBullet(L, labels.encounters, t.encounters_per_day, units.encounters, fmt),
+    didBullet(L, labels.doc, cc?.doc_minutes, units.minutes, fmt),
+    didBullet(L, labels.afterHours, cc?.after_hours_minutes, units.minutes, fmt)
+  ].filter(Boolean);
+}
+
+function controlledEffect(L, t, fmt) {
+  const m = t?.cohort_comparison?.doc_minutes;
+  if (!m || m.did == null || !m.ci95) return null;
+  return L.evidence.controlled(num(m.did, 1, fmt), L.evidence.units.minutes, L.evidence.ci(num(m.ci95[0], 1, fmt), num(m.ci95[1], 1, fmt)));
+}
+
+function cashflowTable(L, my, fmt) {
+  const m = (n) => money(n, fmt);
+  return [
+    `| ${L.cashflowHeader.join(" | ")} |`,
+    `|${" --- |".repeat(L.cashflowHeader.length)}`,
+    `| 0 | — | — | ${m(-my.oneTimeCost)} | ${m(-my.oneTimeCost)} |`,
+    ...my.years.map(
+      (y) => `| ${y.year} | ${num(y.adoptionPct, 0, fmt)}% | ${m(y.totalValue)} | ${m(y.netCashFlow)} | ${m(y.cumulativeNetCashFlow)} |`
+    )
+  ];
+}
+
+// Every figure the templates print, already formatted for the run's locale and currency.
+function facts(ctx, L, fmt) {
+  const { payload, financials: fin, scenarioAnalysis: sa, simulation: sim } = ctx;
+  const src = fin.lineItemSources;
+  const vi = fin.valueInputs;
+  const my = fin.multiYear;
+  const m = (n) => money(n, fmt);
+  const tag = (source) => (source === "validated" ? L.sourceTag.validated : L.sourceTag.illustrative);
+  const x = (r) => multiple(r, fmt);
+
+  return {
+    name: payload.customerName,
+    specialty: payload.specialty,
+    physicians: num(safeNum(payload.physicianCount, 0), 0, fmt),
+    adoptionPct: num(safeNum(payload.adoptionRatePct, 0), 0, fmt),
+    nps: num(safeNum(payload.npsScore, 0), 0, fmt),
+    burnout: payload.burnoutImprovement ? L.burnout[payload.burnoutImprovement] || payload.burnoutImprovement : null,
+    cautious: Boolean(payload.clinicalValidationMode),
+    epicMapping: Boolean(payload.epicMapping),
+    timeSaved: num(vi.timeSavedHrsPerDay.value, 2, fmt),
+    timeSavedTag: tag(vi.timeSavedHrsPerDay.source),
+    timeSavedBasis: vi.timeSavedHrsPerDay.basis,
+    capacity: num(vi.patientIncreasePerDay.value, 2, fmt),
+    capacityTag: tag(vi.patientIncreasePerDay.source),
+    evidenceHeading: L.evidence.heading,
+    evidence: evidenceBullets(L, payload.telemetrySummary, fmt),
+    controlled: controlledEffect(L, payload.telemetrySummary, fmt),
+    rampStartPct: fin.assumptionsUsed.rampStartPct,
+    rampMonths: fin.assumptionsUsed.rampMonths,
+    labor: m(fin.annualLaborValue),
+    laborTag: tag(src.annualLaborValue),
+    revenue: m(fin.annualRevenueUplift),
+    revenueTag: tag(src.annualRevenueUplift),
+    cost: m(fin.annualSukiCost),
+    value: m(fin.annualTotalValue),
+    valueP10: m(sim.annualTotalValue.p10),
+    valueP90: m(sim.annualTotalValue.p90),
+    valueTag: tag(src.annualTotalValue),
+    roi: x(fin.roiX),
+    roiP10: x(sim.roiX.p10),
+    roiP90: x(sim.roiX.p90),
+    horizon: my.horizonYears,
+    cashflow: cashflowTable(L, my, fmt),
+    npv: m(my.npv),
+    discountRatePct: fin.assumptionsUsed.discountRatePct,
+    payback: L.payback(my.paybackMonth, my.horizonYears),
+    oneTime: m(my.oneTimeCost),
+    scenarios: (sa?.scenarios || []).map((s) => ({ label: s.label, roi: x(s.roiX) })),
+    drivers: (sa?.sensitivity?.drivers || []).slice(0, 3).map((d) => d.label),
+    probAbove1: num(sim.probRoiAbove1 * 100, 0, fmt),
+    validated: src.annualTotalValue === "validated",
+    rate: m(fin.assumptionsUsed.fullyLoadedPhysicianRate),
+    reimbursement: m(fin.assumptionsUsed.reimbursementPerVisit),
+    workDays: fin.assumptionsUsed.workDays,
+    escalatorPct: fin.assumptionsUsed.priceEscalatorPct
+  };
+}
+
+const md = (lines) => lines.filter((l) => l != null).join("\n");
+
+// Registry audiences reuse the base template they name, under their own heading.
+function audienceNarrative(L, key, n, name) {
+  const audience = getAudience(key);
+  const base = audience?.template || key;
+  if (!n[base]) return "";
+  if (base === key) return md(n[base]);
+  return md([L.audienceHeading(audience.title, name), ...n[base].slice(1)]);
+}
+
+/**
+ * Full schema-shaped output from templates (one narrative per requested audience).
+ * ctx: { payload, audiences, locale, financials, scenarioAnalysis, simulation }
+ */
+export function buildTemplateOutput(ctx) {
+  const fmt = localeOf(ctx);
+  const L = strings(fmt);
+  const d = facts(ctx, L, fmt);
+  const n = L.narratives(d);
+  return {
+    narratives: Object.fromEntries(ctx.audiences.map((k) => [k, audienceNarrative(L, k, n, d.name)])),
+    ...L.lists(d)
+  };
+}
+
+/**
+ * Fills every requested narrative and list the model left empty from the template.
+ * Returns { output, templateFields } where templateFields names what was filled.
+ */
+export function fillFromTemplate(out, ctx) {
+  const template = buildTemplateOutput(ctx);
+  const templateFields = [];
+
+  for (const key of ctx.audiences) {
+    if (template.narratives[key] && !String(out.narratives[key] || "").trim()) {
+      out.narratives[key] = template.narratives[key];
+      templateFields.push(`narratives.${key}`);
+    }
+  }
+
+  for (const [key, min] of [
+    ["assumptions_and_caveats", 1],
+    ["clinical_validation_checklist", 1],
+    ["next_best_actions", 3]
+  ]) {
+    if (out[key].length >= min) continue;
+    const have = new Set(out[key]);
+    const extra = template[key].filter((item) => !have.has(item));
+    out[key] = out[key].length ? [...out[key], ...extra].slice(0, Math.max(min, out[key].length)) : template[key];
+    templateFields.push(key);
+  }
+
+  return { output: out, templateFields };
+}
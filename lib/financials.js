@@ -0,0 +1,228 @@
+import { clamp, safeNum } from "./util.js";
+
+/* ============================
+   Input limits
+============================ */
+// [min, max] the model accepts for each driver; anything outside is clamped.
+export const INPUT_LIMITS = {
+  timeSavedHrsPerDay: [0, 8],
+  patientIncreasePerDay: [0, 30],
+  physicianHourlyRate: [80, 600],
+  reimbursementPerVisit: [40, 1000],
+  sukiCostPerPhysicianPerMonth: [50, 2000],
+  workDaysPerYear: [180, 365]
+};
+
+/* ============================
+   Telemetry-derived inputs
+============================ */
+// A paired change counts as evidence only when its 95% CI sits entirely on the improving side.
+function improvement(metric, direction) {
+  if (!metric || !metric.n || !metric.ci95) return null;
+  const [lo, hi] = metric.ci95;
+  if (direction < 0 ? hi >= 0 : lo <= 0) return null;
+  return Math.abs(metric.mean_change);
+}
+
+/**
+ * Resolves time saved and capacity uplift: from telemetry when valueMode is
+ * "telemetry" and the paired evidence is conclusive, else the hand-entered figures.
+ */
+export function resolveValueInputs(input, telemetrySummary) {
+  const useTelemetry = input.valueMode === "telemetry" && telemetrySummary;
+
+  const timeSaved = {
+    value: clamp(safeNum(input.timeSavedHrsPerDay, 0), ...INPUT_LIMITS.timeSavedHrsPerDay),
+    source: "illustrative",
+    basis: "Hand-entered hours saved per physician per day."
+  };
+  const patientIncrease = {
+    value: clamp(safeNum(input.patientIncreasePerDay, 0), ...INPUT_LIMITS.patientIncreasePerDay),
+    source: "illustrative",
+    basis: "Hand-entered additional patients per physician per day."
+  };
+
+  if (useTelemetry) {
+    const doc = telemetrySummary.doc_minutes;
+    const docSaved = improvement(doc, -1);
+    if (docSaved != null) {
+      timeSaved.value = clamp(docSaved / 60, ...INPUT_LIMITS.timeSavedHrsPerDay);
+      timeSaved.source = "validated";
+      timeSaved.basis = `Paired telemetry: doc minutes per provider-day fell ${docSaved.toFixed(1)} min (n=${doc.n}).`;
+    } else {
+      timeSaved.basis += " Telemetry doc-minute change was missing or its 95% CI included zero.";
+    }
+
+    const enc = telemetrySummary.encounters_per_day;
+    const encGained = improvement(enc, 1);
+    if (encGained != null) {
+      patientIncrease.value = clamp(encGained, ...INPUT_LIMITS.patientIncreasePerDay);
+      patientIncrease.source = "validated";
+      patientIncrease.basis = `Paired telemetry: encounters per provider-day rose ${encGained.toFixed(2)} (n=${enc.n}).`;
+    } else {
+      patientIncrease.basis += " Telemetry encounter change was missing or its 95% CI included zero.";
+    }
+  }
+
+  return { timeSavedHrsPerDay: timeSaved, patientIncreasePerDay: patientIncrease };
+}
+
+/* ============================
+   Multi-year cash flows
+============================ */
+function npv(rate, flows) {
+  return flows.reduce((acc, cf, t) => acc + cf / (1 + rate) ** t, 0);
+}
+
+// Bisection on NPV(rate) = 0; null when there is no root between -99% and 1000%.
+function irr(flows) {
+  let lo = -0.99;
+  let hi = 10;
+  let fLo = npv(lo, flows);
+  const fHi = npv(hi, flows);
+  if (!Number.isFinite(fLo) || !Number.isFinite(fHi) || fLo * fHi > 0) return null;
+  for (let i = 0; i < 200; i++) {
+    const mid = (lo + hi) / 2;
+    const fMid = npv(mid, flows);
+    if (Math.abs(fMid) < 1e-6) return mid;
+    if (fLo * fMid < 0) hi = mid;
+    else {
+      lo = mid;
+      fLo = fMid;
+    }
+  }
+  return (lo + hi) / 2;
+}
+
+/**
+ * Month-by-month model rolled up to years: value ramps linearly from
+ * rampStartPct to full adoption over rampMonths, subscription price escalates
+ * each contract year, and one-time costs land in year 0.
+ */
+export function computeMultiYear({ annualLaborValue, annualRevenueUplift, annualSukiCost, physicians, plan }) {
+  const { horizonYears, rampStartPct, rampMonths, implementationCost, trainingCostPerPhysician, priceEscalatorPct, discountRatePct } = plan;
+  const oneTimeCost = implementationCost + trainingCostPerPhysician * physicians;
+  const monthlyValue = (annualLaborValue + annualRevenueUplift) / 12;
+  const laborShare = annualLaborValue + annualRevenueUplift > 0 ? annualLaborValue / (annualLaborValue + annualRevenueUplift) : 0;
+
+  const years = [];
+  let cumulative = -oneTimeCost;
+  let paybackMonth = cumulative >= 0 ? 0 : null;
+
+  for (let y = 1; y <= horizonYears; y++) {
+    const subscription = annualSukiCost * (1 + priceEscalatorPct / 100) ** (y - 1);
+    let value = 0;
+    let adoptionSum = 0;
+
+    for (let m = 1; m <= 12; m++) {
+      const month = (y - 1) * 12 + m;
+      const adoption = rampMonths > 0 ? Math.min(1, (rampStartPct + ((100 - rampStartPct) * (month - 1)) / rampMonths) / 100) : 1;
+      adoptionSum += adoption;
+      value += monthlyValue * adoption;
+      cumulative += monthlyValue * adoption - subscription / 12;
+      if (paybackMonth == null && cumulative >= 0) paybackMonth = month;
+    }
+
+    const net = value - subscription;
+    years.push({
+      year: y,
+      adoptionPct: (adoptionSum / 12) * 100,
+      laborValue: value * laborShare,
+      revenueUplift: value * (1 - laborShare),
+      totalValue: value,
+      subscriptionCost: subscription,
+      netCashFlow: net,
+      discountedNetCashFlow: net / (1 + discountRatePct / 100) ** y,
+      cumulativeNetCashFlow: cumulative
+    });
+  }
+
+  const flows = [-oneTimeCost, ...years.map((r) => r.netCashFlow)];
+  const totalValue = years.reduce((a, r) => a + r.totalValue, 0);
+  const totalCost = oneTimeCost + years.reduce((a, r) => a + r.subscriptionCost, 0);
+
+  return {
+    horizonYears,
+    oneTimeCost,
+    years,
+    totals: {
+      totalValue,
+      totalCost,
+      netValue: totalValue - totalCost,
+      roiX: totalCost > 0 ? totalValue / totalCost : null
+    },
+    npv: npv(discountRatePct / 100, flows),
+    irr: irr(flows),
+    paybackMonth
+  };
+}
+
+function planAssumptions(a = {}) {
+  return {
+    horizonYears: Math.round(clamp(safeNum(a.horizonYears, 3), 1, 5)),
+    rampStartPct: clamp(safeNum(a.rampStartPct, 40), 0, 100),
+    rampMonths: Math.round(clamp(safeNum(a.rampMonths, 6), 0, 36)),
+    implementationCost: clamp(safeNum(a.implementationCost, 25000), 0, 50000000),
+    trainingCostPerPhysician: clamp(safeNum(a.trainingCostPerPhysician, 200), 0, 20000),
+    priceEscalatorPct: clamp(safeNum(a.priceEscalatorPct, 3), 0, 25),
+    discountRatePct: clamp(safeNum(a.discountRatePct, 8), 0, 30)
+  };
+}
+
+/* ============================
+   Financial model
+============================ */
+export function computeFinancials(input, telemetrySummary = null) {
+  // Conservative defaults; illustrative unless telemetry validates
+  const physicians = clamp(safeNum(input.physicianCount, 1), 1, 200000);
+  const valueInputs = resolveValueInputs(input, telemetrySummary);
+  const timeSaved = valueInputs.timeSavedHrsPerDay.value;
+  const patientIncrease = valueInputs.patientIncreasePerDay.value;
+
+  const fullyLoadedPhysicianRate = clamp(safeNum(input.assumptions?.physicianHourlyRate, 200), ...INPUT_LIMITS.physicianHourlyRate);
+  const reimbursementPerVisit = clamp(safeNum(input.assumptions?.reimbursementPerVisit, 150), ...INPUT_LIMITS.reimbursementPerVisit);
+  const sukiCostPerPhysicianPerMonth = clamp(
+    safeNum(input.assumptions?.sukiCostPerPhysicianPerMonth, 300),
+    ...INPUT_LIMITS.sukiCostPerPhysicianPerMonth
+  );
+
+  const workDays = clamp(safeNum(input.assumptions?.workDaysPerYear, 250), ...INPUT_LIMITS.workDaysPerYear);
+  const plan = planAssumptions(input.assumptions);
+
+  const annualLaborValue = physicians * timeSaved * fullyLoadedPhysicianRate * workDays;
+  const annualRevenueUplift = physicians * patientIncrease * reimbursementPerVisit * workDays;
+
+  const annualSukiCost = physicians * sukiCostPerPhysicianPerMonth * 12;
+  const annualTotalValue = annualLaborValue + annualRevenueUplift;
+  const roiX = annualSukiCost > 0 ? annualTotalValue / annualSukiCost : null;
+
+  // Value lines are only "validated" when every driver behind them came from telemetry.
+  const laborSource = valueInputs.timeSavedHrsPerDay.source;
+  const revenueSource = valueInputs.patientIncreasePerDay.source;
+  const totalSource = laborSource === "validated" && revenueSource === "validated" ? "validated" : "illustrative";
+
+  return {
+    valueMode: input.valueMode === "telemetry" ? "telemetry" : "illustrative",
+    assumptionsUsed: {
+      fullyLoadedPhysicianRate,
+      reimbursementPerVisit,
+      sukiCostPerPhysicianPerMonth,
+      workDays,
+      ...plan
+    },
+    valueInputs,
+    lineItemSources: {
+      annualLaborValue: laborSource,
+      annualRevenueUplift: revenueSource,
+      annualSukiCost: "illustrative",
+      annualTotalValue: totalSource,
+      roiX: totalSource
+    },
+    annualLaborValue,
+    annualRevenueUplift,
+    annualSukiCost,
+    annualTotalValue,
+    roiX,
+    multiYear: computeMultiYear({ annualLaborValue, annualRevenueUplift, annualSukiCost, physicians, plan })
+  };
+}
@@ -0,0 +1,67 @@
+import { httpError } from "./util.js";
+import en from "./locales/en.js";
+import es from "./locales/es.js";
+import fr from "./locales/fr.js";
+
+/* ============================
+   Locales + currencies
+============================ */
+// Narrative language follows the locale; money follows the currency. Figures are
+// never converted: inputs are assumed to be entered in the chosen currency.
+
+export const LOCALES = {
+  "en-US": { lang: "en", language: "English (United States)", currency: "USD" },
+  "en-CA": { lang: "en", language: "English (Canada)", currency: "CAD" },
+  "en-GB": { lang: "en", language: "English (United Kingdom)", currency: "GBP" },
+  "es-US": { lang: "es", language: "Spanish (United States)", currency: "USD" },
+  "es-MX": { lang: "es", language: "Spanish (Mexico)", currency: "MXN" },
+  "es-ES": { lang: "es", language: "Spanish (Spain)", currency: "EUR" },
+  "fr-CA": { lang: "fr", language: "Canadian French", currency: "CAD" },
+  "fr-FR": { lang: "fr", language: "French (France)", currency: "EUR" }
+};
+
+export const DEFAULT_LOCALE = { locale: "en-US", currency: "USD", lang: "en", language: "English (United States)" };
+
+const STRINGS = { en, es, fr };
+
+const CURRENCIES = new Set(Intl.supportedValuesOf("currency"));
+
+/** { locale, currency } from a request → { locale, currency, lang, language }; unsupported values are a 400. */
+export function resolveLocale({ locale, currency } = {}) {
+  const tag = locale ? String(locale) : DEFAULT_LOCALE.locale;
+  const info = LOCALES[tag];
+  if (!info) throw httpError(400, `Unsupported locale "${tag}". Use one of: ${Object.keys(LOCALES).join(", ")}.`);
+
+  const code = currency ? String(currency).toUpperCase() : info.currency;
+  if (!CURRENCIES.has(code)) throw httpError(400, `Unsupported currency "${currency}".`);
+
+  return { locale: tag, currency: code, lang: info.lang, language: info.language };
+}
+
+// Runs saved before locales existed carry none.
+export function localeOf(run) {
+  return run?.locale?.locale ? run.locale : DEFAULT_LOCALE;
+}
+
+export function strings(fmt) {
+  return STRINGS[fmt?.lang] || en;
+}
+
+const numberFormats = new Map();
+
+/** Locale-formatted number with a fixed number of decimals. */
+export function num(n, digits = 0, fmt = DEFAULT_LOCALE) {
+  if (!Number.isFinite(n)) return "n/a";
+  const key = `${fmt.locale}|${digits}`;
+  let f = numberFormats.get(key);
+  if (!f) {
+    f = new Intl.NumberFormat(fmt.locale, { minimumFractionDigits: digits, maximumFractionDigits: digits });
+    numberFormats.set(key, f);
+  }
+  return f.format(n);
+}
+
+// ROI multiples read "2.4x" / "2,4x".
+export function multiple(r, fmt = DEFAULT_LOCALE) {
+  return Number.isFinite(r) ? `${num(r, 1, fmt)}x` : "N/A";
+}
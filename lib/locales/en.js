@@ -0,0 +1,146 @@
+/* ============================
+   English strings (template narratives + reports)
+============================ */
+// d is the preformatted fact sheet built in lib/fallback.js (money and numbers
+// already in the run's locale and currency).
+
+export default {
+  sourceTag: { validated: "validated by telemetry", illustrative: "illustrative" },
+  burnout: { mild: "mild", moderate: "moderate", significant: "significant" },
+
+  evidence: {
+    heading: "Telemetry evidence",
+    labels: { doc: "Documentation time", afterHours: "After-hours documentation", encounters: "Encounters per provider-day" },
+    units: { minutes: "min/day", encounters: "encounters" },
+    ci: (lo, hi) => `95% CI ${lo} to ${hi}`,
+    noCi: "CI n/a",
+    conclusive: "validated by telemetry",
+    inconclusive: "not yet distinguishable from no change",
+    bullet: (label, mean, unit, ci, n, verdict) => `- **${label}:** mean change ${mean} ${unit} (${ci}, n=${n}) — ${verdict}`,
+    did: (label, effect, unit, ci, nA, nC, verdict) =>
+      `- **${label} vs. comparison providers:** difference-in-differences ${effect} ${unit} (${ci}, ${nA} adopters / ${nC} comparison) — ${verdict}`,
+    controlled: (effect, unit, ci) => `- **Controlled effect:** documentation time ${effect} ${unit} against comparison providers (${ci}).`
+  },
+
+  cashflowHeader: ["Year", "Adoption", "Value", "Net", "Cumulative"],
+  payback: (month, years) => (month != null ? `month ${month}` : `not reached within ${years} years`),
+  audienceHeading: (title, name) => `## ${title} view — ${name}`,
+
+  narratives: (d) => ({
+    clinical: [
+      `## What changes for clinicians at ${d.name}`,
+      `- **Documentation time:** ${d.timeSaved} hrs saved per physician per day (${d.timeSavedTag}).`,
+      `- **Basis:** ${d.timeSavedBasis}`,
+      d.burnout ? `- **Reported burnout signal:** ${d.burnout}` : null,
+      `- **Adoption:** ${d.adoptionPct}% of ${d.physicians} physicians; NPS ${d.nps}.`,
+      ...(d.evidence.length ? ["", `## ${d.evidenceHeading}`, ...d.evidence] : []),
+      "",
+      "## How to read this",
+      "- Workflow and time effects only; no clinical outcome claims are made.",
+      d.cautious ? "- Clinical validation mode: confirm with paired pre/post measurements before external use." : null
+    ],
+    operations: [
+      `## Operational impact for ${d.name}`,
+      `- **Capacity:** ${d.capacity} additional patients per physician per day (${d.capacityTag}).`,
+      `- **Time returned:** ${d.timeSaved} hrs per physician per day across ${d.physicians} physicians.`,
+      `- **Rollout:** adoption ramps from ${d.rampStartPct}% to 100% over ${d.rampMonths} months.`,
+      "",
+      "## Operating priorities",
+      "- Track weekly active users and notes per provider during ramp-up.",
+      "- Confirm scheduling templates can absorb added capacity.",
+      "- Review after-hours documentation trends monthly."
+    ],
+    financial: [
+      `## Financial view for ${d.name}`,
+      `- **Annual labor productivity value:** ${d.labor} (${d.laborTag})`,
+      `- **Annual revenue opportunity:** ${d.revenue} (${d.revenueTag})`,
+      `- **Annual subscription cost:** ${d.cost}`,
+      `- **ROI:** ${d.cautious ? `${d.roiP10}–${d.roiP90} (P10–P90)` : d.roi}`,
+      d.controlled,
+      "",
+      `## ${d.horizon}-year view`,
+      ...d.cashflow,
+      "",
+      `- **NPV:** ${d.npv} at ${d.discountRatePct}% discount rate; **payback:** ${d.payback}; one-time cost ${d.oneTime}.`,
+      "",
+      "## Scenarios and drivers",
+      d.scenarios.length ? `- **Scenario ROI:** ${d.scenarios.map((s) => `${s.label} ${s.roi}`).join(", ")}.` : null,
+      d.drivers.length ? `- **Largest drivers:** ${d.drivers.join(", ")}.` : null,
+      `- **Probability ROI exceeds 1x:** ${d.probAbove1}% (Monte Carlo).`
+    ],
+    executive: [
+      `## Executive summary — ${d.name}`,
+      `- **Value:** ${d.cautious ? `${d.valueP10}–${d.valueP90} per year (P10–P90)` : `${d.value} per year`} (${d.valueTag}).`,
+      `- **Return:** ROI ${d.cautious ? `${d.roiP10}–${d.roiP90} (P10–P90)` : d.roi}; ${d.horizon}-year NPV ${d.npv}; payback ${d.payback}.`,
+      `- **Scale:** ${d.physicians} physicians in ${d.specialty}.`,
+      d.drivers.length ? `- **Watch:** results are most sensitive to ${d.drivers.slice(0, 2).join(" and ")}.` : null,
+      "",
+      "## Recommendation",
+      "- Proceed with a telemetry-backed validation window before expanding scope."
+    ]
+  }),
+
+  lists: (d) => ({
+    assumptions_and_caveats: [
+      d.validated
+        ? "Value lines tagged validated are derived from paired telemetry with 95% CIs excluding zero."
+        : "All value figures are illustrative unless validated by telemetry.",
+      `Labor value uses a fully-loaded physician rate of ${d.rate}/hr; it is capacity, not cash savings.`,
+      `Revenue opportunity assumes ${d.reimbursement} per added visit and that capacity is filled.`,
+      `Model assumes ${d.workDays} work days per year and a ${d.escalatorPct}% annual price escalator.`,
+      "Scenario and Monte Carlo ranges reflect input uncertainty, not forecast accuracy.",
+      "No clinical outcome claims are made.",
+      "Some or all of this text was generated from deterministic templates, not the language model."
+    ],
+    clinical_validation_checklist: [
+      "Pull baseline documentation minutes per provider from EHR audit logs.",
+      "Pair baseline and post-go-live measurements for the same providers.",
+      "Confirm after-hours documentation minutes over at least 60 days.",
+      "Review a note sample for completeness and accuracy with clinical leadership.",
+      "Capture burnout with a validated instrument before and after rollout.",
+      d.epicMapping ? "Confirm the Epic field mapping with the customer's analytics team." : "Document data sources and exclusions."
+    ],
+    next_best_actions: [
+      "Validate baseline + data provenance with clinical informatics.",
+      "Schedule a 30-day telemetry review to confirm time savings.",
+      `Review the ${d.horizon}-year model and top sensitivity drivers with finance.`
+    ]
+  }),
+
+  report: {
+    product: "Value Intelligence Report",
+    version: (v) => `Version ${v}`,
+    model: (m) => `Model ${m}`,
+    prompt: (p) => `Prompt ${p}`,
+    audit: (seq, hash) => `Audit record #${seq} (${hash})`,
+    template: "Template narratives",
+    mixed: "Partly template narratives",
+    validatedRoi: "Validated ROI",
+    illustrativeRoi: "Illustrative ROI",
+    annualValue: "Annual value",
+    laborValue: "Labor value",
+    revenueUplift: "Revenue uplift",
+    npv: (years) => `${years}-year NPV`,
+    payback: "Payback",
+    paybackMonth: (m) => `Month ${m}`,
+    notReached: "Not reached",
+    roiRange: "ROI P10–P90",
+    sources: { validated: "Validated", illustrative: "Illustrative" },
+    cashflowHeader: ["", "Adoption", "Value", "Subscription", "Net", "Cumulative"],
+    year: (y) => `Year ${y}`,
+    headings: {
+      keyFigures: "Key figures",
+      metric: "Metric",
+      value: "Value",
+      basis: "Basis",
+      cashflow: "Multi-year cash flow",
+      glance: "Value at a glance",
+      caveats: "Assumptions & caveats",
+      checklist: "Clinical validation checklist",
+      checklistShort: "Validation checklist",
+      checklistSub: "For clinical leadership sign-off",
+      actions: "Next best actions"
+    },
+    disclaimer: "Figures are illustrative unless tagged validated by telemetry. No clinical outcome claims are made."
+  }
+};
@@ -0,0 +1,144 @@
+/* ============================
+   Spanish strings (template narratives + reports)
+============================ */
+// Same shape as en.js; d is the preformatted fact sheet from lib/fallback.js.
+
+export default {
+  sourceTag: { validated: "validado por telemetría", illustrative: "ilustrativo" },
+  burnout: { mild: "leve", moderate: "moderada", significant: "significativa" },
+
+  evidence: {
+    heading: "Evidencia de telemetría",
+    labels: { doc: "Tiempo de documentación", afterHours: "Documentación fuera de horario", encounters: "Consultas por día de proveedor" },
+    units: { minutes: "min/día", encounters: "consultas" },
+    ci: (lo, hi) => `IC 95 % ${lo} a ${hi}`,
+    noCi: "IC n/d",
+    conclusive: "validado por telemetría",
+    inconclusive: "aún no se distingue de la ausencia de cambio",
+    bullet: (label, mean, unit, ci, n, verdict) => `- **${label}:** cambio medio ${mean} ${unit} (${ci}, n=${n}) — ${verdict}`,
+    did: (label, effect, unit, ci, nA, nC, verdict) =>
+      `- **${label} frente a proveedores de comparación:** diferencia en diferencias ${effect} ${unit} (${ci}, ${nA} adoptantes / ${nC} de comparación) — ${verdict}`,
+    controlled: (effect, unit, ci) => `- **Efecto controlado:** tiempo de documentación ${effect} ${unit} frente a proveedores de comparación (${ci}).`
+  },
+
+  cashflowHeader: ["Año", "Adopción", "Valor", "Neto", "Acumulado"],
+  payback: (month, years) => (month != null ? `mes ${month}` : `no se alcanza en ${years} años`),
+  audienceHeading: (title, name) => `## Visión ${title} — ${name}`,
+
+  narratives: (d) => ({
+    clinical: [
+      `## Qué cambia para los clínicos de ${d.name}`,
+      `- **Tiempo de documentación:** ${d.timeSaved} h ahorradas por médico al día (${d.timeSavedTag}).`,
+      d.burnout ? `- **Señal de agotamiento reportada:** ${d.burnout}` : null,
+      `- **Adopción:** ${d.adoptionPct} % de ${d.physicians} médicos; NPS ${d.nps}.`,
+      ...(d.evidence.length ? ["", `## ${d.evidenceHeading}`, ...d.evidence] : []),
+      "",
+      "## Cómo leer este análisis",
+      "- Solo efectos de flujo de trabajo y tiempo; no se hacen afirmaciones sobre resultados clínicos.",
+      d.cautious ? "- Modo de validación clínica: confirme con mediciones pareadas antes/después antes de uso externo." : null
+    ],
+    operations: [
+      `## Impacto operativo para ${d.name}`,
+      `- **Capacidad:** ${d.capacity} pacientes adicionales por médico al día (${d.capacityTag}).`,
+      `- **Tiempo recuperado:** ${d.timeSaved} h por médico al día en ${d.physicians} médicos.`,
+      `- **Despliegue:** la adopción sube del ${d.rampStartPct} % al 100 % en ${d.rampMonths} meses.`,
+      "",
+      "## Prioridades operativas",
+      "- Seguir usuarios activos semanales y notas por proveedor durante el despliegue.",
+      "- Confirmar que las agendas pueden absorber la capacidad adicional.",
+      "- Revisar mensualmente la documentación fuera de horario."
+    ],
+    financial: [
+      `## Visión financiera para ${d.name}`,
+      `- **Valor anual de productividad laboral:** ${d.labor} (${d.laborTag})`,
+      `- **Oportunidad anual de ingresos:** ${d.revenue} (${d.revenueTag})`,
+      `- **Costo anual de suscripción:** ${d.cost}`,
+      `- **ROI:** ${d.cautious ? `${d.roiP10}–${d.roiP90} (P10–P90)` : d.roi}`,
+      d.controlled,
+      "",
+      `## Visión a ${d.horizon} años`,
+      ...d.cashflow,
+      "",
+      `- **VPN:** ${d.npv} con una tasa de descuento del ${d.discountRatePct} %; **recuperación:** ${d.payback}; costo único ${d.oneTime}.`,
+      "",
+      "## Escenarios y factores",
+      d.scenarios.length ? `- **ROI por escenario:** ${d.scenarios.map((s) => `${s.label} ${s.roi}`).join(", ")}.` : null,
+      d.drivers.length ? `- **Factores principales:** ${d.drivers.join(", ")}.` : null,
+      `- **Probabilidad de que el ROI supere 1x:** ${d.probAbove1} % (Monte Carlo).`
+    ],
+    executive: [
+      `## Resumen ejecutivo — ${d.name}`,
+      `- **Valor:** ${d.cautious ? `${d.valueP10}–${d.valueP90} al año (P10–P90)` : `${d.value} al año`} (${d.valueTag}).`,
+      `- **Retorno:** ROI ${d.cautious ? `${d.roiP10}–${d.roiP90} (P10–P90)` : d.roi}; VPN a ${d.horizon} años ${d.npv}; recuperación ${d.payback}.`,
+      `- **Escala:** ${d.physicians} médicos en ${d.specialty}.`,
+      d.drivers.length ? `- **A vigilar:** los resultados son más sensibles a ${d.drivers.slice(0, 2).join(" y ")}.` : null,
+      "",
+      "## Recomendación",
+      "- Avanzar con un periodo de validación respaldado por telemetría antes de ampliar el alcance."
+    ]
+  }),
+
+  lists: (d) => ({
+    assumptions_and_caveats: [
+      d.validated
+        ? "Las líneas de valor marcadas como validadas provienen de telemetría pareada con IC 95 % que excluyen cero."
+        : "Todas las cifras de valor son ilustrativas salvo que la telemetría las valide.",
+      `El valor laboral usa una tarifa médica con carga completa de ${d.rate}/h; es capacidad, no ahorro en efectivo.`,
+      `La oportunidad de ingresos supone ${d.reimbursement} por visita adicional y que la capacidad se ocupa.`,
+      `El modelo supone ${d.workDays} días laborables al año y un ajuste anual de precio del ${d.escalatorPct} %.`,
+      "Los rangos de escenarios y Monte Carlo reflejan la incertidumbre de los datos de entrada, no la precisión del pronóstico.",
+      "No se hacen afirmaciones sobre resultados clínicos.",
+      "Parte o la totalidad de este texto se generó con plantillas deterministas, no con el modelo de lenguaje."
+    ],
+    clinical_validation_checklist: [
+      "Obtener los minutos de documentación de referencia por proveedor de los registros de auditoría del EHR.",
+      "Emparejar mediciones de referencia y posteriores a la implementación para los mismos proveedores.",
+      "Confirmar los minutos de documentación fuera de horario durante al menos 60 días.",
+      "Revisar con el liderazgo clínico una muestra de notas para verificar integridad y exactitud.",
+      "Medir el agotamiento con un instrumento validado antes y después del despliegue.",
+      d.epicMapping ? "Confirmar el mapeo de campos de Epic con el equipo de analítica del cliente." : "Documentar fuentes de datos y exclusiones."
+    ],
+    next_best_actions: [
+      "Validar la línea base y la procedencia de los datos con informática clínica.",
+      "Programar una revisión de telemetría a 30 días para confirmar el ahorro de tiempo.",
+      `Revisar con finanzas el modelo a ${d.horizon} años y los principales factores de sensibilidad.`
+    ]
+  }),
+
+  report: {
+    product: "Informe de Value Intelligence",
+    version: (v) => `Versión ${v}`,
+    model: (m) => `Modelo ${m}`,
+    prompt: (p) => `Prompt ${p}`,
+    audit: (seq, hash) => `Registro de auditoría n.º ${seq} (${hash})`,
+    template: "Narrativas de plantilla",
+    mixed: "Narrativas parcialmente de plantilla",
+    validatedRoi: "ROI validado",
+    illustrativeRoi: "ROI ilustrativo",
+    annualValue: "Valor anual",
+    laborValue: "Valor laboral",
+    revenueUplift: "Aumento de ingresos",
+    npv: (years) => `VPN a ${years} años`,
+    payback: "Recuperación",
+    paybackMonth: (m) => `Mes ${m}`,
+    notReached: "No alcanzada",
+    roiRange: "ROI P10–P90",
+    sources: { validated: "Validado", illustrative: "Ilustrativo" },
+    cashflowHeader: ["", "Adopción", "Valor", "Suscripción", "Neto", "Acumulado"],
+    year: (y) => `Año ${y}`,
+    headings: {
+      keyFigures: "Cifras clave",
+      metric: "Métrica",
+      value: "Valor",
+      basis: "Base",
+      cashflow: "Flujo de caja plurianual",
+      glance: "El valor de un vistazo",
+      caveats: "Supuestos y salvedades",
+      checklist: "Lista de validación clínica",
+      checklistShort: "Lista de validación",
+      checklistSub: "Para la aprobación del liderazgo clínico",
+      actions: "Próximas acciones"
+    },
+    disclaimer: "Las cifras son ilustrativas salvo que estén marcadas como validadas por telemetría. No se hacen afirmaciones sobre resultados clínicos."
+  }
+};
@@ -0,0 +1,145 @@
+/* ============================
+   French strings (template narratives + reports)
+============================ */
+// Same shape as en.js; d is the preformatted fact sheet from lib/fallback.js.
+// Wording follows Canadian French usage (RCI, DME), which reads fine in France.
+
+export default {
+  sourceTag: { validated: "validé par la télémétrie", illustrative: "illustratif" },
+  burnout: { mild: "légère", moderate: "modérée", significant: "importante" },
+
+  evidence: {
+    heading: "Données de télémétrie",
+    labels: { doc: "Temps de documentation", afterHours: "Documentation hors heures", encounters: "Consultations par jour-fournisseur" },
+    units: { minutes: "min/jour", encounters: "consultations" },
+    ci: (lo, hi) => `IC 95 % ${lo} à ${hi}`,
+    noCi: "IC n.d.",
+    conclusive: "validé par la télémétrie",
+    inconclusive: "pas encore distinguable d'une absence de changement",
+    bullet: (label, mean, unit, ci, n, verdict) => `- **${label} :** variation moyenne ${mean} ${unit} (${ci}, n=${n}) — ${verdict}`,
+    did: (label, effect, unit, ci, nA, nC, verdict) =>
+      `- **${label} vs. fournisseurs témoins :** différence de différences ${effect} ${unit} (${ci}, ${nA} adoptants / ${nC} témoins) — ${verdict}`,
+    controlled: (effect, unit, ci) => `- **Effet contrôlé :** temps de documentation ${effect} ${unit} par rapport aux fournisseurs témoins (${ci}).`
+  },
+
+  cashflowHeader: ["Année", "Adoption", "Valeur", "Net", "Cumulatif"],
+  payback: (month, years) => (month != null ? `mois ${month}` : `non atteint en ${years} ans`),
+  audienceHeading: (title, name) => `## Perspective ${title} — ${name}`,
+
+  narratives: (d) => ({
+    clinical: [
+      `## Ce qui change pour les cliniciens de ${d.name}`,
+      `- **Temps de documentation :** ${d.timeSaved} h économisées par médecin par jour (${d.timeSavedTag}).`,
+      d.burnout ? `- **Signal d'épuisement rapporté :** amélioration ${d.burnout}` : null,
+      `- **Adoption :** ${d.adoptionPct} % de ${d.physicians} médecins; NPS ${d.nps}.`,
+      ...(d.evidence.length ? ["", `## ${d.evidenceHeading}`, ...d.evidence] : []),
+      "",
+      "## Comment lire cette analyse",
+      "- Effets sur le flux de travail et le temps seulement; aucune affirmation sur les résultats cliniques.",
+      d.cautious ? "- Mode de validation clinique : confirmer avec des mesures appariées avant/après avant toute utilisation externe." : null
+    ],
+    operations: [
+      `## Impact opérationnel pour ${d.name}`,
+      `- **Capacité :** ${d.capacity} patients supplémentaires par médecin par jour (${d.capacityTag}).`,
+      `- **Temps redonné :** ${d.timeSaved} h par médecin par jour pour ${d.physicians} médecins.`,
+      `- **Déploiement :** l'adoption passe de ${d.rampStartPct} % à 100 % en ${d.rampMonths} mois.`,
+      "",
+      "## Priorités opérationnelles",
+      "- Suivre les utilisateurs actifs hebdomadaires et les notes par fournisseur pendant la montée en charge.",
+      "- Confirmer que les horaires peuvent absorber la capacité ajoutée.",
+      "- Revoir chaque mois la documentation hors heures."
+    ],
+    financial: [
+      `## Perspective financière pour ${d.name}`,
+      `- **Valeur annuelle de productivité :** ${d.labor} (${d.laborTag})`,
+      `- **Occasion de revenus annuelle :** ${d.revenue} (${d.revenueTag})`,
+      `- **Coût d'abonnement annuel :** ${d.cost}`,
+      `- **RCI :** ${d.cautious ? `${d.roiP10}–${d.roiP90} (P10–P90)` : d.roi}`,
+      d.controlled,
+      "",
+      `## Perspective sur ${d.horizon} ans`,
+      ...d.cashflow,
+      "",
+      `- **VAN :** ${d.npv} à un taux d'actualisation de ${d.discountRatePct} %; **récupération :** ${d.payback}; coût ponctuel ${d.oneTime}.`,
+      "",
+      "## Scénarios et facteurs",
+      d.scenarios.length ? `- **RCI par scénario :** ${d.scenarios.map((s) => `${s.label} ${s.roi}`).join(", ")}.` : null,
+      d.drivers.length ? `- **Principaux facteurs :** ${d.drivers.join(", ")}.` : null,
+      `- **Probabilité que le RCI dépasse 1x :** ${d.probAbove1} % (Monte Carlo).`
+    ],
+    executive: [
+      `## Sommaire exécutif — ${d.name}`,
+      `- **Valeur :** ${d.cautious ? `${d.valueP10}–${d.valueP90} par année (P10–P90)` : `${d.value} par année`} (${d.valueTag}).`,
+      `- **Rendement :** RCI ${d.cautious ? `${d.roiP10}–${d.roiP90} (P10–P90)` : d.roi}; VAN sur ${d.horizon} ans ${d.npv}; récupération ${d.payback}.`,
+      `- **Portée :** ${d.physicians} médecins en ${d.specialty}.`,
+      d.drivers.length ? `- **À surveiller :** les résultats sont surtout sensibles à ${d.drivers.slice(0, 2).join(" et ")}.` : null,
+      "",
+      "## Recommandation",
+      "- Procéder à une période de validation appuyée par la télémétrie avant d'élargir la portée."
+    ]
+  }),
+
+  lists: (d) => ({
+    assumptions_and_caveats: [
+      d.validated
+        ? "Les lignes de valeur marquées validées proviennent de télémétrie appariée dont l'IC 95 % exclut zéro."
+        : "Toutes les valeurs sont illustratives à moins d'être validées par la télémétrie.",
+      `La valeur de productivité utilise un taux horaire médecin tout compris de ${d.rate}/h; c'est de la capacité, pas des économies en argent.`,
+      `L'occasion de revenus suppose ${d.reimbursement} par visite ajoutée et que la capacité est comblée.`,
+      `Le modèle suppose ${d.workDays} jours ouvrables par année et une indexation annuelle du prix de ${d.escalatorPct} %.`,
+      "Les fourchettes des scénarios et de Monte Carlo reflètent l'incertitude des intrants, pas la précision des prévisions.",
+      "Aucune affirmation sur les résultats cliniques n'est faite.",
+      "Une partie ou la totalité de ce texte a été générée à partir de gabarits déterministes, et non par le modèle de langage."
+    ],
+    clinical_validation_checklist: [
+      "Extraire les minutes de documentation de référence par fournisseur des journaux d'audit du DME.",
+      "Apparier les mesures de référence et post-implantation pour les mêmes fournisseurs.",
+      "Confirmer les minutes de documentation hors heures sur au moins 60 jours.",
+      "Revoir un échantillon de notes avec la direction clinique pour l'exhaustivité et l'exactitude.",
+      "Mesurer l'épuisement avec un instrument validé avant et après le déploiement.",
+      d.epicMapping ? "Confirmer le mappage des champs Epic avec l'équipe d'analytique du client." : "Documenter les sources de données et les exclusions."
+    ],
+    next_best_actions: [
+      "Valider la base de référence et la provenance des données avec l'informatique clinique.",
+      "Planifier une revue de télémétrie à 30 jours pour confirmer le temps économisé.",
+      `Revoir avec les finances le modèle sur ${d.horizon} ans et les principaux facteurs de sensibilité.`
+    ]
+  }),
+
+  report: {
+    product: "Rapport Value Intelligence",
+    version: (v) => `Version ${v}`,
+    model: (m) => `Modèle ${m}`,
+    prompt: (p) => `Invite ${p}`,
+    audit: (seq, hash) => `Journal d’audit n° ${seq} (${hash})`,
+    template: "Textes générés par gabarit",
+    mixed: "Textes partiellement générés par gabarit",
+    validatedRoi: "RCI validé",
+    illustrativeRoi: "RCI illustratif",
+    annualValue: "Valeur annuelle",
+    laborValue: "Valeur de productivité",
+    revenueUplift: "Hausse des revenus",
+    npv: (years) => `VAN sur ${years} ans`,
+    payback: "Récupération",
+    paybackMonth: (m) => `Mois ${m}`,
+    notReached: "Non atteinte",
+    roiRange: "RCI P10–P90",
+    sources: { validated: "Validé", illustrative: "Illustratif" },
+    cashflowHeader: ["", "Adoption", "Valeur", "Abonnement", "Net", "Cumulatif"],
+    year: (y) => `Année ${y}`,
+    headings: {
+      keyFigures: "Chiffres clés",
+      metric: "Indicateur",
+      value: "Valeur",
+      basis: "Base",
+      cashflow: "Flux de trésorerie pluriannuel",
+      glance: "La valeur en un coup d'œil",
+      caveats: "Hypothèses et mises en garde",
+      checklist: "Liste de validation clinique",
+      checklistShort: "Liste de validation",
+      checklistSub: "Pour approbation par la direction clinique",
+      actions: "Prochaines étapes"
+    },
+    disclaimer: "Les chiffres sont illustratifs sauf s'ils sont marqués validés par la télémétrie. Aucune affirmation sur les résultats cliniques n'est faite."
+  }
+};
@@ -0,0 +1,115 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+// Auto-mapping and type checks live in public/ so the Column Mapper and ingestion share one implementation.
+import "../public/mapping.js";
+import { DATA_DIR, writeJsonAtomic } from "./store.js";
+import { httpError } from "./util.js";
+
+export const { FIELDS: MAPPING_FIELDS, autoMap, checkMapping, toPeriod } = globalThis.SukiMapping;
+
+/* ============================
+   Mapping profiles
+============================ */
+// Vendor profiles (Epic Signal, Oracle Health Lightning, athenaOne) come from
+// config/mapping-profiles.json (or MAPPING_PROFILES_FILE); profiles saved from the
+// Column Mapper live in DATA_DIR/mapping-profiles.json, each visible only in the
+// workspace that saved it. A profile lists the column names an extract usually
+// uses for each telemetry field, most likely first.
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const CONFIG_FILE = process.env.MAPPING_PROFILES_FILE
+  ? path.resolve(process.env.MAPPING_PROFILES_FILE)
+  : path.join(ROOT, "config", "mapping-profiles.json");
+const CUSTOM_FILE = path.join(DATA_DIR, "mapping-profiles.json");
+
+const KEY_RE = /^[a-z][a-z0-9_]{1,31}$/;
+
+function readListSync(file) {
+  try {
+    const json = JSON.parse(fs.readFileSync(file, "utf8"));
+    return Array.isArray(json?.profiles) ? json.profiles : [];
+  } catch (err) {
+    if (err.code === "ENOENT") return [];
+    throw new Error(`Could not read mapping profiles from ${file}: ${err.message}`);
+  }
+}
+
+const text = (v, max) => String(v ?? "").trim().slice(0, max);
+
+// Validates and trims; throws a 400 for anything unusable. Unknown fields are dropped.
+function normalizeProfile(raw, { builtin = false } = {}) {
+  const key = String(raw?.key || "").trim();
+  if (!KEY_RE.test(key)) {
+    throw httpError(400, `Invalid profile key "${key}". Use 2–32 lowercase letters, digits or underscores.`);
+  }
+  const name = text(raw.name, 80);
+  if (!name) throw httpError(400, `Mapping profile "${key}" needs a name.`);
+
+  const columns = {};
+  for (const field of Object.keys(MAPPING_FIELDS)) {
+    const names = [].concat(raw.columns?.[field] ?? []).map((c) => text(c, 200)).filter(Boolean).slice(0, 10);
+    if (names.length) columns[field] = names;
+  }
+  if (!Object.keys(columns).length) throw httpError(400, `Mapping profile "${key}" maps no fields.`);
+
+  return {
+    key,
+    name,
+    vendor: text(raw.vendor, 60) || "Custom",
+    description: text(raw.description, 400),
+    builtin,
+    columns
+  };
+}
+
+// Profiles saved before workspaces existed belong to the default one.
+const LEGACY_WORKSPACE = "default";
+const customId = (workspace, key) => `${workspace}/${key}`;
+
+const builtins = new Map(readListSync(CONFIG_FILE).map((raw) => normalizeProfile(raw, { builtin: true })).map((p) => [p.key, p]));
+const custom = new Map(); // "<workspace>/<key>" → profile
+for (const raw of readListSync(CUSTOM_FILE)) {
+  try {
+    const p = { ...normalizeProfile(raw), workspace: String(raw.workspace || LEGACY_WORKSPACE) };
+    if (!builtins.has(p.key)) custom.set(customId(p.workspace, p.key), p);
+  } catch (err) {
+    console.warn(`Skipping custom mapping profile: ${err.message}`);
+  }
+}
+
+/* ---------- Lookup ---------- */
+export function listMappingProfiles(workspace) {
+  return [...builtins.values(), ...[...custom.values()].filter((p) => p.workspace === workspace)];
+}
+
+// Unknown keys are a 400: a pinned profile that silently falls back would map the wrong columns.
+export function resolveMappingProfile(key, workspace) {
+  if (!key) return null;
+  const profile = builtins.get(String(key)) || custom.get(customId(workspace, String(key)));
+  if (!profile) throw httpError(400, `Unknown mapping profile "${key}".`);
+  return profile;
+}
+
+/* ---------- Custom profiles ---------- */
+let writeChain = Promise.resolve();
+function persist() {
+  const snapshot = { profiles: [...custom.values()].map(({ builtin, ...p }) => p) };
+  const next = writeChain.then(() => writeJsonAtomic(CUSTOM_FILE, snapshot));
+  writeChain = next.catch(() => {});
+  return next;
+}
+
+export async function saveMappingProfile(key, input, workspace) {
+  if (builtins.has(key)) throw httpError(409, `"${key}" is a built-in profile; change it in the config file.`);
+  const profile = { ...normalizeProfile({ ...input, key }), workspace };
+  custom.set(customId(workspace, profile.key), profile);
+  await persist();
+  return profile;
+}
+
+export async function deleteMappingProfile(key, workspace) {
+  if (builtins.has(key)) throw httpError(409, `"${key}" is a built-in profile and cannot be deleted.`);
+  if (!custom.delete(customId(workspace, key))) throw httpError(404, `Mapping profile "${key}" not found.`);
+  await persist();
+}
@@ -0,0 +1,4 @@
+// The renderer lives in public/ so the browser and the exporters share one implementation.
+import "../public/markdown.js";
+
+export const { parseMarkdown, parseInline, renderMarkdownHtml, renderMarkdownText, runsText } = globalThis.SukiMarkdown;
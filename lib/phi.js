@@ -0,0 +1,54 @@
+import { createHmac, randomBytes } from "crypto";
+// The scanner lives in public/ so the browser pre-check and the server pass share one implementation.
+import "../public/phi.js";
+
+export const { scanText, redactText, scanColumns, createPhiScanner, maskValue } = globalThis.SukiPhi;
+
+/* ============================
+   Provider ID hashing
+============================ */
+// Keyed so IDs (often NPIs) cannot be recovered by hashing a list of known values.
+// Without PHI_HASH_SECRET the key is per-process: stable within an upload, not across restarts.
+const HASH_KEY = process.env.PHI_HASH_SECRET || randomBytes(32).toString("hex");
+
+export function hashIdentifier(id) {
+  return "p_" + createHmac("sha256", HASH_KEY).update(String(id).trim()).digest("hex").slice(0, 16);
+}
+
+/* ============================
+   Translate payload (second pass)
+============================ */
+// Everything free-text or upload-derived that would be copied into the prompt.
+function payloadTexts(payload) {
+  const t = payload.telemetrySummary || {};
+  const texts = [
+    ["customerName", payload.customerName],
+    ["specialty", payload.specialty],
+    ["burnoutImprovement", payload.burnoutImprovement],
+    ["clinicalContext", payload.clinicalContext],
+    ...(t.notes || []).map((n, i) => [`telemetrySummary.notes[${i}]`, n]),
+    ...(t.by_specialty || []).map((s, i) => [`telemetrySummary.by_specialty[${i}].specialty`, s?.specialty]),
+    ...(t.data_quality?.limitations || []).map((l, i) => [`telemetrySummary.data_quality.limitations[${i}]`, l])
+  ];
+  for (const [k, v] of Object.entries(payload.epicMapping || {})) texts.push([`epicMapping.${k}`, v]);
+  return texts.filter(([, v]) => typeof v === "string" && v.trim());
+}
+
+/**
+ * Scans a translate payload. Returns { clean, fields: [{ field, type, preview }], columns: [{ column, type }] }.
+ * Mapped provider-ID columns are hashed at ingestion, so they are not column findings here.
+ */
+export function scanTranslatePayload(payload) {
+  const fields = [];
+  for (const [field, text] of payloadTexts(payload)) {
+    for (const hit of scanText(text)) fields.push({ field, type: hit.type, preview: hit.preview });
+  }
+
+  const t = payload.telemetrySummary || {};
+  const mapping = t.mapping_used || payload.epicMapping || {};
+  const exempt = [mapping.provider_id].filter(Boolean);
+  const periods = [mapping.period].filter(Boolean);
+  const columns = scanColumns([...new Set([...(t.columns_detected || []), ...Object.values(mapping).filter(Boolean)])], { exempt, periods });
+
+  return { clean: !fields.length && !columns.length, fields, columns };
+}
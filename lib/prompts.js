@@ -0,0 +1,105 @@
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import { httpError } from "./util.js";
+
+/* ============================
+   Versioned prompt templates
+============================ */
+// Each version is a directory under prompts/ (or PROMPTS_DIR) holding system.txt,
+// user.txt and an optional meta.json ({ description, createdAt }). Templates use
+// {{variable}} placeholders. Files are read per request, so wording changes ship
+// by adding a directory, not a code deploy. Versions are never edited in place;
+// the hash makes an in-place edit visible anyway.
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const PROMPTS_DIR = process.env.PROMPTS_DIR ? path.resolve(process.env.PROMPTS_DIR) : path.join(ROOT, "prompts");
+
+const VERSION_RE = /^[A-Za-z0-9][A-Za-z0-9._-]{0,40}$/;
+const VAR_RE = /\{\{\s*([A-Za-z_][A-Za-z0-9_]*)\s*\}\}/g;
+
+const byVersion = (a, b) => a.localeCompare(b, undefined, { numeric: true });
+
+async function readText(file) {
+  try {
+    return await fs.readFile(file, "utf8");
+  } catch (err) {
+    if (err.code === "ENOENT") return null;
+    throw err;
+  }
+}
+
+const variablesIn = (...texts) => [...new Set(texts.flatMap((t) => [...t.matchAll(VAR_RE)].map((m) => m[1])))];
+
+async function loadVersion(version) {
+  if (!VERSION_RE.test(version)) return null;
+  const dir = path.join(PROMPTS_DIR, version);
+  const [system, user, meta] = await Promise.all([
+    readText(path.join(dir, "system.txt")),
+    readText(path.join(dir, "user.txt")),
+    readText(path.join(dir, "meta.json"))
+  ]);
+  if (system == null || user == null) return null;
+
+  let info = {};
+  try {
+    info = meta ? JSON.parse(meta) : {};
+  } catch {
+    info = {};
+  }
+  return {
+    version,
+    description: info.description || "",
+    createdAt: info.createdAt || null,
+    hash: crypto.createHash("sha256").update(`${system}\u0000${user}`).digest("hex").slice(0, 16),
+    variables: variablesIn(system, user),
+    system,
+    user
+  };
+}
+
+async function versionNames() {
+  let entries = [];
+  try {
+    entries = await fs.readdir(PROMPTS_DIR, { withFileTypes: true });
+  } catch (err) {
+    if (err.code !== "ENOENT") throw err;
+  }
+  return entries.filter((e) => e.isDirectory() && VERSION_RE.test(e.name)).map((e) => e.name).sort(byVersion);
+}
+
+// PROMPT_VERSION pins the server default; otherwise the highest version wins.
+async function defaultVersion(names) {
+  const pinned = process.env.PROMPT_VERSION;
+  if (pinned && names.includes(pinned)) return pinned;
+  return names[names.length - 1] || null;
+}
+
+/** [{ version, description, createdAt, hash, variables, default }] without the template text. */
+export async function listPrompts() {
+  const names = await versionNames();
+  const fallback = await defaultVersion(names);
+  const loaded = await Promise.all(names.map(loadVersion));
+  return loaded.filter(Boolean).map(({ system, user, ...p }) => ({ ...p, default: p.version === fallback }));
+}
+
+/** The requested version (or the default); null when it does not exist. */
+export async function getPrompt(version = null) {
+  if (version) return loadVersion(String(version));
+  const name = await defaultVersion(await versionNames());
+  return name ? loadVersion(name) : null;
+}
+
+// A placeholder without a value is a template bug, not something to send to the model.
+function fill(template, vars, part) {
+  return template.replace(VAR_RE, (_, name) => {
+    if (!(name in vars) || vars[name] == null) throw httpError(500, `Prompt ${part} template uses unknown variable "${name}".`);
+    return String(vars[name]);
+  });
+}
+
+/** Renders a loaded prompt: { system, user }. */
+export function renderPrompt(prompt, vars) {
+  return { system: fill(prompt.system, vars, "system"), user: fill(prompt.user, vars, "user") };
+}
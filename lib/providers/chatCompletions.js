@@ -0,0 +1,46 @@
+import OpenAI, { AzureOpenAI } from "openai";
+import { parseModelJson } from "../util.js";
+
+/* ============================
+   Chat Completions-compatible endpoints
+============================ */
+// Azure OpenAI, vLLM, Ollama, LM Studio, LiteLLM… Not every server supports
+// json_schema, so jsonMode can drop to "json_object" or "none" (prompt-only).
+function responseFormat(jsonMode, { schema, name }) {
+  if (jsonMode === "none") return undefined;
+  if (jsonMode === "json_object") return { type: "json_object" };
+  return { type: "json_schema", json_schema: { name, schema, strict: true } };
+}
+
+export function createChatProvider({ name = "chat", apiKey, baseURL, model, jsonMode = "json_schema", azure = null }) {
+  const client = azure
+    ? new AzureOpenAI({ apiKey, endpoint: azure.endpoint, apiVersion: azure.apiVersion, deployment: model })
+    : new OpenAI({ apiKey, baseURL });
+
+  const body = (req) => ({
+    model,
+    messages: [
+      { role: "system", content: req.system },
+      { role: "user", content: req.user }
+    ],
+    response_format: responseFormat(jsonMode, req)
+  });
+
+  return {
+    name,
+    model,
+
+    async generate(req) {
+      const completion = await client.chat.completions.create(body(req), { signal: req.signal });
+      return parseModelJson(completion.choices?.[0]?.message?.content);
+    },
+
+    async *stream(req) {
+      const stream = await client.chat.completions.create({ ...body(req), stream: true }, { signal: req.signal });
+      for await (const chunk of stream) {
+        const delta = chunk.choices?.[0]?.delta?.content;
+        if (delta) yield delta;
+      }
+    }
+  };
+}
@@ -0,0 +1,59 @@
+import { safeNum } from "../util.js";
+import { createChatProvider } from "./chatCompletions.js";
+import { createMockProvider } from "./mock.js";
+import { createResponsesProvider } from "./openaiResponses.js";
+
+/* ============================
+   LLM providers
+============================ */
+/**
+ * Every provider exposes the same interface:
+ *   { name, model,
+ *     generate({ system, user, schema, name, signal }) → parsed JSON object (or null),
+ *     stream({ system, user, schema, name, signal }) → async iterable of text deltas }
+ *
+ * Selected with LLM_PROVIDER:
+ *   openai — OpenAI Responses API (OPENAI_API_KEY, OPENAI_MODEL, OPENAI_BASE_URL)
+ *   chat   — any Chat Completions-compatible server (LLM_BASE_URL, LLM_API_KEY, LLM_MODEL, LLM_JSON_MODE)
+ *   azure  — Azure OpenAI chat deployment (AZURE_OPENAI_ENDPOINT, AZURE_OPENAI_API_KEY,
+ *            AZURE_OPENAI_DEPLOYMENT, AZURE_OPENAI_API_VERSION)
+ *   mock   — deterministic offline output (LLM_MOCK_DELAY_MS slows streaming for demos)
+ * Without LLM_PROVIDER: openai when OPENAI_API_KEY is set, otherwise mock.
+ */
+export const PROVIDERS = ["openai", "chat", "azure", "mock"];
+
+export function createProvider(env = process.env) {
+  const kind = (env.LLM_PROVIDER || (env.OPENAI_API_KEY ? "openai" : "mock")).toLowerCase();
+
+  switch (kind) {
+    case "openai":
+      return createResponsesProvider({
+        apiKey: env.OPENAI_API_KEY,
+        baseURL: env.OPENAI_BASE_URL || undefined,
+        model: env.OPENAI_MODEL || "gpt-4.1-mini"
+      });
+    case "chat":
+      if (!env.LLM_BASE_URL) throw new Error("LLM_PROVIDER=chat requires LLM_BASE_URL (e.g. http://localhost:11434/v1).");
+      return createChatProvider({
+        apiKey: env.LLM_API_KEY || "not-needed",
+        baseURL: env.LLM_BASE_URL,
+        model: env.LLM_MODEL || "llama3.1",
+        jsonMode: env.LLM_JSON_MODE || "json_schema"
+      });
+    case "azure":
+      if (!env.AZURE_OPENAI_ENDPOINT || !env.AZURE_OPENAI_DEPLOYMENT) {
+        throw new Error("LLM_PROVIDER=azure requires AZURE_OPENAI_ENDPOINT and AZURE_OPENAI_DEPLOYMENT.");
+      }
+      return createChatProvider({
+        name: "azure",
+        apiKey: env.AZURE_OPENAI_API_KEY,
+        model: env.AZURE_OPENAI_DEPLOYMENT,
+        jsonMode: env.LLM_JSON_MODE || "json_schema",
+        azure: { endpoint: env.AZURE_OPENAI_ENDPOINT, apiVersion: env.AZURE_OPENAI_API_VERSION || "2024-10-21" }
+      });
+    case "mock":
+      return createMockProvider({ delayMs: safeNum(env.LLM_MOCK_DELAY_MS, 0) });
+    default:
+      throw new Error(`Unknown LLM_PROVIDER "${kind}" (use ${PROVIDERS.join(", ")}).`);
+  }
+}
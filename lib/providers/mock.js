@@ -0,0 +1,107 @@
+import { clamp } from "../util.js";
+
+/* ============================
+   Deterministic mock provider (offline)
+============================ */
+// Walks the JSON schema and fills it from the prompt, so the output is always
+// schema-valid and identical for identical input. No network, no key.
+
+const LIST_ITEMS = {
+  assumptions_and_caveats: [
+    "Figures are illustrative unless tagged validated by telemetry.",
+    "Time savings assume consistent daily usage after ramp-up.",
+    "Revenue opportunity assumes added capacity is filled with billable visits.",
+    "Labor value uses a fully-loaded physician rate, not cash savings.",
+    "Results depend on specialty mix and documentation baseline.",
+    "No clinical outcome claims are made."
+  ],
+  clinical_validation_checklist: [
+    "Confirm baseline documentation minutes from EHR audit logs.",
+    "Pair pre/post measurements per provider.",
+    "Review a sample of notes for completeness and accuracy.",
+    "Check after-hours documentation trends for 60+ days.",
+    "Capture clinician-reported burnout with a validated survey.",
+    "Document exclusions and data gaps."
+  ],
+  next_best_actions: [
+    "Validate baseline + data provenance with clinical informatics.",
+    "Run a 30-day telemetry pull to confirm time savings.",
+    "Review the multi-year model with finance."
+  ]
+};
+
+const humanize = (key) => String(key || "item").replace(/_/g, " ").replace(/^\w/, (c) => c.toUpperCase());
+
+function promptFacts(user) {
+  const name = (user.match(/^- Name: (.*)$/m) || [])[1] || "the customer";
+  const figures = user
+    .split("\n")
+    .filter((l) => /^- (Annual total value|ROI multiple|\d+-year NPV|Payback month):/.test(l))
+    .map((l) => l.replace(/\s*\[(validated|illustrative)\]$/, ""));
+  return { name, figures };
+}
+
+function narrative(key, facts) {
+  return [
+    `## ${humanize(key)} view for ${facts.name}`,
+    ...facts.figures,
+    "",
+    "**Mock provider output.** Generated offline; figures come from the same financial model as live runs."
+  ].join("\n");
+}
+
+function fill(schema, key, facts, index = null) {
+  if (!schema) return null;
+  if (Array.isArray(schema.enum)) return schema.enum[0];
+  switch (schema.type) {
+    case "object":
+      return Object.fromEntries(Object.entries(schema.properties || {}).map(([k, s]) => [k, fill(s, k, facts)]));
+    case "array": {
+      const bank = LIST_ITEMS[key] || [];
+      const n = clamp(bank.length || 1, schema.minItems ?? 0, schema.maxItems ?? Infinity);
+      return Array.from({ length: n }, (_, i) => fill(schema.items, key, facts, i));
+    }
+    case "string":
+      if (index != null) return LIST_ITEMS[key]?.[index] || `${humanize(key)} ${index + 1}.`;
+      return narrative(key, facts);
+    case "number":
+    case "integer":
+      return schema.minimum ?? 0;
+    case "boolean":
+      return false;
+    default:
+      return null;
+  }
+}
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+function abortError() {
+  const err = new Error("Request was aborted.");
+  err.name = "AbortError";
+  return err;
+}
+
+export function createMockProvider({ model = "mock-deterministic", delayMs = 0 } = {}) {
+  const build = (req) => fill(req.schema, null, promptFacts(String(req.user || "")));
+
+  return {
+    name: "mock",
+    model,
+
+    async generate(req) {
+      if (req.signal?.aborted) throw abortError();
+      return build(req);
+    },
+
+    // Streams the same JSON in small chunks so progressive rendering can be exercised offline.
+    async *stream(req) {
+      const text = JSON.stringify(build(req));
+      for (let i = 0; i < text.length; i += 48) {
+        if (req.signal?.aborted) throw abortError();
+        if (delayMs) await sleep(delayMs);
+        yield text.slice(i, i + 48);
+      }
+    }
+  };
+}
@@ -0,0 +1,46 @@
+import OpenAI from "openai";
+import { parseModelJson } from "../util.js";
+
+/* ============================
+   OpenAI Responses API
+============================ */
+function getResponseText(resp) {
+  // Works across SDK versions
+  return resp?.output_text || "";
+}
+
+function requestBody({ system, user, schema, name }) {
+  return {
+    input: [
+      { role: "system", content: system },
+      { role: "user", content: user }
+    ],
+    // ✅ JSON Schema via text.format (NO response_format)
+    text: { format: { type: "json_schema", name, schema, strict: true } }
+  };
+}
+
+export function createResponsesProvider({ apiKey, baseURL, model }) {
+  const client = new OpenAI({ apiKey, baseURL });
+
+  return {
+    name: "openai",
+    model,
+
+    async generate(req) {
+      const response = await client.responses.create({ model, ...requestBody(req) }, { signal: req.signal });
+      // Parse (robust)
+      return response.output_parsed || parseModelJson(getResponseText(response));
+    },
+
+    async *stream(req) {
+      const stream = await client.responses.create({ model, ...requestBody(req), stream: true }, { signal: req.signal });
+      for await (const event of stream) {
+        if (event.type === "response.output_text.delta") yield event.delta;
+        else if (event.type === "error" || event.type === "response.failed") {
+          throw new Error(event.message || event.response?.error?.message || "Model stream failed");
+        }
+      }
+    }
+  };
+}
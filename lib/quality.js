@@ -0,0 +1,248 @@
+import crypto from "crypto";
+import { MAPPING_FIELDS } from "./mapping.js";
+import { quantile } from "./stats.js";
+import { parseNum } from "./util.js";
+
+/* ============================
+   Telemetry data-quality report
+============================ */
+// Runs alongside the summarizer on every accepted row: missing and non-numeric
+// rates per mapped field, impossible values (excluded from the summary), repeated
+// rows, outliers and unit slips (hours in a minutes column, 0–1 adoption).
+// Memory stays bounded: distributions come from a fixed-size reservoir per field.
+
+const RESERVOIR = 4000;
+const MAX_FINGERPRINTS = 500_000;
+const MAX_EXAMPLES = 3;
+// Tukey's far-out fences: only values well clear of the bulk are flagged.
+const OUTLIER_IQR = 3;
+
+// Deterministic sampling, so the same file always produces the same report.
+function lcg(seed = 0x2f6b7a1d) {
+  let s = seed >>> 0;
+  return () => {
+    s = (Math.imul(s, 1664525) + 1013904223) >>> 0;
+    return s / 2 ** 32;
+  };
+}
+
+const pct = (part, whole) => (whole ? (part / whole) * 100 : 0);
+const round1 = (x) => Math.round(x * 10) / 10;
+const preview = (v) => String(v).slice(0, 24);
+
+function newFieldAcc(column) {
+  return { column, present: 0, nonNumeric: 0, outOfRange: 0, nonInteger: 0, numeric: 0, sample: [], examples: [] };
+}
+
+function unitCheck(field, sorted, acc) {
+  const med = quantile(sorted, 0.5);
+  const p90 = quantile(sorted, 0.9);
+  const max = sorted[sorted.length - 1];
+  const nonInteger = acc.nonInteger / acc.numeric;
+
+  if (field.includes("minutes")) {
+    // Realistic daily documentation time is 30–300 min; 0.5–12 with decimals reads as hours.
+    const docLike = field.startsWith("doc_") && med < 12;
+    if (p90 <= 16 && (nonInteger >= 0.5 || docLike)) {
+      return { suspected: "hours", median: med, p90, message: `values look like hours (median ${round1(med)}, 90th percentile ${round1(p90)}); multiply by 60 if so` };
+    }
+  }
+  if (field === "adoption_rate") {
+    const fractions = sorted.filter((x) => x > 0 && x <= 1).length / sorted.length;
+    if (max <= 1 && med > 0) {
+      return { suspected: "fraction", median: med, message: `values are 0–1 fractions, not percentages (median ${round1(med * 100) / 100}); multiply by 100` };
+    }
+    if (fractions >= 0.2 && max > 1) {
+      return { suspected: "mixed", pct: Math.round(fractions * 100), message: `${Math.round(fractions * 100)}% of values are 0–1 while others are percentages; scales appear mixed` };
+    }
+  }
+  if (field === "nps" && sorted.length >= 5 && sorted[0] >= 0 && max <= 10) {
+    return { suspected: "0-10 scale", message: "values are all 0–10, which looks like a likelihood-to-recommend score rather than NPS (−100 to 100)" };
+  }
+  return null;
+}
+
+function outlierCheck(sorted, present) {
+  const q1 = quantile(sorted, 0.25);
+  const q3 = quantile(sorted, 0.75);
+  const iqr = q3 - q1;
+  if (!(iqr > 0)) return null;
+  const fences = [q1 - OUTLIER_IQR * iqr, q3 + OUTLIER_IQR * iqr];
+  const flagged = sorted.filter((x) => x < fences[0] || x > fences[1]);
+  if (!flagged.length) return null;
+  const share = flagged.length / sorted.length;
+  return {
+    fences,
+    pct: round1(share * 100),
+    count: Math.round(share * present),
+    estimated: sorted.length < present,
+    examples: [...new Set([flagged[0], flagged[flagged.length - 1]])]
+  };
+}
+
+/**
+ * Creates the per-upload checker for a settled mapping.
+ * add(row, rowNumber) blanks impossible values in place so the summarizer skips
+ * them; report() returns { rows_checked, fields, duplicates, issues, limitations }.
+ */
+export function createQualityChecker(mapping) {
+  const random = lcg();
+  const numericFields = Object.keys(MAPPING_FIELDS).filter((f) => MAPPING_FIELDS[f].type === "number" && mapping[f]);
+  const mappedFields = Object.keys(MAPPING_FIELDS).filter((f) => mapping[f]);
+  const fields = Object.fromEntries(mappedFields.map((f) => [f, newFieldAcc(mapping[f])]));
+
+  const idColumn = mapping.provider_id || null;
+  const specialtyColumn = mapping.specialty || null;
+  const providers = new Map(); // hashed id → { specialty, rows }
+  let specialtyConflicts = 0;
+
+  const fingerprints = new Set();
+  let duplicateRows = 0;
+  let fingerprintsCapped = false;
+
+  let rows = 0;
+
+  return {
+    add(row, rowNumber) {
+      rows++;
+
+      for (const field of mappedFields) {
+        const acc = fields[field];
+        const raw = row[acc.column];
+        if (raw == null || String(raw).trim() === "") continue;
+        acc.present++;
+        if (!numericFields.includes(field)) continue;
+
+        const x = parseNum(raw);
+        if (x == null) {
+          acc.nonNumeric++;
+          if (acc.examples.length < MAX_EXAMPLES) acc.examples.push({ row: rowNumber, value: preview(raw), problem: "not a number" });
+          continue;
+        }
+        const { min, max } = MAPPING_FIELDS[field];
+        if (x < min || x > max) {
+          acc.outOfRange++;
+          if (acc.examples.length < MAX_EXAMPLES) acc.examples.push({ row: rowNumber, value: preview(raw), problem: `outside ${min}–${max}` });
+          row[acc.column] = "";
+          continue;
+        }
+        acc.numeric++;
+        if (!Number.isInteger(x)) acc.nonInteger++;
+        // Reservoir sampling (Algorithm R) keeps a uniform sample of any length file.
+        if (acc.sample.length < RESERVOIR) acc.sample.push(x);
+        else {
+          const j = Math.floor(random() * acc.numeric);
+          if (j < RESERVOIR) acc.sample[j] = x;
+        }
+      }
+
+      if (idColumn) {
+        const id = String(row[idColumn] ?? "").trim();
+        if (id) {
+          const specialty = specialtyColumn ? String(row[specialtyColumn] ?? "").trim() : "";
+          const seen = providers.get(id);
+          if (!seen) providers.set(id, { specialty, rows: 1 });
+          else {
+            seen.rows++;
+            if (specialty && seen.specialty && seen.specialty !== specialty) specialtyConflicts++;
+            seen.specialty ||= specialty;
+          }
+        }
+      }
+
+      if (fingerprints.size < MAX_FINGERPRINTS) {
+        const key = crypto.createHash("sha1").update(JSON.stringify(mappedFields.map((f) => row[mapping[f]] ?? ""))).digest("base64").slice(0, 16);
+        if (fingerprints.has(key)) duplicateRows++;
+        else fingerprints.add(key);
+      } else {
+        fingerprintsCapped = true;
+      }
+    },
+
+    report() {
+      const issues = [];
+      const warn = (message, field) => issues.push({ severity: "warning", ...(field && { field }), message });
+      const info = (message, field) => issues.push({ severity: "info", ...(field && { field }), message });
+
+      const out = {};
+      for (const field of mappedFields) {
+        const acc = fields[field];
+        const missing = rows - acc.present;
+        const entry = {
+          column: acc.column,
+          present: acc.present,
+          missing,
+          missing_pct: round1(pct(missing, rows))
+        };
+        const label = acc.column === field ? field : `${field} ("${acc.column}")`;
+        // Long-format extracts put baseline and post on separate rows, so half-blank before/after columns are expected.
+        const paired = /_(before|after)$/.test(field);
+        if (entry.missing_pct > 20 && !paired) warn(`${label} is blank in ${entry.missing_pct}% of rows.`, field);
+        else if (entry.missing_pct > 5) info(`${label} is blank in ${entry.missing_pct}% of rows.`, field);
+
+        if (numericFields.includes(field)) {
+          const { min, max } = MAPPING_FIELDS[field];
+          Object.assign(entry, { non_numeric: acc.nonNumeric, out_of_range: acc.outOfRange, range: [min, max], examples: acc.examples });
+          if (acc.nonNumeric) {
+            const message = `${label} has ${acc.nonNumeric} non-numeric value(s), skipped in the summary.`;
+            if (pct(acc.nonNumeric, acc.present) > 1) warn(message, field);
+            else info(message, field);
+          }
+          if (acc.outOfRange) warn(`${label} has ${acc.outOfRange} value(s) outside ${min}–${max}, excluded from the summary.`, field);
+
+          const sorted = [...acc.sample].sort((a, b) => a - b);
+          if (sorted.length) {
+            entry.median = quantile(sorted, 0.5);
+            // Values trend over a period column, so the pooled distribution says little about outliers.
+            entry.outliers = mapping.period ? null : outlierCheck(sorted, acc.numeric);
+            entry.unit = unitCheck(field, sorted, acc);
+            if (entry.outliers) {
+              const [lo, hi] = entry.outliers.fences;
+              const bounds = lo <= min ? `above ${round1(hi)}` : `outside ${round1(lo)}–${round1(hi)}`;
+              info(`${label}: ${entry.outliers.estimated ? "about " : ""}${entry.outliers.count} extreme value(s) (${entry.outliers.pct}%) ${bounds}.`, field);
+            }
+            if (entry.unit) warn(`${label} ${entry.unit.message}.`, field);
+          }
+        }
+        out[field] = entry;
+      }
+
+      let repeatedIds = 0;
+      for (const p of providers.values()) if (p.rows > 1) repeatedIds++;
+      const duplicates = {
+        duplicate_rows: duplicateRows,
+        checked_all_rows: !fingerprintsCapped,
+        provider_ids: idColumn ? providers.size : null,
+        provider_ids_on_multiple_rows: idColumn ? repeatedIds : null,
+        provider_specialty_conflicts: idColumn ? specialtyConflicts : null
+      };
+      if (duplicateRows) warn(`${duplicateRows} row(s) repeat an earlier row exactly; duplicates are counted twice in the summary.`);
+      // Daily extracts repeat every ID; a few repeats in an otherwise one-row-per-provider file are worth a note.
+      if (repeatedIds && providers.size && repeatedIds < providers.size * 0.5) {
+        info(`${repeatedIds} provider ID(s) appear on more than one row; their rows are averaged per provider.`);
+      }
+      if (specialtyConflicts) warn(`${specialtyConflicts} row(s) give a provider ID a different specialty than earlier rows; provider IDs may be reused.`);
+
+      return {
+        rows_checked: rows,
+        status: issues.some((i) => i.severity === "warning") ? "review" : issues.length ? "notes" : "clean",
+        fields: out,
+        duplicates,
+        issues,
+        // Short sentences for the narrative prompt: only what changes how the figures should be read.
+        limitations: issues.filter((i) => i.severity === "warning").map((i) => i.message).slice(0, 10)
+      };
+    }
+  };
+}
+
+/**
+ * The part of the report that travels inside the telemetry summary: limitations
+ * for the prompt plus the figures they quote, so the claim checker can trace them.
+ * Example values are left out (they are raw cells, not statistics).
+ */
+export function summarizeQuality(report) {
+  const fields = {};
+  for (const [field, { examples, column, ...rest }] of Object.entries(report.fields)) fields[field] = rest;
+  return { status: report.status, limitations: report.limitations, duplicates: report.duplicates, fields };
+}
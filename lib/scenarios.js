@@ -0,0 +1,198 @@
+import { INPUT_LIMITS, computeFinancials } from "./financials.js";
+import { clamp, httpError, money, safeNum } from "./util.js";
+
+/* ============================
+   Drivers + named scenarios
+============================ */
+// Each driver reads/writes one field of the computeFinancials input.
+export const DRIVERS = [
+  { key: "timeSavedHrsPerDay", label: "Time saved (hrs/day)", path: ["timeSavedHrsPerDay"] },
+  { key: "patientIncreasePerDay", label: "Added capacity (patients/day)", path: ["patientIncreasePerDay"] },
+  { key: "physicianHourlyRate", label: "Physician hourly rate", path: ["assumptions", "physicianHourlyRate"] },
+  { key: "reimbursementPerVisit", label: "Reimbursement per visit", path: ["assumptions", "reimbursementPerVisit"] },
+  { key: "sukiCostPerPhysicianPerMonth", label: "Cost per physician / month", path: ["assumptions", "sukiCostPerPhysicianPerMonth"] },
+  { key: "workDaysPerYear", label: "Work days per year", path: ["assumptions", "workDaysPerYear"] }
+];
+
+// Multipliers applied to the base value of each driver (missing = 1).
+export const DEFAULT_SCENARIOS = [
+  {
+    name: "conservative",
+    label: "Conservative",
+    multipliers: { timeSavedHrsPerDay: 0.5, patientIncreasePerDay: 0.5, physicianHourlyRate: 0.9, reimbursementPerVisit: 0.9 }
+  },
+  { name: "base", label: "Base", multipliers: {} },
+  {
+    name: "optimistic",
+    label: "Optimistic",
+    multipliers: { timeSavedHrsPerDay: 1.25, patientIncreasePerDay: 1.25, physicianHourlyRate: 1.1, reimbursementPerVisit: 1.1 }
+  }
+];
+
+const SWEEP_STEPS = 5;
+
+function getPath(obj, path) {
+  return path.reduce((o, k) => (o == null ? undefined : o[k]), obj);
+}
+
+// The value computeFinancials will actually use, so results never claim a swing it flattens out.
+const applied = (d, value) => clamp(value, ...INPUT_LIMITS[d.key]);
+
+function setPath(obj, path, value) {
+  const copy = { ...obj, assumptions: { ...(obj.assumptions || {}) } };
+  if (path.length === 1) copy[path[0]] = value;
+  else copy.assumptions[path[1]] = value;
+  return copy;
+}
+
+/**
+ * Freezes the base case as plain illustrative inputs so every variation starts
+ * from the same numbers the headline model used (including telemetry-derived ones).
+ */
+export function baseInputs(input, telemetrySummary) {
+  const base = computeFinancials(input, telemetrySummary);
+  const a = base.assumptionsUsed;
+  return {
+    base,
+    input: {
+      physicianCount: input.physicianCount,
+      timeSavedHrsPerDay: base.valueInputs.timeSavedHrsPerDay.value,
+      patientIncreasePerDay: base.valueInputs.patientIncreasePerDay.value,
+      valueMode: "illustrative",
+      assumptions: {
+        ...(input.assumptions || {}),
+        physicianHourlyRate: a.fullyLoadedPhysicianRate,
+        reimbursementPerVisit: a.reimbursementPerVisit,
+        sukiCostPerPhysicianPerMonth: a.sukiCostPerPhysicianPerMonth,
+        workDaysPerYear: a.workDays
+      }
+    }
+  };
+}
+
+function outcome(fin) {
+  return {
+    roiX: fin.roiX,
+    annualTotalValue: fin.annualTotalValue,
+    annualSukiCost: fin.annualSukiCost,
+    npv: fin.multiYear.npv,
+    paybackMonth: fin.multiYear.paybackMonth
+  };
+}
+
+/* ============================
+   Scenario + sensitivity runs
+============================ */
+// Caller-supplied scenarios: [{ name, label?, multipliers: { [driverKey]: number >= 0 } }].
+function validateScenarios(scenarios) {
+  if (!Array.isArray(scenarios)) throw httpError(400, "scenarios must be an array.");
+  return scenarios.map((sc, i) => {
+    const bad = (msg) => httpError(400, `Scenario ${i + 1}: ${msg}`);
+    if (!sc || typeof sc !== "object" || Array.isArray(sc)) throw bad("must be an object.");
+    if (!String(sc.name ?? "").trim()) throw bad("name is required.");
+    const multipliers = sc.multipliers ?? {};
+    if (typeof multipliers !== "object" || Array.isArray(multipliers)) throw bad("multipliers must be an object.");
+    for (const [key, m] of Object.entries(multipliers)) {
+      if (!DRIVERS.some((d) => d.key === key)) throw bad(`unknown driver "${key}".`);
+      if (m != null && !(Number.isFinite(Number(m)) && Number(m) >= 0)) throw bad(`multiplier for ${key} must be a number >= 0.`);
+    }
+    return { ...sc, multipliers };
+  });
+}
+
+export function runScenarios(baseInput, scenarios = DEFAULT_SCENARIOS) {
+  return scenarios.map((sc) => {
+    let input = baseInput;
+    const values = {};
+    const clamped = [];
+    for (const d of DRIVERS) {
+      const m = sc.multipliers?.[d.key];
+      if (m == null) continue;
+      const requested = safeNum(getPath(baseInput, d.path), 0) * safeNum(m, 1);
+      values[d.key] = applied(d, requested);
+      if (values[d.key] !== requested) clamped.push(d.key);
+      input = setPath(input, d.path, values[d.key]);
+    }
+    return {
+      name: sc.name,
+      label: sc.label || sc.name,
+      multipliers: sc.multipliers || {},
+      values,
+      clamped,
+      ...outcome(computeFinancials(input))
+    };
+  });
+}
+
+/**
+ * One-at-a-time sweep of each driver across ±swingPct of its base value.
+ * Drivers are ranked by ROI swing (high − low) for a tornado chart.
+ */
+export function runSensitivity(baseInput, swingPct = 25) {
+  const swing = clamp(safeNum(swingPct, 25), 1, 90) / 100;
+  const baseRoi = computeFinancials(baseInput).roiX;
+
+  const drivers = DRIVERS.map((d) => {
+    const baseValue = safeNum(getPath(baseInput, d.path), 0);
+    const sweep = [];
+    for (let i = 0; i < SWEEP_STEPS; i++) {
+      const factor = 1 - swing + (2 * swing * i) / (SWEEP_STEPS - 1);
+      const value = applied(d, baseValue * factor);
+      const fin = computeFinancials(setPath(baseInput, d.path, value));
+      sweep.push({ factor, value, clamped: value !== baseValue * factor, roiX: fin.roiX, annualTotalValue: fin.annualTotalValue });
+    }
+    const rois = sweep.map((p) => p.roiX ?? 0);
+    const roiLow = Math.min(...rois);
+    const roiHigh = Math.max(...rois);
+    return {
+      key: d.key,
+      label: d.label,
+      baseValue,
+      lowValue: sweep[0].value,
+      highValue: sweep[sweep.length - 1].value,
+      roiAtLow: sweep[0].roiX,
+      roiAtHigh: sweep[sweep.length - 1].roiX,
+      roiLow,
+      roiHigh,
+      roiSwing: roiHigh - roiLow,
+      clamped: sweep.some((p) => p.clamped),
+      sweep
+    };
+  }).sort((a, b) => b.roiSwing - a.roiSwing);
+
+  return { swingPct: swing * 100, baseRoi, drivers };
+}
+
+export function runScenarioAnalysis(input, telemetrySummary, { scenarios, swingPct } = {}) {
+  const { base, input: frozen } = baseInputs(input, telemetrySummary);
+  const scenarioResults = runScenarios(frozen, scenarios == null || scenarios.length === 0 ? DEFAULT_SCENARIOS : validateScenarios(scenarios));
+  const sensitivity = runSensitivity(frozen, swingPct);
+
+  const rois = [...scenarioResults.map((s) => s.roiX), ...sensitivity.drivers.flatMap((d) => [d.roiLow, d.roiHigh])].filter(
+    (x) => Number.isFinite(x)
+  );
+
+  return {
+    base: outcome(base),
+    scenarios: scenarioResults,
+    sensitivity,
+    roiRange: rois.length ? { min: Math.min(...rois), max: Math.max(...rois) } : null
+  };
+}
+
+// Plain-text block for the narrative prompt.
+// fmt: { locale, currency } for money.
+export function describeScenarioAnalysis(analysis, fmt) {
+  const x = (r) => (Number.isFinite(r) ? `${r.toFixed(1)}x` : "N/A");
+  const capped = (keys) => (keys?.length ? ` (capped at model limits: ${keys.map((k) => DRIVERS.find((d) => d.key === k).label).join(", ")})` : "");
+  const lines = analysis.scenarios.map(
+    (s) => `- ${s.label}: ROI ${x(s.roiX)}, annual value ${money(s.annualTotalValue, fmt)}${capped(s.clamped)}`
+  );
+  lines.push(`- ROI range across scenarios and ±${analysis.sensitivity.swingPct}% sweeps: ${x(analysis.roiRange?.min)} to ${x(analysis.roiRange?.max)}`);
+  lines.push("Tornado ranking (largest ROI swing first):");
+  analysis.sensitivity.drivers.forEach((d, i) => {
+    const note = d.clamped ? " (sweep capped at model limits)" : "";
+    lines.push(`  ${i + 1}. ${d.label}: ROI ${x(d.roiAtLow)} at −${analysis.sensitivity.swingPct}% → ${x(d.roiAtHigh)} at +${analysis.sensitivity.swingPct}%${note}`);
+  });
+  return lines.join("\n");
+}
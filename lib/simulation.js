@@ -0,0 +1,177 @@
+import { computeFinancials } from "./financials.js";
+import { DRIVERS, baseInputs } from "./scenarios.js";
+import { mean, quantile } from "./stats.js";
+import { clamp, httpError, money, safeNum } from "./util.js";
+
+/* ============================
+   Seeded random numbers
+============================ */
+// mulberry32: tiny, fast, and fully reproducible for a given 32-bit seed.
+export function createRng(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function sampleNormal(rng, m, sd) {
+  // Box–Muller; 1 - u keeps log() away from zero.
+  const u = 1 - rng();
+  const v = rng();
+  return m + sd * Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+function sampleTriangular(rng, min, mode, max) {
+  const u = rng();
+  const c = max > min ? (mode - min) / (max - min) : 0.5;
+  return u < c
+    ? min + Math.sqrt(u * (max - min) * (mode - min))
+    : max - Math.sqrt((1 - u) * (max - min) * (max - mode));
+}
+
+export function sample(rng, dist) {
+  switch (dist.type) {
+    case "uniform":
+      return dist.min + rng() * (dist.max - dist.min);
+    case "normal": {
+      const x = sampleNormal(rng, dist.mean, dist.sd);
+      return clamp(x, dist.min ?? -Infinity, dist.max ?? Infinity);
+    }
+    case "triangular":
+      return sampleTriangular(rng, dist.min, dist.mode, dist.max);
+    case "fixed":
+      return dist.value;
+    default:
+      throw httpError(400, `Unknown distribution type "${dist.type}".`);
+  }
+}
+
+/* ============================
+   Distributions
+============================ */
+// Wider, downside-skewed ranges for the soft value drivers; tighter for contract/calendar inputs.
+const DEFAULT_SPREAD = {
+  timeSavedHrsPerDay: [0.5, 1.25],
+  patientIncreasePerDay: [0.4, 1.25],
+  physicianHourlyRate: [0.85, 1.15],
+  reimbursementPerVisit: [0.85, 1.1],
+  sukiCostPerPhysicianPerMonth: [1, 1],
+  workDaysPerYear: [0.92, 1.04]
+};
+
+export function defaultDistributions(frozenInput) {
+  const out = {};
+  for (const d of DRIVERS) {
+    const base = safeNum(d.path.length === 1 ? frozenInput[d.path[0]] : frozenInput.assumptions?.[d.path[1]], 0);
+    const [lo, hi] = DEFAULT_SPREAD[d.key];
+    out[d.key] = lo === 1 && hi === 1 ? { type: "fixed", value: base } : { type: "triangular", min: base * lo, mode: base, max: base * hi };
+  }
+  return out;
+}
+
+function validateDistribution(key, dist) {
+  const num = (x) => Number.isFinite(Number(x));
+  const bad = (msg) => httpError(400, `Distribution for ${key}: ${msg}`);
+  switch (dist?.type) {
+    case "uniform":
+      if (!num(dist.min) || !num(dist.max) || Number(dist.min) > Number(dist.max)) throw bad("uniform needs min <= max.");
+      return { type: "uniform", min: Number(dist.min), max: Number(dist.max) };
+    case "normal":
+      if (!num(dist.mean) || !num(dist.sd) || Number(dist.sd) < 0) throw bad("normal needs mean and sd >= 0.");
+      return {
+        type: "normal",
+        mean: Number(dist.mean),
+        sd: Number(dist.sd),
+        min: num(dist.min) ? Number(dist.min) : 0,
+        max: num(dist.max) ? Number(dist.max) : undefined
+      };
+    case "triangular": {
+      const [a, m, b] = [dist.min, dist.mode, dist.max].map(Number);
+      if (![a, m, b].every(Number.isFinite) || !(a <= m && m <= b)) throw bad("triangular needs min <= mode <= max.");
+      return { type: "triangular", min: a, mode: m, max: b };
+    }
+    case "fixed":
+      if (!num(dist.value)) throw bad("fixed needs a numeric value.");
+      return { type: "fixed", value: Number(dist.value) };
+    default:
+      throw bad(`unknown type "${dist?.type}".`);
+  }
+}
+
+/* ============================
+   Monte Carlo run
+============================ */
+const DEFAULT_ITERATIONS = 5000;
+const MAX_ITERATIONS = 50000;
+const DEFAULT_SEED = 20240601;
+
+function percentiles(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  return {
+    p10: quantile(sorted, 0.1),
+    p50: quantile(sorted, 0.5),
+    p90: quantile(sorted, 0.9),
+    mean: mean(sorted)
+  };
+}
+
+/**
+ * Samples every driver from its distribution and re-runs computeFinancials.
+ * Same input + seed + distributions always yields the same result.
+ */
+export function runSimulation(input, telemetrySummary, { distributions, iterations, seed } = {}) {
+  const { input: frozen } = baseInputs(input, telemetrySummary);
+  const dists = defaultDistributions(frozen);
+  for (const [key, dist] of Object.entries(distributions || {})) {
+    if (!DRIVERS.some((d) => d.key === key)) throw httpError(400, `Unknown driver "${key}".`);
+    dists[key] = validateDistribution(key, dist);
+  }
+
+  const n = Math.round(clamp(safeNum(iterations, DEFAULT_ITERATIONS), 100, MAX_ITERATIONS));
+  const usedSeed = Number.isFinite(Number(seed)) ? Number(seed) >>> 0 : DEFAULT_SEED;
+  const rng = createRng(usedSeed);
+
+  const values = [];
+  const rois = [];
+  let above1 = 0;
+
+  for (let i = 0; i < n; i++) {
+    const trial = { ...frozen, assumptions: { ...frozen.assumptions } };
+    for (const d of DRIVERS) {
+      const v = Math.max(0, sample(rng, dists[d.key]));
+      if (d.path.length === 1) trial[d.path[0]] = v;
+      else trial.assumptions[d.path[1]] = v;
+    }
+    const fin = computeFinancials(trial);
+    values.push(fin.annualTotalValue);
+    const roi = fin.roiX ?? 0;
+    rois.push(roi);
+    if (roi > 1) above1++;
+  }
+
+  return {
+    iterations: n,
+    seed: usedSeed,
+    distributions: dists,
+    annualTotalValue: percentiles(values),
+    roiX: percentiles(rois),
+    probRoiAbove1: above1 / n
+  };
+}
+
+// Plain-text block for the narrative prompt.
+// fmt: { locale, currency } for money.
+export function describeSimulation(sim, fmt) {
+  const x = (r) => `${r.toFixed(1)}x`;
+  const m = (n) => money(n, fmt);
+  return [
+    `- Annual value P10/P50/P90: ${m(sim.annualTotalValue.p10)} / ${m(sim.annualTotalValue.p50)} / ${m(sim.annualTotalValue.p90)}`,
+    `- ROI P10/P50/P90: ${x(sim.roiX.p10)} / ${x(sim.roiX.p50)} / ${x(sim.roiX.p90)}`,
+    `- Probability ROI exceeds 1x: ${(sim.probRoiAbove1 * 100).toFixed(1)}%`,
+    `- ${sim.iterations} iterations, seed ${sim.seed}`
+  ].join("\n");
+}
@@ -0,0 +1,84 @@
+/* ============================
+   Descriptive statistics
+============================ */
+export function mean(xs) {
+  return xs.length ? xs.reduce((a, b) => a + b, 0) / xs.length : null;
+}
+
+export function median(xs) {
+  if (!xs.length) return null;
+  const s = [...xs].sort((a, b) => a - b);
+  const mid = Math.floor(s.length / 2);
+  return s.length % 2 ? s[mid] : (s[mid - 1] + s[mid]) / 2;
+}
+
+// Sample standard deviation (n - 1)
+export function stdev(xs) {
+  if (xs.length < 2) return null;
+  const m = mean(xs);
+  const ss = xs.reduce((a, x) => a + (x - m) ** 2, 0);
+  return Math.sqrt(ss / (xs.length - 1));
+}
+
+// Linear interpolation between closest ranks; expects an ascending array.
+export function quantile(sorted, q) {
+  if (!sorted.length) return null;
+  const pos = (sorted.length - 1) * q;
+  const lo = Math.floor(pos);
+  const hi = Math.ceil(pos);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+}
+
+/* ============================
+   Confidence intervals
+============================ */
+const T975_SMALL_DF = [null, 12.706, 4.303, 3.182, 2.776, 2.571];
+
+// Two-sided 95% Student t critical value (Cornish–Fisher expansion beyond df 5).
+export function tCritical95(df) {
+  if (!Number.isFinite(df) || df < 1) return null;
+  if (df <= 5) return T975_SMALL_DF[Math.floor(df)];
+  const z = 1.959964;
+  return z + (z ** 3 + z) / (4 * df) + (5 * z ** 5 + 16 * z ** 3 + 3 * z) / (96 * df ** 2);
+}
+
+/**
+ * Mean, median, SD and 95% t-interval for a list of numbers.
+ * The interval is null when fewer than two values are available.
+ */
+export function describe(xs) {
+  const n = xs.length;
+  const m = mean(xs);
+  const sd = stdev(xs);
+  const half = sd != null ? tCritical95(n - 1) * (sd / Math.sqrt(n)) : null;
+  return {
+    n,
+    mean: m,
+    median: median(xs),
+    sd,
+    ci95: half != null ? [m - half, m + half] : null
+  };
+}
+
+/**
+ * Difference of two independent means (a − b) with a Welch 95% interval, e.g. the
+ * difference-in-differences of per-provider changes between two cohorts.
+ * The interval is null unless both groups have at least two values.
+ */
+export function meanDifference(a, b) {
+  const ma = mean(a);
+  const mb = mean(b);
+  if (ma == null || mb == null) return { diff: null, se: null, df: null, ci95: null };
+  const sa = stdev(a);
+  const sb = stdev(b);
+  if (sa == null || sb == null) return { diff: ma - mb, se: null, df: null, ci95: null };
+
+  const va = sa ** 2 / a.length;
+  const vb = sb ** 2 / b.length;
+  const se = Math.sqrt(va + vb);
+  if (!se) return { diff: ma - mb, se: 0, df: null, ci95: [ma - mb, ma - mb] };
+  // Welch–Satterthwaite degrees of freedom
+  const df = (va + vb) ** 2 / (va ** 2 / (a.length - 1) + vb ** 2 / (b.length - 1));
+  const half = tCritical95(df) * se;
+  return { diff: ma - mb, se, df, ci95: [ma - mb - half, ma - mb + half] };
+}
@@ -0,0 +1,126 @@
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+
+/* ============================
+   File-based run store
+============================ */
+// One JSON file per run plus a small index for listing without reading every file.
+// Every run belongs to a workspace; runs saved before workspaces existed belong to "default".
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+export const DATA_DIR = process.env.DATA_DIR ? path.resolve(process.env.DATA_DIR) : path.join(ROOT, "data");
+const RUNS_DIR = path.join(DATA_DIR, "runs");
+const INDEX_FILE = path.join(RUNS_DIR, "index.json");
+
+// Serialize writes so concurrent requests never interleave index updates.
+let writeChain = Promise.resolve();
+function serialized(fn) {
+  const next = writeChain.then(fn, fn);
+  writeChain = next.catch(() => {});
+  return next;
+}
+
+export async function writeJsonAtomic(file, data) {
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.${Date.now()}.tmp`;
+  await fs.writeFile(tmp, JSON.stringify(data, null, 2));
+  await fs.rename(tmp, file);
+}
+
+export async function readJson(file, fallback = null) {
+  try {
+    return JSON.parse(await fs.readFile(file, "utf8"));
+  } catch (err) {
+    if (err.code === "ENOENT") return fallback;
+    throw err;
+  }
+}
+
+export function customerKey(name) {
+  return (
+    String(name || "")
+      .toLowerCase()
+      .normalize("NFKD")
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-+|-+$/g, "") || "unnamed"
+  );
+}
+
+const isRunId = (id) => /^[0-9a-f-]{36}$/.test(String(id));
+export const runWorkspace = (run) => run?.workspace || "default";
+
+function indexEntry(run) {
+  return {
+    id: run.id,
+    customerKey: run.customerKey,
+    customerName: run.customerName,
+    workspace: runWorkspace(run),
+    createdBy: run.createdBy?.username || null,
+    version: run.version,
+    createdAt: run.createdAt,
+    model: run.model,
+    prompt: run.prompt || null,
+    locale: run.locale ? { locale: run.locale.locale, currency: run.locale.currency } : null,
+    audiences: run.audiences,
+    roiX: run.financials?.roiX ?? null,
+    annualTotalValue: run.financials?.annualTotalValue ?? null
+  };
+}
+
+/**
+ * Persists a generated run and assigns it the next version number for its customer
+ * within its workspace. Returns the stored record.
+ */
+export function saveRun(run) {
+  return serialized(async () => {
+    const index = await readJson(INDEX_FILE, []);
+    const key = customerKey(run.customerName);
+    const workspace = runWorkspace(run);
+    const version =
+      index.filter((r) => r.customerKey === key && runWorkspace(r) === workspace).reduce((m, r) => Math.max(m, r.version), 0) + 1;
+
+    const record = {
+      id: crypto.randomUUID(),
+      customerKey: key,
+      version,
+      createdAt: new Date().toISOString(),
+      ...run,
+      workspace
+    };
+
+    await writeJsonAtomic(path.join(RUNS_DIR, `${record.id}.json`), record);
+    index.push(indexEntry(record));
+    await writeJsonAtomic(INDEX_FILE, index);
+    return record;
+  });
+}
+
+export async function listRuns({ customer, workspace } = {}) {
+  const index = await readJson(INDEX_FILE, []);
+  const key = customer ? customerKey(customer) : null;
+  return index
+    .filter((r) => (!key || r.customerKey === key) && (!workspace || runWorkspace(r) === workspace))
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+export async function listCustomers({ workspace } = {}) {
+  const index = await readJson(INDEX_FILE, []);
+  const byKey = new Map();
+  for (const r of index) {
+    if (workspace && runWorkspace(r) !== workspace) continue;
+    const c = byKey.get(r.customerKey) || { customerKey: r.customerKey, customerName: r.customerName, runs: 0, latestAt: null };
+    c.runs++;
+    if (!c.latestAt || r.createdAt > c.latestAt) {
+      c.latestAt = r.createdAt;
+      c.customerName = r.customerName;
+    }
+    byKey.set(r.customerKey, c);
+  }
+  return [...byKey.values()].sort((a, b) => b.latestAt.localeCompare(a.latestAt));
+}
+
+export async function getRun(id) {
+  if (!isRunId(id)) return null;
+  return readJson(path.join(RUNS_DIR, `${id}.json`));
+}
@@ -0,0 +1,111 @@
+/* ============================
+   Server-Sent Events
+============================ */
+export function openSse(res) {
+  res.status(200);
+  res.setHeader("Content-Type", "text/event-stream; charset=utf-8");
+  res.setHeader("Cache-Control", "no-cache, no-transform");
+  res.setHeader("Connection", "keep-alive");
+  // Stops reverse proxies (nginx, Render) from buffering the whole stream.
+  res.setHeader("X-Accel-Buffering", "no");
+  res.flushHeaders();
+
+  return {
+    send(event, data) {
+      if (res.writableEnded) return;
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+    end() {
+      if (!res.writableEnded) res.end();
+    }
+  };
+}
+
+/* ============================
+   Incremental JSON field scanner
+============================ */
+/**
+ * Feeds a JSON document in arbitrary chunks and calls onField(path, value)
+ * as soon as each object member is complete, e.g. (["narratives", "clinical"], "…")
+ * long before the closing brace of the whole document arrives.
+ * Array elements are not reported individually; the array is reported once closed.
+ */
+export function createJsonFieldScanner(onField) {
+  let text = "";
+  let i = 0;
+  let inString = false;
+  let escaped = false;
+  let stringStart = -1;
+  // Frames: { type: "object" | "array", path, key, awaiting, start }
+  const stack = [];
+
+  const top = () => stack[stack.length - 1];
+
+  function valueStarted(at) {
+    const f = top();
+    if (f && f.type === "object" && f.awaiting && f.start < 0) f.start = at;
+  }
+
+  function valueEnded(end) {
+    const f = top();
+    if (!f || f.type !== "object" || !f.awaiting || f.start < 0) return;
+    const raw = text.slice(f.start, end);
+    f.awaiting = false;
+    f.start = -1;
+    let value;
+    try {
+      value = JSON.parse(raw);
+    } catch {
+      return;
+    }
+    onField([...f.path, f.key], value);
+  }
+
+  function push(chunk) {
+    text += chunk;
+    for (; i < text.length; i++) {
+      const ch = text[i];
+
+      if (inString) {
+        if (escaped) escaped = false;
+        else if (ch === "\\") escaped = true;
+        else if (ch === '"') {
+          inString = false;
+          const f = top();
+          if (f && f.type === "object" && !f.awaiting) {
+            try {
+              f.key = JSON.parse(text.slice(stringStart, i + 1));
+            } catch {
+              f.key = null;
+            }
+          } else valueEnded(i + 1);
+        }
+        continue;
+      }
+
+      if (ch === '"') {
+        valueStarted(i);
+        inString = true;
+        stringStart = i;
+      } else if (ch === "{" || ch === "[") {
+        valueStarted(i);
+        const f = top();
+        const path = !f ? [] : f.type === "object" ? [...f.path, f.key] : [...f.path, "[]"];
+        stack.push({ type: ch === "{" ? "object" : "array", path, key: null, awaiting: false, start: -1 });
+      } else if (ch === "}" || ch === "]") {
+        valueEnded(i); // trailing primitive, e.g. {"a": 1}
+        stack.pop();
+        valueEnded(i + 1);
+      } else if (ch === ",") {
+        valueEnded(i);
+      } else if (ch === ":") {
+        const f = top();
+        if (f && f.type === "object") f.awaiting = true;
+      } else if (!/\s/.test(ch)) {
+        valueStarted(i);
+      }
+    }
+  }
+
+  return { push };
+}
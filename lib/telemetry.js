@@ -0,0 +1,546 @@
+import { createCsvParser } from "./csv.js";
+import { describe, mean, meanDifference } from "./stats.js";
+import { autoMap, checkMapping } from "./mapping.js";
+import { createPhiScanner, hashIdentifier } from "./phi.js";
+import { createQualityChecker, summarizeQuality } from "./quality.js";
+import { createSeriesAccumulator } from "./timeseries.js";
+import { httpError, parseNum } from "./util.js";
+
+/* ============================
+   Telemetry fields + mapping
+============================ */
+export const TELEMETRY_FIELDS = [
+  "provider_id",
+  "specialty",
+  "encounters",
+  "encounters_per_day_before",
+  "encounters_per_day_after",
+  "doc_minutes_before",
+  "doc_minutes_after",
+  "after_hours_minutes_before",
+  "after_hours_minutes_after",
+  "adoption_rate",
+  "nps",
+  "cohort",
+  "period"
+];
+
+const METRIC_FIELDS = TELEMETRY_FIELDS.filter((f) => !["provider_id", "specialty", "cohort", "period"].includes(f));
+
+const MAX_JSON_CHARS = 256 * 1024 * 1024;
+
+// Rows held back to type-check the mapping before anything is summarized.
+const SAMPLE_ROWS = 200;
+
+/* ============================
+   Summary (single pass, per-provider accumulators)
+============================ */
+const PAIRED_METRICS = {
+  doc_minutes: ["doc_minutes_before", "doc_minutes_after"],
+  after_hours_minutes: ["after_hours_minutes_before", "after_hours_minutes_after"],
+  encounters_per_day: ["encounters_per_day_before", "encounters_per_day_after"]
+};
+
+const MAX_SPECIALTIES = 25;
+
+// Cohort labels, compared lowercased with separators removed ("Non-User" → "nonuser").
+const COHORT_LABELS = {
+  adopter: ["adopter", "adopters", "user", "users", "suki", "sukiuser", "treatment", "treated", "intervention", "pilot", "yes", "y", "true", "1"],
+  comparison: ["comparison", "comparator", "control", "controls", "nonadopter", "nonadopters", "nonuser", "nonusers", "nonsuki", "no", "n", "false", "0"]
+};
+const COHORT_OF = new Map(Object.entries(COHORT_LABELS).flatMap(([cohort, labels]) => labels.map((l) => [l, cohort])));
+
+// "adopter" | "comparison", null for a blank cell, undefined for a label we do not recognize.
+function classifyCohort(value) {
+  const key = String(value ?? "").toLowerCase().replace(/[^a-z0-9]+/g, "");
+  if (!key) return null;
+  return COHORT_OF.get(key);
+}
+
+function newProviderAcc(specialty) {
+  const acc = { specialty, cohort: null, rows: 0, encounters: 0 };
+  for (const [before, after] of Object.values(PAIRED_METRICS)) {
+    acc[before] = { sum: 0, n: 0 };
+    acc[after] = { sum: 0, n: 0 };
+  }
+  return acc;
+}
+
+const accMean = (x) => (x.n ? x.sum / x.n : null);
+
+// Per-provider changes (post − baseline) for providers that have both sides of the metric.
+function pairedDeltas(accs, before, after) {
+  const deltas = [];
+  const baselines = [];
+  const posts = [];
+  let unpaired = 0;
+
+  for (const acc of accs) {
+    const b = accMean(acc[before]);
+    const a = accMean(acc[after]);
+    if (b == null && a == null) continue;
+    if (b == null || a == null) {
+      unpaired++;
+      continue;
+    }
+    deltas.push(a - b);
+    baselines.push(b);
+    posts.push(a);
+  }
+  return { deltas, baselines, posts, unpaired };
+}
+
+function pairedStats(accs, before, after) {
+  const { deltas, baselines, posts, unpaired } = pairedDeltas(accs, before, after);
+  const d = describe(deltas);
+  const baselineMean = mean(baselines);
+  const pct = (x) => (baselineMean ? (x / baselineMean) * 100 : null);
+
+  return {
+    n: d.n,
+    n_unpaired: unpaired,
+    baseline_mean: baselineMean,
+    post_mean: mean(posts),
+    mean_change: d.mean,
+    median_change: d.median,
+    sd_change: d.sd,
+    ci95: d.ci95,
+    pct_change: d.mean != null ? pct(d.mean) : null,
+    pct_change_ci95: d.ci95 && baselineMean ? d.ci95.map(pct) : null
+  };
+}
+
+function pairedBlock(accs) {
+  const out = {};
+  for (const [metric, [before, after]] of Object.entries(PAIRED_METRICS)) {
+    out[metric] = pairedStats(accs, before, after);
+  }
+  return out;
+}
+
+// Metrics a controlled estimate is reported for; encounters stay pre/post only.
+const DID_METRICS = ["doc_minutes", "after_hours_minutes"];
+
+// Difference-in-differences: adopters' mean change minus the comparison group's, so
+// shifts both groups saw (seasonality, an EHR upgrade) cancel out. Negative = fewer minutes.
+function differenceInDifferences(adopters, comparison, before, after) {
+  const a = pairedDeltas(adopters, before, after);
+  const c = pairedDeltas(comparison, before, after);
+  const did = meanDifference(a.deltas, c.deltas);
+  const baselineMean = mean(a.baselines);
+  const pct = (x) => (baselineMean ? (x / baselineMean) * 100 : null);
+
+  return {
+    n_adopters: a.deltas.length,
+    n_comparison: c.deltas.length,
+    adopter_change: mean(a.deltas),
+    comparison_change: mean(c.deltas),
+    adopter_baseline_mean: baselineMean,
+    did: did.diff,
+    se: did.se,
+    df: did.df,
+    ci95: did.ci95,
+    pct_of_baseline: did.diff != null ? pct(did.diff) : null,
+    pct_ci95: did.ci95 && baselineMean ? did.ci95.map(pct) : null
+  };
+}
+
+function cohortComparison(accs, column, unrecognizedRows) {
+  const adopters = accs.filter((acc) => acc.cohort === "adopter");
+  const comparison = accs.filter((acc) => acc.cohort === "comparison");
+  const out = {
+    column,
+    adopters: adopters.length,
+    comparison: comparison.length,
+    unlabeled: accs.length - adopters.length - comparison.length,
+    unrecognized_rows: unrecognizedRows
+  };
+  for (const metric of DID_METRICS) out[metric] = differenceInDifferences(adopters, comparison, ...PAIRED_METRICS[metric]);
+  return out;
+}
+
+export function createTelemetrySummarizer(mapping) {
+  const get = (row, key) => (mapping[key] ? row[mapping[key]] : undefined);
+
+  // Without a provider column every row is treated as its own provider (row-level pairing).
+  const pairing = mapping.provider_id ? "provider_id" : "row";
+  const providers = new Map();
+
+  let n = 0;
+  let encountersTotal = 0;
+
+  let adoptionSum = 0;
+  let adoptionN = 0;
+  let npsSum = 0;
+  let npsN = 0;
+
+  let unrecognizedCohort = 0;
+  const series = mapping.period ? createSeriesAccumulator(mapping) : null;
+
+  return {
+    // Returns null when the row is accepted, otherwise the rejection reason.
+    add(row) {
+      const vals = {};
+      for (const key of METRIC_FIELDS) vals[key] = parseNum(get(row, key));
+      if (METRIC_FIELDS.every((key) => vals[key] == null)) return "no_metrics";
+
+      const providerId = pairing === "provider_id" ? String(get(row, "provider_id") ?? "").trim() : `row:${n}`;
+      if (!providerId) return "missing_provider_id";
+
+      n++;
+      const specialty = String(get(row, "specialty") ?? "").trim();
+      let acc = providers.get(providerId);
+      if (!acc) {
+        acc = newProviderAcc(specialty);
+        providers.set(providerId, acc);
+      } else if (!acc.specialty && specialty) {
+        acc.specialty = specialty;
+      }
+
+      const cohort = mapping.cohort ? classifyCohort(get(row, "cohort")) : null;
+      if (cohort === undefined) unrecognizedCohort++;
+      else if (cohort && !acc.cohort) acc.cohort = cohort;
+      // The trend follows the product's users, so comparison rows stay out of it.
+      if (series && cohort !== "comparison") series.add(row, vals, providerId);
+
+      acc.rows++;
+      if (vals.encounters != null) {
+        acc.encounters += vals.encounters;
+        encountersTotal += vals.encounters;
+      }
+      for (const [before, after] of Object.values(PAIRED_METRICS)) {
+        if (vals[before] != null) {
+          acc[before].sum += vals[before];
+          acc[before].n++;
+        }
+        if (vals[after] != null) {
+          acc[after].sum += vals[after];
+          acc[after].n++;
+        }
+      }
+      if (vals.adoption_rate != null) {
+        adoptionSum += vals.adoption_rate;
+        adoptionN++;
+      }
+      if (vals.nps != null) {
+        npsSum += vals.nps;
+        npsN++;
+      }
+      return null;
+    },
+
+    summarize(columns) {
+      const all = [...providers.values()];
+      // Comparison providers never used the product: they feed the controlled estimate only.
+      const accs = mapping.cohort ? all.filter((acc) => acc.cohort !== "comparison") : all;
+
+      const bySpecialty = new Map();
+      if (mapping.specialty) {
+        for (const acc of accs) {
+          const key = acc.specialty || "unspecified";
+          if (!bySpecialty.has(key)) bySpecialty.set(key, []);
+          bySpecialty.get(key).push(acc);
+        }
+      }
+
+      return {
+        loaded_rows: n,
+        providers: providers.size,
+        pairing,
+        columns_detected: columns.slice(0, 40),
+        mapping_used: mapping,
+        encounter_total: encountersTotal || null,
+        ...pairedBlock(accs),
+        adoption_rate_avg: adoptionN ? adoptionSum / adoptionN : null,
+        nps_avg: npsN ? npsSum / npsN : null,
+        by_specialty: [...bySpecialty.entries()]
+          .sort((a, b) => b[1].length - a[1].length)
+          .slice(0, MAX_SPECIALTIES)
+          .map(([specialty, group]) => ({ specialty, providers: group.length, ...pairedBlock(group) })),
+        cohort_comparison: mapping.cohort ? cohortComparison(all, mapping.cohort, unrecognizedCohort) : null,
+        time_series: series ? series.summarize() : null,
+        notes: [
+          "Telemetry summary is computed across every row of the uploaded file.",
+          pairing === "provider_id"
+            ? "Changes are paired per provider (post − baseline of each provider's own averages); negative values mean fewer minutes."
+            : "No provider column mapped: changes are paired per row, which may over-count providers with many rows.",
+          ...(mapping.cohort
+            ? ["Pre/post figures exclude comparison-cohort providers; cohort_comparison holds the difference-in-differences estimate against them."]
+            : []),
+          "All values are demo-safe; do not upload PHI."
+        ]
+      };
+    }
+  };
+}
+
+const fmt1 = (x) => (x == null ? "n/a" : x.toFixed(1));
+
+function evidenceLine(label, m, unit = "min") {
+  if (!m || !m.n) return `- ${label}: no paired data`;
+  const ci = m.ci95 ? `95% CI ${fmt1(m.ci95[0])} to ${fmt1(m.ci95[1])}` : "CI n/a (n < 2)";
+  const pct = m.pct_change != null ? `, ${fmt1(m.pct_change)}%` : "";
+  const sig = m.ci95 && (m.ci95[1] < 0 || m.ci95[0] > 0) ? "CI excludes zero" : "CI includes zero";
+  return (
+    `- ${label}: baseline ${fmt1(m.baseline_mean)} → post ${fmt1(m.post_mean)} ${unit}; ` +
+    `mean change ${fmt1(m.mean_change)}${pct} (median ${fmt1(m.median_change)}, SD ${fmt1(m.sd_change)}, ${ci}, n=${m.n}; ${sig})`
+  );
+}
+
+function didLine(label, m) {
+  if (!m || m.did == null) return `- ${label}: no controlled estimate (needs paired data in both cohorts)`;
+  const ci = m.ci95 ? `95% CI ${fmt1(m.ci95[0])} to ${fmt1(m.ci95[1])}` : "CI n/a (n < 2 in a cohort)";
+  const pct = m.pct_of_baseline != null ? `, ${fmt1(m.pct_of_baseline)}% of adopter baseline` : "";
+  const sig = m.ci95 && (m.ci95[1] < 0 || m.ci95[0] > 0) ? "CI excludes zero" : "CI includes zero";
+  return (
+    `- ${label}: adopters ${fmt1(m.adopter_change)} vs. comparison ${fmt1(m.comparison_change)} min; ` +
+    `difference-in-differences ${fmt1(m.did)}${pct} (${ci}, n=${m.n_adopters}/${m.n_comparison}; ${sig})`
+  );
+}
+
+const TREND_LABELS = {
+  active_users: "Active users",
+  adoption_rate: "Adoption rate (%)",
+  doc_minutes_per_encounter: "Doc minutes per encounter",
+  doc_minutes: "Doc minutes per provider-day",
+  after_hours_minutes: "After-hours minutes per provider-day"
+};
+
+function plateauText(p) {
+  if (!p) return "too few periods to judge a plateau";
+  if (p.reached) return `plateau from ${p.period} at about ${fmt1(p.level)} (after ${p.periods_to_plateau} periods)`;
+  return `no plateau yet (${p.trend_per_period >= 0 ? "+" : ""}${fmt1(p.trend_per_period)} per period recently)`;
+}
+
+// First → last value per series, with the ramp-up plateau for adoption and time per encounter.
+function trendLines(ts) {
+  const first = ts.periods[0];
+  const last = ts.periods[ts.periods.length - 1];
+  const lines = [`Trend over ${ts.periods.length} ${ts.granularity} periods (${first.period} to ${last.period}):`];
+  const plateaus = { [ts.plateau.adoption?.metric]: ts.plateau.adoption, [ts.plateau.time_savings?.metric]: ts.plateau.time_savings };
+  for (const [metric, label] of Object.entries(TREND_LABELS)) {
+    const values = ts.periods.map((p) => p[metric]).filter((v) => v != null);
+    if (!values.length) continue;
+    const plateau = metric in plateaus ? `; ${plateauText(plateaus[metric])}` : "";
+    lines.push(`- ${label}: ${fmt1(values[0])} → ${fmt1(values[values.length - 1])}${plateau}`);
+  }
+  return lines;
+}
+
+// Plain-text evidence block for the narrative prompt.
+export function describeTelemetryEvidence(summary) {
+  if (!summary || !summary.doc_minutes) return "None";
+  const lines = [
+    `Paired by ${summary.pairing === "provider_id" ? "provider" : "row"}; ${summary.providers} providers, ${summary.loaded_rows} rows.`,
+    evidenceLine("Documentation minutes", summary.doc_minutes),
+    evidenceLine("After-hours minutes", summary.after_hours_minutes),
+    evidenceLine("Encounters per provider-day", summary.encounters_per_day, "encounters")
+  ];
+  for (const s of (summary.by_specialty || []).slice(0, 8)) {
+    lines.push(`Specialty "${s.specialty}" (${s.providers} providers):`);
+    lines.push("  " + evidenceLine("Documentation minutes", s.doc_minutes));
+    lines.push("  " + evidenceLine("After-hours minutes", s.after_hours_minutes));
+  }
+  const cc = summary.cohort_comparison;
+  if (cc) {
+    lines.push(
+      `Adopters vs. comparison providers ("${cc.column}": ${cc.adopters} adopters, ${cc.comparison} comparison). ` +
+        "Difference-in-differences controls for changes both groups saw (seasonality, EHR upgrades); prefer it when citing the effect size:"
+    );
+    lines.push(didLine("Documentation minutes", cc.doc_minutes));
+    lines.push(didLine("After-hours minutes", cc.after_hours_minutes));
+  }
+  if (summary.time_series?.periods.length) lines.push(...trendLines(summary.time_series));
+  const limitations = summary.data_quality?.limitations || [];
+  if (limitations.length) {
+    lines.push("Data-quality limitations (state these as caveats):");
+    for (const l of limitations) lines.push(`- ${l}`);
+  }
+  return lines.join("\n");
+}
+
+/* ============================
+   Ingestion (CSV streamed, JSON buffered)
+============================ */
+function detectFormat(firstChunk) {
+  const head = String(firstChunk).replace(/^\uFEFF/, "").trimStart();
+  return head.startsWith("[") || head.startsWith("{") ? "json" : "csv";
+}
+
+function jsonRows(text) {
+  const trimmed = text.replace(/^\uFEFF/, "").trim();
+  try {
+    const data = JSON.parse(trimmed);
+    if (Array.isArray(data)) return data;
+    if (data && typeof data === "object") return Array.isArray(data.rows) ? data.rows : [data];
+    return [];
+  } catch {
+    // Newline-delimited JSON (one object per line)
+    const lines = trimmed.split(/\r?\n/).filter((l) => l.trim());
+    if (lines.length < 2) throw httpError(400, "Telemetry file is not valid JSON.");
+    return lines.map((l) => {
+      try {
+        return JSON.parse(l);
+      } catch {
+        return null;
+      }
+    });
+  }
+}
+
+/**
+ * Reads an uploaded telemetry file from a stream and summarizes every row.
+ * When mapping is empty the column mapping is guessed from the header (and the
+ * profile's column names, if given) using only columns whose sampled values fit.
+ * An explicit mapping whose columns fail the type checks is rejected with a 400.
+ */
+export async function ingestTelemetry(stream, { format, mapping, profile = null } = {}) {
+  stream.setEncoding?.("utf8");
+
+  const rejected = { malformed: 0, column_count: 0, no_metrics: 0, missing_provider_id: 0 };
+  let rowsTotal = 0;
+  let columns = [];
+  let summarizer = null;
+  let quality = null;
+  let mappingUsed = null;
+  let mappingFields = null;
+  let delimiter = null;
+
+  let phi = null;
+  let idColumn = null;
+  let sample = []; // [row, rowNumber] until the mapping is settled
+
+  const begin = (cols) => {
+    columns = cols;
+  };
+
+  const summarizeRow = (row, n) => {
+    phi.scanRow(row, n);
+    if (idColumn && row[idColumn] != null && String(row[idColumn]).trim()) row[idColumn] = hashIdentifier(row[idColumn]);
+    quality.add(row, n);
+    const reason = summarizer.add(row);
+    if (reason) rejected[reason]++;
+  };
+
+  const settle = () => {
+    const rows = sample.map(([row]) => row);
+    if (mapping && Object.values(mapping).some(Boolean)) {
+      const issues = checkMapping(mapping, rows);
+      if (issues.length) {
+        throw httpError(400, `Mapping rejected: ${issues.map((i) => `${i.field}: ${i.problem}`).join("; ")}.`, { mapping_issues: issues });
+      }
+      mappingUsed = mapping;
+      mappingFields = Object.fromEntries(
+        Object.entries(mapping).filter(([, c]) => c).map(([f, column]) => [f, { column, confidence: 1, source: "manual" }])
+      );
+    } else {
+      ({ mapping: mappingUsed, fields: mappingFields } = autoMap(columns, { profile, rows }));
+    }
+    summarizer = createTelemetrySummarizer(mappingUsed);
+    quality = createQualityChecker(mappingUsed);
+    // Provider IDs are hashed below, so they are the one identifier column allowed through.
+    idColumn = mappingUsed.provider_id || null;
+    phi = createPhiScanner({ columns, exempt: [idColumn].filter(Boolean), periods: [mappingUsed.period].filter(Boolean) });
+
+    const held = sample;
+    sample = null;
+    for (const [row, n] of held) summarizeRow(row, n);
+  };
+
+  const addRow = (row) => {
+    rowsTotal++;
+    if (!row || typeof row !== "object" || Array.isArray(row)) {
+      rejected.malformed++;
+      return;
+    }
+    if (!sample) return summarizeRow(row, rowsTotal);
+    sample.push([row, rowsTotal]);
+    if (sample.length >= SAMPLE_ROWS) settle();
+  };
+
+  async function streamCsv(prefix, source) {
+    let header = null;
+    const parser = createCsvParser({
+      onRecord(fields) {
+        if (!header) {
+          header = fields;
+          begin(header);
+          return;
+        }
+        if (fields.length !== header.length) {
+          rowsTotal++;
+          rejected.column_count++;
+          return;
+        }
+        const row = {};
+        header.forEach((c, i) => (row[c] = fields[i]));
+        addRow(row);
+      }
+    });
+    for (const chunk of prefix) parser.push(chunk);
+    for await (const chunk of source) parser.push(chunk);
+    if (!parser.end()) {
+      rowsTotal++;
+      rejected.malformed++;
+    }
+    if (!header) begin([]);
+    return { delimiter: parser.delimiter };
+  }
+
+  let fmt = format === "csv" || format === "json" ? format : null;
+
+  if (fmt === "json" || !fmt) {
+    // Peek at the first chunk to decide, then either buffer (JSON) or stream (CSV).
+    const iter = stream[Symbol.asyncIterator]();
+    const first = await iter.next();
+    const firstChunk = first.done ? "" : String(first.value);
+    fmt = fmt || detectFormat(firstChunk);
+
+    const rest = {
+      [Symbol.asyncIterator]: () => ({ next: () => iter.next() })
+    };
+
+    if (fmt === "json") {
+      let text = firstChunk;
+      for await (const chunk of rest) {
+        text += chunk;
+        if (text.length > MAX_JSON_CHARS) throw httpError(413, "JSON telemetry file is too large; upload CSV instead.");
+      }
+      const rows = jsonRows(text);
+      const firstObj = rows.find((r) => r && typeof r === "object" && !Array.isArray(r));
+      begin(Object.keys(firstObj || {}));
+      for (const r of rows) addRow(r);
+    } else {
+      ({ delimiter } = await streamCsv([firstChunk], rest));
+    }
+  } else {
+    ({ delimiter } = await streamCsv([], stream));
+  }
+
+  if (sample) settle();
+
+  const phiReport = phi.report();
+  if (!phiReport.clean) {
+    throw httpError(422, "Possible PHI detected in the telemetry file. Remove the flagged columns/values and upload again.", {
+      phi: phiReport
+    });
+  }
+
+  const rowsRejected = Object.values(rejected).reduce((a, b) => a + b, 0);
+  const dataQuality = quality.report();
+
+  return {
+    format: fmt,
+    delimiter,
+    columns,
+    rows_total: rowsTotal,
+    rows_accepted: rowsTotal - rowsRejected,
+    rows_rejected: rowsRejected,
+    rejected_reasons: rejected,
+    mapping_used: mappingUsed,
+    mapping_fields: mappingFields,
+    phi: { ...phiReport, provider_ids_hashed: Boolean(idColumn) },
+    data_quality: dataQuality,
+    summary: { ...summarizer.summarize(columns), data_quality: summarizeQuality(dataQuality) }
+  };
+}
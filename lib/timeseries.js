@@ -0,0 +1,153 @@
+import { toPeriod } from "./mapping.js";
+import { mean } from "./stats.js";
+
+/* ============================
+   Per-period telemetry series
+============================ */
+// Weekly or monthly usage extracts carry a period column. Each row adds to its
+// period's accumulator; a row's observed value is its post column when filled,
+// else its baseline column (long extracts usually fill only one of the pair).
+
+// Five years of weekly rows; older periods are dropped first.
+const MAX_PERIODS = 260;
+
+function newPeriodAcc() {
+  return {
+    rows: 0,
+    providers: new Set(),
+    adoption: { sum: 0, n: 0 },
+    doc: { sum: 0, n: 0 },
+    afterHours: { sum: 0, n: 0 },
+    // Doc minutes per encounter as a ratio of sums over rows with both values.
+    docPerEnc: { doc: 0, enc: 0 }
+  };
+}
+
+const observed = (vals, metric) => vals[`${metric}_after`] ?? vals[`${metric}_before`] ?? null;
+const accAvg = (x) => (x.n ? x.sum / x.n : null);
+
+const DAY_MS = 24 * 3600 * 1000;
+
+// Dated periods are named by their spacing: week-start or month-start dates are common.
+function granularityOf(keys) {
+  const kinds = new Set(
+    keys.map((k) => (/-W\d\d$/.test(k) ? "week" : /-Q\d$/.test(k) ? "quarter" : /^\d{4}-\d\d$/.test(k) ? "month" : "day"))
+  );
+  if (kinds.size > 1) return "mixed";
+  const [kind] = kinds;
+  if (kind !== "day" || keys.length < 2) return kind;
+  if (keys.every((k) => k.endsWith("-01"))) return "month";
+  const times = keys.map((k) => Date.parse(`${k}T00:00:00Z`));
+  return times.slice(1).every((t, i) => (t - times[i]) % (7 * DAY_MS) === 0) ? "week" : "day";
+}
+
+/**
+ * Ramp-up plateau: the earliest period after which the (3-period trailing mean)
+ * series stays within tolerance of its final level, the mean of the last minTail
+ * points. Not reached when fewer than minTail periods sit inside the band.
+ */
+export function detectPlateau(points, { relTol = 0.05, absTol = 0, minTail = 3 } = {}) {
+  const pts = points.filter((p) => p.value != null);
+  if (pts.length < minTail + 2) return null;
+
+  const smooth = pts.map((_, i) => mean(pts.slice(Math.max(0, i - 2), i + 1).map((p) => p.value)));
+  const level = mean(pts.slice(-minTail).map((p) => p.value));
+  const tolerance = Math.max(absTol, relTol * Math.abs(level));
+
+  let start = pts.length;
+  while (start > 0 && Math.abs(smooth[start - 1] - level) <= tolerance) start--;
+  const tail = pts.length - start;
+  const first = pts[0].value;
+
+  return {
+    reached: tail >= minTail,
+    period: tail >= minTail ? pts[start].period : null,
+    periods_to_plateau: tail >= minTail ? start : null,
+    level,
+    tolerance,
+    start_value: first,
+    change_from_start: level - first,
+    // Average change per period over the last minTail periods: which way an unfinished ramp is heading.
+    trend_per_period: (pts[pts.length - 1].value - pts[Math.max(0, pts.length - 1 - minTail)].value) / Math.min(minTail, pts.length - 1)
+  };
+}
+
+export function createSeriesAccumulator(mapping) {
+  const periods = new Map();
+  let unreadable = 0;
+
+  return {
+    // vals: the row's parsed metrics; providerId: its (hashed) provider or row key.
+    add(row, vals, providerId) {
+      const key = toPeriod(row[mapping.period]);
+      if (!key) {
+        unreadable++;
+        return;
+      }
+      let acc = periods.get(key);
+      if (!acc) periods.set(key, (acc = newPeriodAcc()));
+
+      acc.rows++;
+      acc.providers.add(providerId);
+      if (vals.adoption_rate != null) {
+        acc.adoption.sum += vals.adoption_rate;
+        acc.adoption.n++;
+      }
+      const doc = observed(vals, "doc_minutes");
+      const afterHours = observed(vals, "after_hours_minutes");
+      const enc = observed(vals, "encounters_per_day");
+      if (doc != null) {
+        acc.doc.sum += doc;
+        acc.doc.n++;
+        if (enc > 0) {
+          acc.docPerEnc.doc += doc;
+          acc.docPerEnc.enc += enc;
+        }
+      }
+      if (afterHours != null) {
+        acc.afterHours.sum += afterHours;
+        acc.afterHours.n++;
+      }
+    },
+
+    summarize() {
+      const keys = [...periods.keys()].sort();
+      const kept = keys.slice(-MAX_PERIODS);
+      const series = kept.map((period) => {
+        const acc = periods.get(period);
+        return {
+          period,
+          rows: acc.rows,
+          active_users: acc.providers.size,
+          adoption_rate: accAvg(acc.adoption),
+          doc_minutes: accAvg(acc.doc),
+          doc_minutes_per_encounter: acc.docPerEnc.enc ? acc.docPerEnc.doc / acc.docPerEnc.enc : null,
+          after_hours_minutes: accAvg(acc.afterHours)
+        };
+      });
+
+      const points = (metric) => series.map((p) => ({ period: p.period, value: p[metric] }));
+      const has = (metric) => series.some((p) => p[metric] != null);
+      // Adoption ramps up; time per encounter ramps down. Each falls back to the nearest proxy.
+      const adoptionMetric = has("adoption_rate") ? "adoption_rate" : "active_users";
+      const timeMetric = has("doc_minutes_per_encounter") ? "doc_minutes_per_encounter" : has("doc_minutes") ? "doc_minutes" : null;
+      const plateau = (metric, opts) => {
+        const p = metric && detectPlateau(points(metric), opts);
+        return p ? { metric, ...p } : null;
+      };
+
+      return {
+        column: mapping.period,
+        granularity: granularityOf(kept),
+        periods: series,
+        periods_dropped: keys.length - kept.length,
+        unreadable_rows: unreadable,
+        plateau: {
+          // Adoption within 2 percentage points of its final level counts as flat.
+          adoption: plateau(adoptionMetric, adoptionMetric === "adoption_rate" ? { absTol: 2 } : {}),
+          time_savings: plateau(timeMetric)
+        }
+      };
+    }
+  };
+}
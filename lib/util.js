@@ -0,0 +1,80 @@
+/* ============================
+   Shared helpers
+============================ */
+export function safeNum(x, fallback = 0) {
+  const n = Number(x);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+export function clamp(n, min, max) {
+  return Math.min(max, Math.max(min, n));
+}
+
+const moneyFormats = new Map();
+
+// fmt: { locale, currency } (see lib/locale.js); whole currency units.
+export function money(n, { locale = "en-US", currency = "USD" } = {}) {
+  const key = `${locale}|${currency}`;
+  try {
+    let f = moneyFormats.get(key);
+    if (!f) {
+      f = new Intl.NumberFormat(locale, { style: "currency", currency, minimumFractionDigits: 0, maximumFractionDigits: 0 });
+      moneyFormats.set(key, f);
+    }
+    return f.format(Math.round(n));
+  } catch {
+    return `${Math.round(n)} ${currency}`;
+  }
+}
+
+// Blank cells must not read as 0 (Number("") === 0), so parse explicitly.
+export function parseNum(x) {
+  if (x == null) return null;
+  if (typeof x === "number") return Number.isFinite(x) ? x : null;
+  let s = String(x).trim();
+  if (!s) return null;
+  if (/^-?\d{1,3}(,\d{3})+(\.\d+)?$/.test(s)) s = s.replace(/,/g, "");
+  const n = Number(s);
+  return Number.isFinite(n) ? n : null;
+}
+
+// Errors carrying an HTTP status; route handlers turn these into 4xx responses.
+// (Upstream SDK errors also carry .status, so routes only trust errors flagged expose.)
+// details, when given, is returned to the client alongside the message.
+export function httpError(status, message, details = null) {
+  const err = new Error(message);
+  err.status = status;
+  err.expose = true;
+  if (details) err.details = details;
+  return err;
+}
+
+// Aborts when any of the given signals does (nulls are skipped), with that signal's reason.
+// Stands in for AbortSignal.any(), which only exists from Node 20.3.
+export function anySignal(signals) {
+  const controller = new AbortController();
+  for (const s of signals) {
+    if (!s) continue;
+    if (s.aborted) {
+      controller.abort(s.reason);
+      break;
+    }
+    s.addEventListener("abort", () => controller.abort(s.reason), { once: true, signal: controller.signal });
+  }
+  return controller.signal;
+}
+
+export function parseJsonSafely(text) {
+  const trimmed = String(text || "").trim();
+  if (!trimmed) return null;
+  try {
+    return JSON.parse(trimmed);
+  } catch {
+    return null;
+  }
+}
+
+// Model output: some models wrap JSON in ``` fences even when asked not to.
+export function parseModelJson(text) {
+  return parseJsonSafely(String(text || "").replace(/^\s*```(?:json)?\s*/i, "").replace(/\s*```\s*$/, ""));
+}
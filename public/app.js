@@ -1,26 +1,54 @@
 const $ = (id) => document.getElementById(id);
 
 const state = {
-  audiences: new Set(["clinical", "operations", "financial", "executive"]),
+  // Signed-in user, role and workspace, from /auth/me.
+  auth: null,
+  // Filled from the audience registry; defaults are preselected.
+  audienceRegistry: [],
+  audiences: new Set(),
   telemetry: {
     enabled: true,
     fileName: null,
-    rawText: null,
+    file: null,
     columns: [],
-    sampleRows: [],
-    summary: null
+    ingest: null,
+    summary: null,
+    sample: null
   },
   epicMapping: {},
+  // Column Mapper: selected profile, per-field confidence, and the profile list.
+  mappingProfile: "",
+  mappingFields: null,
+  mappingProfiles: [],
+  lastResult: null,
+  // Audit entry shown in the provenance view.
+  provenance: null,
+  // Locale + currency of the result on screen; money is formatted to match the narratives.
+  moneyFormat: { locale: "en-US", currency: "USD" },
+  generation: null,
+  history: {
+    runs: [],
+    selected: []
+  },
+  // Portfolio batch on screen; polled while it runs.
+  batch: {
+    id: null,
+    timer: null
+  },
   requiredFields: [
     { key: "provider_id", label: "Provider ID (or NPI hash)" },
     { key: "specialty", label: "Specialty" },
     { key: "encounters", label: "Encounter count" },
-    { key: "doc_minutes_before", label: "Doc minutes (baseline)" },
-    { key: "doc_minutes_after", label: "Doc minutes (post)" },
+    { key: "encounters_per_day_before", label: "Encounters / provider-day (baseline)" },
+    { key: "encounters_per_day_after", label: "Encounters / provider-day (post)" },
+    { key: "doc_minutes_before", label: "Doc minutes / provider-day (baseline)" },
+    { key: "doc_minutes_after", label: "Doc minutes / provider-day (post)" },
     { key: "after_hours_minutes_before", label: "After-hours minutes (baseline)" },
     { key: "after_hours_minutes_after", label: "After-hours minutes (post)" },
     { key: "adoption_rate", label: "Adoption rate (%)" },
-    { key: "nps", label: "NPS" }
+    { key: "nps", label: "NPS" },
+    { key: "cohort", label: "Cohort (adopter vs. comparison)" },
+    { key: "period", label: "Period (date, month or week)" }
   ]
 };
 
@@ -31,13 +59,26 @@ function toast(msg) {
   setTimeout(() => (t.style.display = "none"), 2200);
 }
 
-function fmtMoney(n) {
+const moneyFormats = new Map();
+
+function fmtMoney(n, fmt = state.moneyFormat) {
   if (!Number.isFinite(n)) return "—";
   const abs = Math.abs(n);
-  if (abs >= 1e9) return `$${(n / 1e9).toFixed(2)}B`;
-  if (abs >= 1e6) return `$${(n / 1e6).toFixed(2)}M`;
-  if (abs >= 1e3) return `$${(n / 1e3).toFixed(1)}K`;
-  return `$${Math.round(n).toLocaleString()}`;
+  // $4.38M / $437.5K / $512 in en-US; "4,38 M$" in fr-CA.
+  const digits = abs >= 1e6 ? 2 : abs >= 1e3 ? 1 : 0;
+  const key = `${fmt.locale}|${fmt.currency}|${digits}`;
+  let f = moneyFormats.get(key);
+  if (!f) {
+    f = new Intl.NumberFormat(fmt.locale, {
+      style: "currency",
+      currency: fmt.currency,
+      notation: digits ? "compact" : "standard",
+      minimumFractionDigits: digits,
+      maximumFractionDigits: digits
+    });
+    moneyFormats.set(key, f);
+  }
+  return f.format(n);
 }
 
 function readInputs() {
@@ -52,12 +93,20 @@ function readInputs() {
   const clinicalContext = $("clinicalContext").value.trim();
 
   const clinicalValidationMode = $("clinicalValidationMode").checked;
+  const valueMode = state.telemetry.enabled && $("useTelemetryInputs").checked ? "telemetry" : "illustrative";
 
   const assumptions = {
     physicianHourlyRate: Number($("assumpRate").value),
     reimbursementPerVisit: Number($("assumpVisit").value),
     sukiCostPerPhysicianPerMonth: Number($("assumpCost").value),
-    workDaysPerYear: Number($("assumpDays").value)
+    workDaysPerYear: Number($("assumpDays").value),
+    horizonYears: Number($("assumpHorizon").value),
+    rampStartPct: Number($("assumpRampStart").value),
+    rampMonths: Number($("assumpRampMonths").value),
+    implementationCost: Number($("assumpImpl").value),
+    trainingCostPerPhysician: Number($("assumpTraining").value),
+    priceEscalatorPct: Number($("assumpEscalator").value),
+    discountRatePct: Number($("assumpDiscount").value)
   };
 
   return {
@@ -71,7 +120,11 @@ function readInputs() {
     burnoutImprovement,
     clinicalContext,
     clinicalValidationMode,
+    valueMode,
     audiences: Array.from(state.audiences),
+    locale: $("locale").value,
+    currency: $("currency").value || undefined,
+    promptVersion: $("promptVersion").value || undefined,
     assumptions
   };
 }
@@ -88,19 +141,43 @@ function validateInputs(data) {
   return null;
 }
 
-function setupAudienceToggles() {
-  document.querySelectorAll(".aopt").forEach((el) => {
+async function setupAudienceToggles() {
+  const box = $("audienceTiles");
+  try {
+    const res = await fetch("/api/suki-value-intelligence/audiences");
+    const json = await res.json();
+    if (!json.ok) throw new Error(json.message || json.error);
+    state.audienceRegistry = json.audiences || [];
+  } catch (e) {
+    console.error(e);
+    box.innerHTML = `<div class="mini">Could not load audiences.</div>`;
+    return;
+  }
+
+  state.audiences = new Set(state.audienceRegistry.filter((a) => a.default).map((a) => a.key));
+  box.innerHTML = "";
+  for (const a of state.audienceRegistry) {
+    const el = document.createElement("div");
+    el.className = `aopt${state.audiences.has(a.key) ? " active" : ""}`;
+    el.dataset.audience = a.key;
+    el.innerHTML = `
+      <div class="ico">${escapeHtml(a.icon)}</div>
+      <div class="txt">
+        <b>${escapeHtml(a.title)}</b>
+        <small>${escapeHtml(a.tile || a.subtitle)}</small>
+      </div>
+    `;
     el.addEventListener("click", () => {
-      const a = el.dataset.audience;
-      if (state.audiences.has(a)) {
-        state.audiences.delete(a);
+      if (state.audiences.has(a.key)) {
+        state.audiences.delete(a.key);
         el.classList.remove("active");
       } else {
-        state.audiences.add(a);
+        state.audiences.add(a.key);
         el.classList.add("active");
       }
     });
-  });
+    box.appendChild(el);
+  }
 }
 
 function setupAssumptionsToggle() {
@@ -111,95 +188,283 @@ function setupAssumptionsToggle() {
   apply();
 }
 
-function parseCSV(text) {
-  // Minimal CSV parser (demo-safe). Expects header row.
-  const lines = text.split(/\r?\n/).filter(Boolean);
-  if (lines.length < 2) return { columns: [], rows: [] };
-  const columns = lines[0].split(",").map((s) => s.trim());
-  const rows = lines.slice(1, 51).map((line) => {
-    const parts = line.split(",").map((s) => s.trim());
-    const obj = {};
-    columns.forEach((c, i) => (obj[c] = parts[i] ?? ""));
-    return obj;
-  });
+/* ============================
+   PHI guard
+============================ */
+const PHI_LABELS = {
+  name: "Name",
+  mrn: "MRN",
+  dob: "Date of birth",
+  ssn: "SSN",
+  phone: "Phone",
+  email: "Email",
+  address: "Address",
+  npi: "Raw NPI",
+  date: "Date of service"
+};
+
+
+// Splits one CSV line, honouring quotes (enough for a header + sample pre-check).
+function splitCsvLine(line, delim) {
+  const out = [];
+  let cur = "";
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') {
+        cur += '"';
+        i++;
+      } else if (ch === '"') quoted = false;
+      else cur += ch;
+    } else if (ch === '"') quoted = true;
+    else if (ch === delim) {
+      out.push(cur);
+      cur = "";
+    } else cur += ch;
+  }
+  out.push(cur);
+  return out;
+}
+
+// Header + rows from the first ~512 KB of a CSV or JSON upload, for pre-checks.
+async function readUploadSample(file) {
+  const text = (await file.slice(0, 512 * 1024).text()).replace(/^\uFEFF/, "");
+  const head = text.trimStart();
+  let rows = [];
+  let columns = [];
+
+  if (head.startsWith("[") || head.startsWith("{")) {
+    try {
+      const data = JSON.parse(head);
+      rows = Array.isArray(data) ? data : Array.isArray(data.rows) ? data.rows : [data];
+    } catch {
+      // Truncated or NDJSON: scan whole lines only.
+      rows = head.split(/\r?\n/).flatMap((l) => {
+        try {
+          return [JSON.parse(l)];
+        } catch {
+          return [];
+        }
+      });
+    }
+    rows = rows.filter((r) => r && typeof r === "object" && !Array.isArray(r));
+    columns = Object.keys(rows[0] || {});
+  } else {
+    const lines = head.split(/\r?\n/);
+    if (text.length === 512 * 1024) lines.pop(); // last line may be cut off
+    const delim = [",", ";", "\t", "|"].sort((a, b) => lines[0].split(b).length - lines[0].split(a).length)[0];
+    columns = splitCsvLine(lines[0] || "", delim);
+    rows = lines.slice(1).filter((l) => l.trim()).map((l) => {
+      const fields = splitCsvLine(l, delim);
+      return Object.fromEntries(columns.map((c, i) => [c, fields[i]]));
+    });
+  }
   return { columns, rows };
 }
 
-function parseJSON(text) {
-  const data = JSON.parse(text);
-  if (Array.isArray(data)) {
-    const columns = Object.keys(data[0] || {});
-    const rows = data.slice(0, 50);
-    return { columns, rows };
+// Scans the header and the first ~512 KB of rows before anything is uploaded.
+// The server re-scans every row, so this only has to catch the obvious cases early.
+function precheckTelemetrySample({ columns, rows }, mapping) {
+  // Mirrors the server's provider-ID and period picks: IDs are hashed on upload and period dates are allowed.
+  const picked = Object.values(mapping || {}).some(Boolean) ? mapping : SukiMapping.autoMap(columns, { profile: currentProfile(), rows }).mapping;
+  const scanner = SukiPhi.createPhiScanner({ columns, exempt: [picked.provider_id].filter(Boolean), periods: [picked.period].filter(Boolean) });
+  rows.forEach((r, i) => scanner.scanRow(r, i + 1));
+  return scanner.report();
+}
+
+function phiError(message, phi) {
+  const err = new Error(message);
+  err.phi = phi;
+  return err;
+}
+
+function renderPhiReport(targetId, phi, { onRedact } = {}) {
+  const box = $(targetId);
+  if (!phi) {
+    box.style.display = "none";
+    box.innerHTML = "";
+    return;
   }
-  if (typeof data === "object" && data !== null) {
-    // if it has "rows" array
-    if (Array.isArray(data.rows)) {
-      const columns = Object.keys(data.rows[0] || {});
-      return { columns, rows: data.rows.slice(0, 50) };
-    }
-    const columns = Object.keys(data);
-    return { columns, rows: [data] };
+  const items = [
+    ...(phi.columns || []).map((c) => `Column <code>${escapeHtml(c.column)}</code> looks like ${PHI_LABELS[c.type] || c.type}`),
+    ...(phi.rows || []).map(
+      (r) => `Row ${r.row}, <code>${escapeHtml(r.column)}</code>: ${PHI_LABELS[r.type] || r.type} <code>${escapeHtml(r.preview)}</code>`
+    ),
+    ...(phi.fields || []).map((f) => `${escapeHtml(f.field)}: ${PHI_LABELS[f.type] || f.type} <code>${escapeHtml(f.preview)}</code>`)
+  ];
+  const more = phi.rows_flagged > (phi.rows || []).length ? `<div>…and more; ${phi.rows_flagged.toLocaleString()} rows flagged in total.</div>` : "";
+  box.style.display = "block";
+  box.innerHTML = `
+    <b>Blocked: possible PHI detected.</b> Nothing was sent. Remove or redact these and try again.
+    <ul>${items.map((x) => `<li>${x}</li>`).join("")}</ul>${more}
+    ${onRedact ? `<button class="xbtn" type="button" data-role="redact">Redact flagged text</button>` : ""}
+  `;
+  if (onRedact) box.querySelector('[data-role="redact"]').addEventListener("click", onRedact);
+}
+
+// Free-text inputs are checked before every generation (the server checks again).
+const PHI_TEXT_FIELDS = ["customerName", "clinicalContext"];
+
+function scanFreeText() {
+  const fields = [];
+  for (const id of PHI_TEXT_FIELDS) {
+    for (const hit of SukiPhi.scanText($(id).value)) fields.push({ field: id, type: hit.type, preview: hit.preview });
   }
-  return { columns: [], rows: [] };
+  return fields.length ? { clean: false, fields, columns: [] } : null;
 }
 
-function computeTelemetrySummary(columns, rows, mapping) {
-  // Build a tiny evidence summary: counts + simple deltas where possible
-  const get = (row, key) => row[mapping[key]];
+function redactFreeText() {
+  for (const id of PHI_TEXT_FIELDS) $(id).value = SukiPhi.redactText($(id).value);
+  renderPhiReport("textPhi", scanFreeText(), { onRedact: redactFreeText });
+  toast("Flagged text redacted");
+}
 
-  const n = rows.length;
-  let encountersTotal = 0;
+// A saved mapping only applies to a file whose columns it names and whose sampled
+// contents fit it; otherwise the server auto-maps (with the selected profile, if any).
+function usableMapping(mapping, { columns, rows }) {
+  const mapped = Object.values(mapping || {}).filter(Boolean);
+  if (!mapped.length || !mapped.every((c) => columns.includes(c))) return null;
+  return SukiMapping.checkMapping(mapping, rows).length ? null : mapping;
+}
 
-  let docBeforeSum = 0;
-  let docAfterSum = 0;
-  let ahBeforeSum = 0;
-  let ahAfterSum = 0;
+async function uploadTelemetry(file, mapping) {
+  const sample = await readUploadSample(file);
+  state.telemetry.sample = sample;
+  mapping = usableMapping(mapping, sample);
+  const phi = precheckTelemetrySample(sample, mapping);
+  if (!phi.clean) throw phiError("Possible PHI detected; upload blocked.", phi);
 
-  let adoptionVals = [];
-  let npsVals = [];
+  // The whole file is streamed to the server, which parses and summarizes every row.
+  const params = new URLSearchParams({ fileName: file.name });
+  if (file.name.toLowerCase().endsWith(".csv")) params.set("format", "csv");
+  else if (file.name.toLowerCase().endsWith(".json")) params.set("format", "json");
+  if (mapping) params.set("mapping", JSON.stringify(mapping));
+  else if (state.mappingProfile) params.set("profile", state.mappingProfile);
 
-  for (const r of rows) {
-    const enc = Number(get(r, "encounters"));
-    if (Number.isFinite(enc)) encountersTotal += enc;
+  const res = await fetch(`/api/suki-value-intelligence/telemetry?${params}`, {
+    method: "POST",
+    headers: { "Content-Type": "application/octet-stream" },
+    body: file
+  });
+  const json = await res.json();
+  if (!json.ok) {
+    if (json.details?.phi) throw phiError(json.message, json.details.phi);
+    if (json.details?.mapping_issues) renderMappingIssues(json.details.mapping_issues);
+    throw new Error(json.message || "Telemetry ingestion failed");
+  }
+  return json;
+}
 
-    const db = Number(get(r, "doc_minutes_before"));
-    const da = Number(get(r, "doc_minutes_after"));
-    if (Number.isFinite(db)) docBeforeSum += db;
-    if (Number.isFinite(da)) docAfterSum += da;
+function applyTelemetryResult(result) {
+  state.telemetry.columns = result.columns || [];
+  state.telemetry.ingest = {
+    rowsTotal: result.rows_total,
+    rowsAccepted: result.rows_accepted,
+    rowsRejected: result.rows_rejected,
+    rejectedReasons: result.rejected_reasons
+  };
+  state.telemetry.summary = result.summary;
+  state.epicMapping = result.mapping_used || state.epicMapping;
+  // The server marks an explicit mapping "manual"; keep the confidence the mapper showed for it.
+  const prev = state.mappingFields || {};
+  state.mappingFields = Object.fromEntries(
+    Object.entries(result.mapping_fields || {}).map(([k, f]) => [k, f.source === "manual" && prev[k]?.column === f.column ? prev[k] : f])
+  );
+  storeMapping();
 
-    const ab = Number(get(r, "after_hours_minutes_before"));
-    const aa = Number(get(r, "after_hours_minutes_after"));
-    if (Number.isFinite(ab)) ahBeforeSum += ab;
-    if (Number.isFinite(aa)) ahAfterSum += aa;
+  const fields = Object.values(state.mappingFields || {}).filter((f) => f.column);
+  const unsure = fields.filter((f) => f.confidence < 0.9).length;
+  const rej = state.telemetry.ingest.rowsRejected;
+  $("telemetryStatus").textContent =
+    `Loaded: ${state.telemetry.fileName} · Columns: ${state.telemetry.columns.length} · ` +
+    `Rows: ${state.telemetry.ingest.rowsAccepted.toLocaleString()} of ${state.telemetry.ingest.rowsTotal.toLocaleString()}` +
+    (rej ? ` · Rejected: ${rej.toLocaleString()}` : "") +
+    ` · Mapped ${fields.length} of ${state.requiredFields.length} fields` +
+    (unsure ? ` (${unsure} low-confidence; review in the Column Mapper)` : "") +
+    cohortStatus(result.summary?.cohort_comparison);
+  renderDataQuality(result.data_quality);
+  renderTrends(result.summary?.time_series);
+}
 
-    const ad = Number(get(r, "adoption_rate"));
-    if (Number.isFinite(ad)) adoptionVals.push(ad);
+/* ---------- Telemetry trends ---------- */
+const TREND_CHARTS = [
+  { metric: "active_users", label: "Active users", format: (v) => Math.round(v).toLocaleString(), plateau: "adoption" },
+  { metric: "adoption_rate", label: "Adoption rate (%)", format: (v) => `${v.toFixed(0)}%`, plateau: "adoption" },
+  { metric: "doc_minutes_per_encounter", label: "Doc minutes per encounter", plateau: "time_savings" },
+  { metric: "doc_minutes", label: "Doc minutes / provider-day", plateau: "time_savings", fallbackFor: "doc_minutes_per_encounter" },
+  { metric: "after_hours_minutes", label: "After-hours minutes / provider-day", color: "#fbbf24" }
+];
 
-    const nps = Number(get(r, "nps"));
-    if (Number.isFinite(nps)) npsVals.push(nps);
+function renderTrends(ts) {
+  const box = $("trendBox");
+  if (!ts?.periods?.length) {
+    box.style.display = "none";
+    $("trendCharts").innerHTML = "";
+    return;
   }
+  const has = (metric) => ts.periods.some((p) => p[metric] != null);
+  const charts = TREND_CHARTS.filter((c) => has(c.metric) && !(c.fallbackFor && has(c.fallbackFor))).map((c) => {
+    // The plateau is marked only on the series it was detected on.
+    const plateau = ts.plateau?.[c.plateau]?.metric === c.metric ? ts.plateau[c.plateau] : null;
+    const points = ts.periods.map((p) => ({ period: p.period, value: p[c.metric] }));
+    return renderTrendSvg(points, { label: c.label, format: c.format, plateau, color: c.color });
+  });
+  box.style.display = charts.some(Boolean) ? "block" : "none";
+  $("trendCharts").innerHTML = charts.map((svg) => `<div>${svg}</div>`).join("");
 
-  const avg = (arr) => (arr.length ? arr.reduce((a, b) => a + b, 0) / arr.length : null);
+  const describe = (p, what) =>
+    !p ? null : p.reached ? `${what} plateaued from ${p.period} (after ${p.periods_to_plateau} periods).` : `${what} has not plateaued yet.`;
+  $("trendNote").textContent = [
+    `${ts.periods.length} ${ts.granularity} periods from "${ts.column}".`,
+    describe(ts.plateau?.adoption, "Adoption"),
+    describe(ts.plateau?.time_savings, ts.plateau?.time_savings?.metric === "doc_minutes" ? "Doc minutes" : "Time per encounter"),
+    ts.unreadable_rows ? `${ts.unreadable_rows.toLocaleString()} rows had an unreadable period.` : null
+  ]
+    .filter(Boolean)
+    .join(" ");
+}
 
-  const summary = {
-    loaded_rows: n,
-    columns_detected: columns.slice(0, 40),
-    mapping_used: mapping,
-    encounter_total_sample: encountersTotal || null,
-    doc_minutes_baseline_avg_sample: n ? docBeforeSum / n : null,
-    doc_minutes_post_avg_sample: n ? docAfterSum / n : null,
-    after_hours_minutes_baseline_avg_sample: n ? ahBeforeSum / n : null,
-    after_hours_minutes_post_avg_sample: n ? ahAfterSum / n : null,
-    adoption_rate_avg_sample: avg(adoptionVals),
-    nps_avg_sample: avg(npsVals),
-    notes: [
-      "Telemetry summary is derived from uploaded sample rows only.",
-      "All values are demo-safe; do not upload PHI."
-    ]
-  };
+// Controlled estimate from a mapped cohort column, e.g. " · Cohorts: 40 adopters vs. 20 comparison; doc-minutes DiD −7.1 (95% CI −9.0 to −5.2)".
+function cohortStatus(cc) {
+  if (!cc) return "";
+  const m = cc.doc_minutes;
+  const fmt = (x) => x.toFixed(1).replace("-", "−");
+  const did = m?.did != null ? `; doc-minutes DiD ${fmt(m.did)}${m.ci95 ? ` (95% CI ${fmt(m.ci95[0])} to ${fmt(m.ci95[1])})` : ""}` : "; no paired data in both cohorts";
+  return ` · Cohorts: ${cc.adopters} adopters vs. ${cc.comparison} comparison${did}`;
+}
+
+/* ---------- Data-quality report ---------- */
+const QUALITY_STATUS = {
+  clean: "No data-quality problems found.",
+  notes: "Minor notes only; the summary is usable as is.",
+  review: "Review before relying on the telemetry figures. These limitations are passed to the narrative as caveats."
+};
 
-  return summary;
+function renderDataQuality(report) {
+  const box = $("qualityBox");
+  if (!report) {
+    box.style.display = "none";
+    return;
+  }
+  box.style.display = "block";
+  $("qualitySummary").textContent = `${QUALITY_STATUS[report.status] || ""} Checked ${report.rows_checked.toLocaleString()} rows.`;
+
+  const list = $("qualityIssues");
+  list.innerHTML = "";
+  for (const i of report.issues || []) {
+    const li = document.createElement("li");
+    li.innerHTML = `${i.severity === "warning" ? "<b>Warning:</b> " : ""}${escapeHtml(i.message)}`;
+    list.appendChild(li);
+  }
+
+  const cell = (x) => (x == null ? "—" : escapeHtml(String(x)));
+  const rows = Object.entries(report.fields || {}).map(([field, f]) => {
+    const outliers = f.outliers ? `${f.outliers.estimated ? "≈" : ""}${f.outliers.count.toLocaleString()} (${f.outliers.pct}%)` : f.range ? "0" : null;
+    return `<tr><td>${escapeHtml(field)} <code>${escapeHtml(f.column)}</code></td><td>${f.missing_pct}%</td><td>${cell(f.non_numeric)}</td><td>${cell(f.out_of_range)}</td><td>${cell(outliers)}</td><td>${cell(f.unit?.suspected)}</td></tr>`;
+  });
+  $("qualityFields").innerHTML =
+    `<tr><th>Field</th><th>Missing</th><th>Non-numeric</th><th>Out of range</th><th>Outliers</th><th>Units</th></tr>` + rows.join("");
 }
 
 function setupTelemetry() {
@@ -212,65 +477,115 @@ function setupTelemetry() {
     const file = e.target.files?.[0];
     if (!file) return;
 
-    const text = await file.text();
     state.telemetry.fileName = file.name;
-    state.telemetry.rawText = text;
+    state.telemetry.file = file;
+    $("telemetryStatus").textContent = `Processing ${file.name}…`;
+    renderPhiReport("telemetryPhi", null);
 
     try {
-      let parsed;
-      if (file.name.toLowerCase().endsWith(".csv")) parsed = parseCSV(text);
-      else parsed = parseJSON(text);
-
-      state.telemetry.columns = parsed.columns || [];
-      state.telemetry.sampleRows = parsed.rows || [];
-
-      $("telemetryStatus").textContent =
-        `Loaded: ${state.telemetry.fileName} · Columns: ${state.telemetry.columns.length} · Sample rows: ${state.telemetry.sampleRows.length}`;
-
-      // Initialize default mapping if not set
-      if (Object.keys(state.epicMapping).length === 0) {
-        const guess = {};
-        for (const f of state.requiredFields) {
-          const found = state.telemetry.columns.find((c) => c.toLowerCase().includes(f.key.replaceAll("_", "")));
-          guess[f.key] = found || "";
-        }
-        state.epicMapping = guess;
-      }
-
-      // Build summary if mapping is complete enough
-      state.telemetry.summary = computeTelemetrySummary(
-        state.telemetry.columns,
-        state.telemetry.sampleRows,
-        state.epicMapping
-      );
-
+      applyTelemetryResult(await uploadTelemetry(file, state.epicMapping));
       toast("Telemetry loaded");
     } catch (err) {
       console.error(err);
-      $("telemetryStatus").textContent = "Failed to parse telemetry file.";
-      toast("Telemetry parse error");
+      state.telemetry.summary = null;
+      renderDataQuality(null);
+      renderTrends(null);
+      $("telemetryStatus").textContent = `Failed to process telemetry file: ${err.message}`;
+      if (err.phi) renderPhiReport("telemetryPhi", err.phi);
+      toast(err.phi ? "Upload blocked: possible PHI" : "Telemetry parse error");
     }
   });
 }
 
+/* ============================
+   Column Mapper + profiles
+============================ */
+// The last mapping and profile survive a reload; the file itself does not.
+const MAPPING_STORAGE_KEY = "suki.telemetryMapping";
+
+function loadStoredMapping() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(MAPPING_STORAGE_KEY) || "null");
+    if (!saved) return;
+    state.epicMapping = saved.mapping || {};
+    state.mappingProfile = saved.profile || "";
+    state.mappingFields = saved.fields || null;
+  } catch {
+    // Corrupt or blocked storage: start from an empty mapping.
+  }
+}
+
+function storeMapping() {
+  try {
+    localStorage.setItem(
+      MAPPING_STORAGE_KEY,
+      JSON.stringify({ profile: state.mappingProfile, mapping: state.epicMapping, fields: state.mappingFields })
+    );
+  } catch {
+    // Private mode / quota: the mapping just won't persist.
+  }
+}
+
+function currentProfile() {
+  return state.mappingProfiles.find((p) => p.key === state.mappingProfile) || null;
+}
+
+async function loadMappingProfiles() {
+  try {
+    const res = await fetch("/api/suki-value-intelligence/mapping-profiles");
+    const json = await res.json();
+    if (!json.ok) throw new Error(json.message || json.error);
+    state.mappingProfiles = json.profiles || [];
+  } catch (e) {
+    console.error(e);
+    state.mappingProfiles = [];
+  }
+  if (state.mappingProfile && !currentProfile()) state.mappingProfile = "";
+
+  const sel = $("mappingProfile");
+  sel.querySelectorAll("option:not([value=''])").forEach((o) => o.remove());
+  for (const p of state.mappingProfiles) {
+    const opt = document.createElement("option");
+    opt.value = p.key;
+    opt.textContent = p.builtin ? p.name : `${p.name} (saved)`;
+    sel.appendChild(opt);
+  }
+  sel.value = state.mappingProfile;
+  renderProfileHint();
+}
+
+function renderProfileHint() {
+  const p = currentProfile();
+  $("mappingProfileHint").textContent = p ? p.description || `${p.vendor} profile` : "";
+  $("deleteProfileBtn").disabled = !p || p.builtin || !hasRole("csm");
+}
+
 function openModal() {
   $("modalOverlay").style.display = "block";
-  renderMapper();
+  renderMappingIssues(null);
+  renderMapper(state.epicMapping, state.mappingFields || {});
 }
 function closeModal() {
   $("modalOverlay").style.display = "none";
 }
 
-function renderMapper() {
+function confidenceTag(info) {
+  if (!info) return `<span class="srctag"></span>`;
+  if (info.problem) return `<span class="srctag illustrative" title="${escapeHtml(info.problem)}">${escapeHtml(info.rejectedColumn)} rejected</span>`;
+  if (info.source === "manual") return `<span class="srctag template">manual</span>`;
+  const label = info.source === "profile" ? "profile match" : `${Math.round(info.confidence * 100)}% match`;
+  return `<span class="srctag ${info.confidence >= 0.9 ? "validated" : "illustrative"}">${label}</span>`;
+}
+
+// Working copy of per-field confidence while the modal is open.
+let mapperFields = {};
+
+function renderMapper(mapping, fields) {
+  mapperFields = { ...fields };
   const grid = $("mapgrid");
   grid.innerHTML = "";
 
-  const columns = state.telemetry.columns.length ? state.telemetry.columns : [
-    "provider_id", "specialty", "encounters",
-    "doc_minutes_before", "doc_minutes_after",
-    "after_hours_minutes_before", "after_hours_minutes_after",
-    "adoption_rate", "nps"
-  ];
+  const columns = state.telemetry.columns.length ? state.telemetry.columns : state.requiredFields.map((f) => f.key);
 
   state.requiredFields.forEach((f) => {
     const row = document.createElement("div");
@@ -281,12 +596,99 @@ function renderMapper() {
         <option value="">— not mapped —</option>
         ${columns.map((c) => `<option value="${escapeHtml(c)}">${escapeHtml(c)}</option>`).join("")}
       </select>
+      <div data-conf>${confidenceTag(mapperFields[f.key])}</div>
     `;
     grid.appendChild(row);
 
     const sel = row.querySelector("select");
-    sel.value = state.epicMapping[f.key] || "";
+    sel.value = mapping[f.key] || "";
+    sel.addEventListener("change", () => {
+      mapperFields[f.key] = sel.value ? { column: sel.value, confidence: 1, source: "manual" } : null;
+      row.querySelector("[data-conf]").innerHTML = confidenceTag(mapperFields[f.key]);
+    });
+  });
+}
+
+function readMapper() {
+  const mapping = {};
+  document.querySelectorAll("[data-mapkey]").forEach((sel) => {
+    mapping[sel.dataset.mapkey] = sel.value;
   });
+  return mapping;
+}
+
+function renderMappingIssues(issues) {
+  const box = $("mappingIssues");
+  if (!issues?.length) {
+    box.style.display = "none";
+    box.innerHTML = "";
+    return;
+  }
+  const label = (key) => state.requiredFields.find((f) => f.key === key)?.label || key;
+  box.style.display = "block";
+  box.innerHTML = `
+    <b>Mapping not accepted:</b> these columns don't hold the kind of values the field needs.
+    <ul>${issues.map((i) => `<li>${escapeHtml(label(i.field))}: ${escapeHtml(i.problem)}</li>`).join("")}</ul>
+  `;
+}
+
+function autoMapColumns() {
+  if (!state.telemetry.columns.length) return toast("Upload a telemetry file to auto-map its columns");
+  const { mapping, fields } = SukiMapping.autoMap(state.telemetry.columns, {
+    profile: currentProfile(),
+    rows: state.telemetry.sample?.rows
+  });
+  renderMappingIssues(null);
+  renderMapper(mapping, fields);
+  const n = Object.values(mapping).filter(Boolean).length;
+  toast(`Auto-mapped ${n} of ${state.requiredFields.length} fields`);
+}
+
+// Profile keys are derived from the name: "Mercy Epic extract" → mercy_epic_extract.
+function profileKey(name) {
+  const key = name.toLowerCase().normalize("NFKD").replace(/[^a-z0-9]+/g, "_").replace(/^_+|_+$/g, "").slice(0, 32);
+  return /^[a-z]/.test(key) ? key : `p_${key}`.slice(0, 32);
+}
+
+async function saveProfile() {
+  const name = $("profileName").value.trim();
+  if (!name) return toast("Name the profile first");
+  const mapping = readMapper();
+  const columns = Object.fromEntries(Object.entries(mapping).filter(([, c]) => c).map(([k, c]) => [k, [c]]));
+  try {
+    const res = await fetch(`/api/suki-value-intelligence/mapping-profiles/${encodeURIComponent(profileKey(name))}`, {
+      method: "PUT",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ name, vendor: "Custom", columns })
+    });
+    const json = await res.json();
+    if (!json.ok) throw new Error(json.message || json.error);
+    state.mappingProfile = json.profile.key;
+    $("profileName").value = "";
+    await loadMappingProfiles();
+    storeMapping();
+    toast(`Profile "${json.profile.name}" saved`);
+  } catch (e) {
+    console.error(e);
+    toast(`Profile not saved: ${e.message}`);
+  }
+}
+
+async function deleteProfile() {
+  const p = currentProfile();
+  if (!p || p.builtin) return;
+  try {
+    const res = await fetch(`/api/suki-value-intelligence/mapping-profiles/${encodeURIComponent(p.key)}`, { method: "DELETE" });
+    const json = await res.json();
+    if (!json.ok) throw new Error(json.message || json.error);
+    state.mappingProfile = "";
+    await loadMappingProfiles();
+    storeMapping();
+    toast(`Profile "${p.name}" deleted`);
+  } catch (e) {
+    console.error(e);
+    toast(`Delete failed: ${e.message}`);
+  }
 }
 
 function escapeHtml(s) {
@@ -294,107 +696,393 @@ function escapeHtml(s) {
 }
 
 function setupModal() {
+  loadStoredMapping();
+  loadMappingProfiles();
+
   $("openMapperBtn").addEventListener("click", openModal);
   $("closeModalBtn").addEventListener("click", closeModal);
   $("modalOverlay").addEventListener("click", (e) => {
     if (e.target === $("modalOverlay")) closeModal();
   });
 
-  $("saveMappingBtn").addEventListener("click", () => {
-    const mapping = {};
-    document.querySelectorAll("[data-mapkey]").forEach((sel) => {
-      mapping[sel.dataset.mapkey] = sel.value;
-    });
+  $("mappingProfile").addEventListener("change", (e) => {
+    state.mappingProfile = e.target.value;
+    renderProfileHint();
+    storeMapping();
+    if (state.telemetry.columns.length) autoMapColumns();
+  });
+  $("autoMapBtn").addEventListener("click", autoMapColumns);
+  $("saveProfileBtn").addEventListener("click", saveProfile);
+  $("deleteProfileBtn").addEventListener("click", deleteProfile);
+
+  $("saveMappingBtn").addEventListener("click", async () => {
+    const mapping = readMapper();
+
+    // Type-check against the sampled rows before accepting (the server checks every upload again).
+    const issues = state.telemetry.sample ? SukiMapping.checkMapping(mapping, state.telemetry.sample.rows) : [];
+    renderMappingIssues(issues);
+    if (issues.length) return toast("Mapping not saved: column contents don't fit");
+
     state.epicMapping = mapping;
+    state.mappingFields = Object.fromEntries(Object.entries(mapperFields).filter(([k, f]) => f && mapping[k] === f.column));
+    storeMapping();
 
-    // Recompute summary if telemetry exists
-    if (state.telemetry.sampleRows.length) {
-      state.telemetry.summary = computeTelemetrySummary(
-        state.telemetry.columns,
-        state.telemetry.sampleRows,
-        state.epicMapping
-      );
-      toast("Mapping saved + telemetry summary refreshed");
+    closeModal();
+
+    // Recompute summary over the full file if telemetry exists
+    if (state.telemetry.file) {
+      try {
+        renderPhiReport("telemetryPhi", null);
+        applyTelemetryResult(await uploadTelemetry(state.telemetry.file, mapping));
+        toast("Mapping saved + telemetry summary refreshed");
+      } catch (err) {
+        console.error(err);
+        if (err.phi) renderPhiReport("telemetryPhi", err.phi);
+        toast(err.phi ? "Mapping saved, but upload blocked: possible PHI" : "Mapping saved, but telemetry refresh failed");
+      }
     } else {
       toast("Mapping saved");
     }
-
-    closeModal();
   });
 
   $("resetMappingBtn").addEventListener("click", () => {
     state.epicMapping = {};
-    renderMapper();
+    state.mappingFields = null;
+    storeMapping();
+    renderMappingIssues(null);
+    renderMapper({}, {});
     toast("Mapping reset");
   });
 }
 
-function renderResults(resp) {
-  $("results").style.display = "block";
+async function copyNarrative(md, mode, title) {
+  if (!md) return;
+  try {
+    if (mode === "rich" && window.ClipboardItem) {
+      // Same sanitized HTML as the card, plus a plain-text flavour for apps without HTML paste
+      const html = `<h3>${escapeHtml(title)}</h3>${SukiMarkdown.renderMarkdownHtml(md)}`;
+      const text = `${title}\n\n${SukiMarkdown.renderMarkdownText(md)}`;
+      await navigator.clipboard.write([
+        new ClipboardItem({
+          "text/html": new Blob([html], { type: "text/html" }),
+          "text/plain": new Blob([text], { type: "text/plain" })
+        })
+      ]);
+      toast("Copied as rich text");
+    } else {
+      await navigator.clipboard.writeText(md);
+      toast("Copied as Markdown");
+    }
+  } catch (e) {
+    console.error(e);
+    toast("Copy failed");
+  }
+}
+
+function renderMultiYear(my) {
+  const table = $("cashflow");
+  if (!my) {
+    table.innerHTML = "";
+    $("npv").textContent = "—";
+    $("payback").textContent = "—";
+    return;
+  }
+
+  $("npvLabel").textContent = `${my.horizonYears}-year NPV`;
+  $("npv").textContent = fmtMoney(my.npv);
+  const payback = my.paybackMonth != null ? `Month ${my.paybackMonth}` : "Not reached";
+  const irr = my.irr != null ? `${(my.irr * 100).toFixed(0)}% IRR` : "IRR n/a";
+  $("payback").textContent = `${payback} · ${irr}`;
+
+  const rows = [
+    ["Year 0", "—", "—", "—", fmtMoney(-my.oneTimeCost), fmtMoney(-my.oneTimeCost)],
+    ...my.years.map((y) => [
+      `Year ${y.year}`,
+      `${y.adoptionPct.toFixed(0)}%`,
+      fmtMoney(y.totalValue),
+      fmtMoney(y.subscriptionCost),
+      fmtMoney(y.netCashFlow),
+      fmtMoney(y.cumulativeNetCashFlow)
+    ])
+  ];
+  table.innerHTML = `
+    <thead><tr><th></th><th>Adoption</th><th>Value</th><th>Subscription</th><th>Net</th><th>Cumulative</th></tr></thead>
+    <tbody>${rows.map((r) => `<tr>${r.map((c) => `<td>${escapeHtml(c)}</td>`).join("")}</tr>`).join("")}</tbody>
+  `;
+}
+
+function renderScenarioAnalysis(analysis) {
+  const row = $("scenarios");
+  row.innerHTML = "";
+  $("tornado").innerHTML = "";
+  if (!analysis) return;
+
+  for (const sc of analysis.scenarios || []) {
+    const chip = document.createElement("div");
+    chip.className = `scen ${sc.name}`;
+    chip.innerHTML = `<small>${escapeHtml(sc.label)}</small><b>${Number.isFinite(sc.roiX) ? sc.roiX.toFixed(1) + "x" : "—"}</b><small>${fmtMoney(sc.annualTotalValue)}/yr</small>`;
+    // Multipliers past the model's input limits are clamped; say so rather than imply the full swing.
+    if (sc.clamped?.length) {
+      chip.title = `Capped at model limits: ${sc.clamped.join(", ")}`;
+      chip.innerHTML += `<small>capped</small>`;
+    }
+    row.appendChild(chip);
+  }
+  $("tornado").innerHTML = renderTornadoSvg(analysis.sensitivity);
+}
+
+function renderSimulation(sim) {
+  if (!sim) {
+    $("roiRange").textContent = "—";
+    $("valueRange").textContent = "—";
+    return;
+  }
+  $("roiRange").textContent = `${sim.roiX.p10.toFixed(1)}x – ${sim.roiX.p90.toFixed(1)}x`;
+  $("valueRange").textContent =
+    `${fmtMoney(sim.annualTotalValue.p10)} – ${fmtMoney(sim.annualTotalValue.p90)} · ${(sim.probRoiAbove1 * 100).toFixed(0)}%`;
+}
+
+// Runs can name audiences that were since removed from the registry.
+function audienceCard(key) {
+  return state.audienceRegistry.find((a) => a.key === key) || { key, title: key, subtitle: "", icon: "📝" };
+}
 
+const LIST_TARGETS = {
+  assumptions_and_caveats: "caveats",
+  clinical_validation_checklist: "validation",
+  next_best_actions: "actions"
+};
+
+function renderFinancials(resp) {
+  $("results").style.display = "block";
+  if (resp.locale) state.moneyFormat = { locale: resp.locale.locale, currency: resp.locale.currency };
   $("modelName").textContent = resp.model || "—";
-  $("latency").textContent = resp.latency_ms != null ? `${resp.latency_ms} ms` : "—";
+  $("promptName").textContent = resp.prompt ? `Prompt ${resp.prompt.version}` : "";
+  $("promptName").title = resp.prompt ? `Template hash ${resp.prompt.hash}` : "";
+
+  const fin = resp.financials || {};
+  const sources = fin.lineItemSources || {};
 
-  const roiX = resp.financials?.roiX;
+  const roiX = fin.roiX;
   $("roiX").textContent = roiX ? `${roiX.toFixed(1)}x` : "—";
+  $("roiLabel").textContent = sources.roiX === "validated" ? "Validated ROI (x)" : "Illustrative ROI (x)";
 
-  const annualValue = resp.financials?.annualTotalValue;
+  const annualValue = fin.annualTotalValue;
   $("annualValue").textContent = Number.isFinite(annualValue) ? fmtMoney(annualValue) : "—";
+  $("laborValue").textContent = Number.isFinite(fin.annualLaborValue) ? fmtMoney(fin.annualLaborValue) : "—";
+  $("revenueUplift").textContent = Number.isFinite(fin.annualRevenueUplift) ? fmtMoney(fin.annualRevenueUplift) : "—";
 
-  const out = resp.output || {};
-  const narratives = out.narratives || {};
-  const grid = $("rgrid");
-  grid.innerHTML = "";
+  const tags = {
+    annualValueTag: sources.annualTotalValue,
+    laborValueTag: sources.annualLaborValue,
+    revenueUpliftTag: sources.annualRevenueUplift
+  };
+  for (const [id, source] of Object.entries(tags)) {
+    const tag = $(id);
+    tag.textContent = source || "";
+    tag.className = `srctag ${source || ""}`;
+    tag.title = "";
+  }
+  const vi = fin.valueInputs || {};
+  if (vi.timeSavedHrsPerDay) $("laborValueTag").title = vi.timeSavedHrsPerDay.basis;
+  if (vi.patientIncreasePerDay) $("revenueUpliftTag").title = vi.patientIncreasePerDay.basis;
+
+  renderMultiYear(fin.multiYear);
+  renderScenarioAnalysis(resp.scenarioAnalysis);
+  renderSimulation(resp.simulation);
+  // Stored runs carry the telemetry they were generated from; live runs used the current upload.
+  renderDashboard(fin, "input" in resp ? resp.input?.telemetrySummary : state.telemetry.enabled ? state.telemetry.summary : null);
+}
 
-  const cfg = {
-    clinical: { title: "Clinical", sub: "Physicians / clinical leadership", icon: "🩺" },
-    operations: { title: "Operations", sub: "COO / administrators", icon: "⚙️" },
-    financial: { title: "Financial", sub: "CFO / board ROI", icon: "💰" },
-    executive: { title: "Executive Summary", sub: "CEO/Board synthesis", icon: "📊" }
+/* ---------- Value dashboard ---------- */
+function renderDashboard(fin, telemetry) {
+  const charts = {
+    waterfallChart: renderWaterfallSvg(fin, { format: (v) => fmtMoney(v) }),
+    beforeAfterChart: renderBeforeAfterSvg(telemetry),
+    specialtyChart: renderSpecialtySvg(telemetry?.by_specialty)
   };
+  for (const [id, svg] of Object.entries(charts)) {
+    $(id).innerHTML = svg;
+    $(id).closest(".dashchart").style.display = svg ? "block" : "none";
+  }
+  $("dashNote").textContent = telemetry
+    ? ""
+    : "Upload telemetry (and enable it) to add before/after and per-specialty charts.";
+}
+
+async function exportChart(id, format) {
+  const svg = $(id).querySelector("svg");
+  if (!svg) return;
+  try {
+    const blob = format === "png" ? await chartPngBlob(svg) : chartSvgBlob(svg);
+    const a = document.createElement("a");
+    a.href = URL.createObjectURL(blob);
+    a.download = `${id.replace(/Chart$/, "").replace(/[A-Z]/g, (c) => `-${c.toLowerCase()}`)}.${format}`;
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+  } catch (e) {
+    console.error(e);
+    toast(`Chart export failed: ${e.message}`);
+  }
+}
 
-  for (const key of ["clinical", "operations", "financial", "executive"]) {
-    if (!state.audiences.has(key)) continue;
+// Empty cards for the requested audiences; pending ones show a placeholder until filled.
+function renderNarrativeCards(audiences, pending = false) {
+  const grid = $("rgrid");
+  grid.innerHTML = "";
+
+  const order = state.audienceRegistry.map((a) => a.key);
+  const rank = (key) => (order.includes(key) ? order.indexOf(key) : order.length);
+  for (const key of [...audiences].sort((a, b) => rank(a) - rank(b))) {
+    const cfg = audienceCard(key);
     const card = document.createElement("div");
     card.className = "rcard";
+    card.dataset.audience = key;
     card.innerHTML = `
       <div class="rhead">
-        <div class="badge">${cfg[key].icon}</div>
+        <div class="badge">${escapeHtml(cfg.icon)}</div>
         <div>
-          <h4>${cfg[key].title}</h4>
-          <p>${cfg[key].sub}</p>
+          <h4>${escapeHtml(cfg.title)} <span class="srctag template" data-role="source"></span></h4>
+          <p>${escapeHtml(cfg.subtitle)}</p>
+        </div>
+        <div class="rtools">
+          <button class="xbtn" type="button" data-copy="md" title="Copy as Markdown">MD</button>
+          <button class="xbtn" type="button" data-copy="rich" title="Copy as rich text">Rich</button>
         </div>
       </div>
-      <div class="rbody">${narratives[key] || "—"}</div>
+      <div class="rbody md">${pending ? `<span class="pending">Writing…</span>` : "—"}</div>
     `;
+    card.querySelector('[data-copy="md"]').addEventListener("click", () => copyNarrative(card.dataset.md || "", "md", cfg.title));
+    card.querySelector('[data-copy="rich"]').addEventListener("click", () => copyNarrative(card.dataset.md || "", "rich", cfg.title));
     grid.appendChild(card);
   }
 
-  const caveats = $("caveats");
-  caveats.innerHTML = "";
-  (out.assumptions_and_caveats || []).forEach((x) => {
-    const li = document.createElement("li");
-    li.textContent = x;
-    caveats.appendChild(li);
-  });
+  for (const id of Object.values(LIST_TARGETS)) {
+    $(id).innerHTML = pending ? `<li class="pending">Writing…</li>` : "";
+  }
+}
 
-  const validation = $("validation");
-  validation.innerHTML = "";
-  (out.clinical_validation_checklist || []).forEach((x) => {
+function renderNarrative(key, md, templated = false) {
+  const card = $("rgrid").querySelector(`[data-audience="${key}"]`);
+  if (!card) return;
+  card.dataset.md = md || "";
+  card.querySelector(".rbody").innerHTML = md ? SukiMarkdown.renderMarkdownHtml(md) : "—";
+  const tag = card.querySelector('[data-role="source"]');
+  tag.textContent = templated ? "template" : "";
+  tag.title = templated ? "Built from templates because the model output was unavailable" : "";
+}
+
+function renderList(key, items) {
+  const list = $(LIST_TARGETS[key]);
+  if (!list) return;
+  list.innerHTML = "";
+  (items || []).forEach((x) => {
     const li = document.createElement("li");
     li.textContent = x;
-    validation.appendChild(li);
+    list.appendChild(li);
   });
+}
+
+// field is "narratives.financial" or "next_best_actions[1]"
+function claimFieldLabel(field) {
+  const [, audience] = field.match(/^narratives\.(\w+)$/) || [];
+  if (audience) return audienceCard(audience).title;
+  const [, list, i] = field.match(/^(\w+)\[(\d+)\]$/) || [];
+  const names = { assumptions_and_caveats: "Caveat", clinical_validation_checklist: "Checklist item", next_best_actions: "Action" };
+  return list ? `${names[list] || list} ${Number(i) + 1}` : field;
+}
+
+function renderClaimCheck(check) {
+  const box = $("claimBox");
+  const warnings = check?.warnings || [];
+  if (!warnings.length && !check?.corrected) {
+    box.style.display = "none";
+    return;
+  }
+  box.style.display = "block";
+  $("claimSummary").textContent = [
+    check.corrected ? `${check.corrected} issue(s) fixed by an automatic corrective retry.` : null,
+    warnings.length ? `${warnings.length} issue(s) remain — review before sharing.` : "No issues remain."
+  ]
+    .filter(Boolean)
+    .join(" ");
 
-  const actions = $("actions");
-  actions.innerHTML = "";
-  (out.next_best_actions || []).forEach((x) => {
+  const list = $("claimWarnings");
+  list.innerHTML = "";
+  for (const w of warnings) {
     const li = document.createElement("li");
-    li.textContent = x;
-    actions.appendChild(li);
-  });
+    li.innerHTML = `<b>${escapeHtml(claimFieldLabel(w.field))}:</b> ${escapeHtml(w.message)}`;
+    list.appendChild(li);
+  }
+}
 
-  toast("Narratives generated");
+function renderResults(resp) {
+  state.lastResult = resp;
+  renderFinancials(resp);
+  $("latency").textContent = resp.latency_ms != null ? `${resp.latency_ms} ms` : "—";
+
+  const out = resp.output || {};
+  const narratives = out.narratives || {};
+  const audiences = resp.audiences || [...state.audiences];
+  const templated = new Set(resp.templateFields || []);
+  renderNarrativeCards(audiences);
+  for (const key of audiences) renderNarrative(key, narratives[key], templated.has(`narratives.${key}`));
+  for (const key of Object.keys(LIST_TARGETS)) renderList(key, out[key]);
+  renderClaimCheck(resp.claimCheck);
+  // Only fresh responses carry auditError; runs opened from history were recorded (or predate the log).
+  $("auditWarning").style.display = resp.auditError ? "block" : "none";
+  $("auditWarningText").textContent = resp.auditError ? `${resp.auditError} Regenerate before sharing it as evidence.` : "";
+}
+
+/* ============================
+   Streaming generation
+============================ */
+// Reads an SSE response body and calls onEvent(name, data) per event.
+async function readEventStream(res, onEvent) {
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  let buf = "";
+
+  try {
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      buf += decoder.decode(value, { stream: true });
+
+      let sep;
+      while ((sep = buf.indexOf("\n\n")) >= 0) {
+        const frame = buf.slice(0, sep);
+        buf = buf.slice(sep + 2);
+        let event = "message";
+        const data = [];
+        for (const line of frame.split("\n")) {
+          if (line.startsWith("event:")) event = line.slice(6).trim();
+          else if (line.startsWith("data:")) data.push(line.slice(5).trimStart());
+        }
+        if (data.length) onEvent(event, JSON.parse(data.join("\n")));
+      }
+    }
+  } finally {
+    // Release the connection if onEvent threw part-way through.
+    reader.cancel().catch(() => {});
+  }
+}
+
+// Cards that never received their text (cancel/error) go back to the empty state.
+function clearPending() {
+  $("rgrid").querySelectorAll(".rbody .pending").forEach((el) => (el.parentElement.textContent = "—"));
+  document.querySelectorAll("li.pending").forEach((el) => el.remove());
+}
+
+function setGenerating(on) {
+  const btn = $("generateBtn");
+  btn.disabled = on;
+  btn.textContent = on ? "Generating…" : "Generate narratives with AI";
+  $("cancelBtn").style.display = on ? "block" : "none";
+}
+
+function cancelGenerate() {
+  if (state.generation) state.generation.abort();
 }
 
 async function generate() {
@@ -405,9 +1093,16 @@ async function generate() {
     return;
   }
 
-  const btn = $("generateBtn");
-  btn.disabled = true;
-  btn.textContent = "Generating…";
+  const phi = scanFreeText();
+  renderPhiReport("textPhi", phi, { onRedact: redactFreeText });
+  if (phi) {
+    toast("Blocked: possible PHI in free text");
+    return;
+  }
+
+  const controller = new AbortController();
+  state.generation = controller;
+  setGenerating(true);
 
   try {
     const payload = {
@@ -416,35 +1111,679 @@ async function generate() {
       epicMapping: state.telemetry.enabled ? state.epicMapping : null
     };
 
-    const res = await fetch("/api/suki-value-intelligence/translate", {
+    const res = await fetch("/api/suki-value-intelligence/translate/stream", {
       method: "POST",
       headers: { "Content-Type": "application/json" },
-      body: JSON.stringify(payload)
+      body: JSON.stringify(payload),
+      signal: controller.signal
     });
 
-    const json = await res.json();
-    if (!json.ok) {
+    // Validation errors arrive as plain JSON before the stream opens.
+    if (!res.ok || !(res.headers.get("Content-Type") || "").includes("text/event-stream")) {
+      const json = await res.json();
       console.error(json);
+      if (json.details?.phi) renderPhiReport("textPhi", json.details.phi);
       toast(json.message || "Generation failed");
       return;
     }
 
-    renderResults(json);
+    const t0 = performance.now();
+    let final = null;
+    await readEventStream(res, (event, msg) => {
+      if (event === "financials") {
+        state.lastResult = null;
+        renderFinancials(msg);
+        renderNarrativeCards(msg.audiences, true);
+        renderClaimCheck(null);
+      } else if (event === "narrative") {
+        renderNarrative(msg.audience, msg.text);
+        $("latency").textContent = `${Math.round(performance.now() - t0)} ms…`;
+      } else if (event === "list") {
+        renderList(msg.key, msg.items);
+      } else if (event === "retry") {
+        toast(`Claim check flagged ${msg.warnings.length} issue(s) — asking the model to correct…`);
+      } else if (event === "done") {
+        final = msg;
+      } else if (event === "error") {
+        throw new Error(msg.message || msg.error);
+      }
+    });
+
+    if (!final) throw new Error("Stream ended before generation finished.");
+    renderResults(final);
+    const saved = final.run ? ` · saved as v${final.run.version}` : "";
+    if (final.auditError) {
+      toast(`Narratives generated${saved}, but not recorded in the audit log`);
+    } else if (final.source && final.source !== "model") {
+      console.warn("Template fallback:", final.fallbackReason);
+      toast(`Model unavailable — ${final.source === "template" ? "template" : "partly template"} narratives shown${saved}`);
+    } else {
+      toast(`Narratives generated${saved}`);
+    }
+    loadHistory();
   } catch (e) {
+    clearPending();
+    if (controller.signal.aborted) {
+      toast("Generation cancelled");
+      return;
+    }
     console.error(e);
-    toast("Network/server error");
+    toast(e.message || "Network/server error");
   } finally {
-    btn.disabled = false;
-    btn.textContent = "Generate narratives with OpenAI";
+    state.generation = null;
+    setGenerating(false);
   }
 }
 
-function init() {
+async function loadHistory() {
+  const customer = $("customerName").value.trim();
+  const params = customer ? `?${new URLSearchParams({ customer })}` : "";
+  try {
+    const res = await fetch(`/api/suki-value-intelligence/runs${params}`);
+    const json = await res.json();
+    if (!json.ok) throw new Error(json.message || json.error);
+    state.history.runs = json.runs || [];
+    state.history.selected = state.history.selected.filter((id) => state.history.runs.some((r) => r.id === id));
+  } catch (e) {
+    console.error(e);
+    state.history.runs = [];
+  }
+  renderHistory();
+}
+
+function renderHistory() {
+  const list = $("historyList");
+  list.innerHTML = "";
+  $("historyHint").textContent = $("customerName").value.trim()
+    ? "Saved runs for this customer. Select two to compare."
+    : "Saved runs for all customers. Enter a customer name to filter.";
+
+  if (!state.history.runs.length) {
+    list.innerHTML = `<div class="mini">No saved runs yet.</div>`;
+  }
+
+  for (const r of state.history.runs) {
+    const row = document.createElement("div");
+    row.className = "hrow";
+    const roi = Number.isFinite(r.roiX) ? `${r.roiX.toFixed(1)}x` : "—";
+    row.innerHTML = `
+      <input type="checkbox" ${state.history.selected.includes(r.id) ? "checked" : ""} />
+      <div class="hmeta">
+        <b>${escapeHtml(r.customerName)} · v${r.version}</b>
+        <small>${escapeHtml(new Date(r.createdAt).toLocaleString())} · ROI ${roi} · ${fmtMoney(r.annualTotalValue, r.locale || undefined)} · ${escapeHtml(r.model || "")}${r.prompt ? ` · prompt ${escapeHtml(r.prompt.version)}` : ""}</small>
+      </div>
+      <button class="xbtn" type="button">Open</button>
+    `;
+    row.querySelector("input").addEventListener("change", (e) => {
+      const sel = state.history.selected.filter((id) => id !== r.id);
+      if (e.target.checked) sel.push(r.id);
+      // Keep the two most recent picks
+      state.history.selected = sel.slice(-2);
+      renderHistory();
+    });
+    row.querySelector("button").addEventListener("click", () => openRun(r.id));
+    list.appendChild(row);
+  }
+
+  $("compareRunsBtn").disabled = state.history.selected.length !== 2;
+}
+
+async function openRun(id) {
+  try {
+    const res = await fetch(`/api/suki-value-intelligence/runs/${encodeURIComponent(id)}`);
+    const json = await res.json();
+    if (!json.ok) throw new Error(json.message || json.error);
+    renderResults(json.run);
+    toast(`Opened ${json.run.customerName} v${json.run.version}`);
+  } catch (e) {
+    console.error(e);
+    toast("Failed to open run");
+  }
+}
+
+function renderDiffSegments(segs) {
+  return segs
+    .map((s) => {
+      const t = escapeHtml(s.text);
+      if (s.op === "add") return `<ins>${t}</ins>`;
+      if (s.op === "del") return `<del>${t}</del>`;
+      return t;
+    })
+    .join("");
+}
+
+function fmtDiffNum(label, n) {
+  if (n == null) return "—";
+  if (/value|cost|NPV|uplift/i.test(label)) return fmtMoney(n);
+  if (label === "IRR") return `${(n * 100).toFixed(0)}%`;
+  return Number.isInteger(n) ? String(n) : n.toFixed(2);
+}
+
+function renderDiff(diff) {
+  const numbers = diff.numbers
+    .map((n) => {
+      const changed = n.before !== n.after;
+      const pct = n.pctChange != null ? ` (${n.pctChange > 0 ? "+" : ""}${n.pctChange.toFixed(1)}%)` : "";
+      return `<tr class="${changed ? "changed" : ""}"><td>${escapeHtml(n.label)}</td><td>${fmtDiffNum(n.label, n.before)}</td><td>${fmtDiffNum(n.label, n.after)}</td><td>${changed && n.delta != null ? escapeHtml(fmtDiffNum(n.label, n.delta) + pct) : ""}</td></tr>`;
+    })
+    .join("");
+
+  const narratives = Object.entries(diff.narratives)
+    .map(([key, segs]) => `<div class="rcard"><h4>${escapeHtml(key)}</h4><div class="rbody diffbody">${renderDiffSegments(segs)}</div></div>`)
+    .join("");
+
+  const listTitles = {
+    assumptions_and_caveats: "Assumptions & caveats",
+    clinical_validation_checklist: "Clinical validation checklist",
+    next_best_actions: "Next best actions"
+  };
+  const lists = Object.entries(diff.lists)
+    .map(([key, l]) => {
+      const items = [
+        ...l.removed.map((x) => `<li><del>${escapeHtml(x)}</del></li>`),
+        ...l.added.map((x) => `<li><ins>${escapeHtml(x)}</ins></li>`)
+      ];
+      return `<div class="list"><h4>${listTitles[key] || key}</h4>${items.length ? `<ul>${items.join("")}</ul>` : `<div class="mini">No changes.</div>`}</div>`;
+    })
+    .join("");
+
+  const pa = diff.before.prompt;
+  const pb = diff.after.prompt;
+  const promptNote = pa?.hash !== pb?.hash ? ` · prompt ${pa?.version || "?"} → ${pb?.version || "?"}` : "";
+  $("diffTitle").textContent = `Compare v${diff.before.version} → v${diff.after.version}${promptNote}`;
+  $("diffBody").innerHTML = `
+    <div class="list">
+      <h4>Numbers</h4>
+      <div class="tablewrap"><table class="cftable">
+        <thead><tr><th></th><th>v${diff.before.version}</th><th>v${diff.after.version}</th><th>Change</th></tr></thead>
+        <tbody>${numbers}</tbody>
+      </table></div>
+    </div>
+    <div class="rgrid" style="margin-top:10px;">${narratives}</div>
+    ${lists}
+  `;
+  $("diffOverlay").style.display = "block";
+}
+
+async function compareRuns() {
+  const picked = state.history.runs.filter((r) => state.history.selected.includes(r.id));
+  if (picked.length !== 2) return;
+  // Diff older → newer regardless of selection order
+  picked.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  try {
+    const res = await fetch(`/api/suki-value-intelligence/runs/${picked[0].id}/diff/${picked[1].id}`);
+    const json = await res.json();
+    if (!json.ok) throw new Error(json.message || json.error);
+    renderDiff(json.diff);
+  } catch (e) {
+    console.error(e);
+    toast("Failed to compare runs");
+  }
+}
+
+async function exportReport(format) {
+  const r = state.lastResult;
+  if (!r) return;
+  // Stored runs export by id; anything else is posted back to be rendered as-is.
+  const id = r.run?.id || r.id;
+  try {
+    const res = id
+      ? await fetch(`/api/suki-value-intelligence/runs/${encodeURIComponent(id)}/export/${format}`)
+      : await fetch(`/api/suki-value-intelligence/export/${format}`, {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ customerName: $("customerName").value.trim(), ...r })
+        });
+    if (!res.ok) {
+      const json = await res.json().catch(() => ({}));
+      throw new Error(json.message || json.error || `HTTP ${res.status}`);
+    }
+    const blob = await res.blob();
+    const name = /filename="([^"]+)"/.exec(res.headers.get("Content-Disposition") || "")?.[1] || `value-report.${format}`;
+    const a = document.createElement("a");
+    a.href = URL.createObjectURL(blob);
+    a.download = name;
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+  } catch (e) {
+    console.error(e);
+    toast(`Export failed: ${e.message}`);
+  }
+}
+
+/* ============================
+   Provenance
+============================ */
+const PROVENANCE_VIA = { session: "signed in", token: "API token" };
+
+async function openProvenance() {
+  const r = state.lastResult;
+  const id = r?.run?.id || r?.id;
+  if (!id) return toast("This result was not saved, so it has no audit record");
+  try {
+    const res = await fetch(`/api/suki-value-intelligence/runs/${encodeURIComponent(id)}/provenance`);
+    const json = await res.json();
+    if (!json.ok) throw new Error(json.message || json.error);
+    state.provenance = json.provenance;
+    renderProvenance(json.provenance);
+    $("provenanceOverlay").style.display = "block";
+  } catch (e) {
+    console.error(e);
+    toast(`No provenance: ${e.message}`);
+  }
+}
+
+function renderProvenance(p) {
+  const cell = (x) => (x == null || x === "" ? "—" : escapeHtml(String(x)));
+  const table = (header, rows) =>
+    `<div class="tablewrap"><table class="cftable"><tr>${header.map((h) => `<th>${h}</th>`).join("")}</tr>${rows
+      .map((r) => `<tr>${r.map((c) => `<td>${cell(c)}</td>`).join("")}</tr>`)
+      .join("")}</table></div>`;
+  const block = (title, value) =>
+    `<details><summary class="mini">${escapeHtml(title)}</summary><pre class="provjson">${escapeHtml(
+      typeof value === "string" ? value : JSON.stringify(value, null, 2)
+    )}</pre></details>`;
+
+  const cc = p.claimCheck || {};
+  const facts = [
+    ["Generated", new Date(p.at).toLocaleString()],
+    ["Requested by", p.user ? `${p.user.username} (${PROVENANCE_VIA[p.user.via] || p.user.via || "unknown"})` : null],
+    ["Workspace", p.workspace],
+    ["Customer", p.runVersion ? `${p.customerName} v${p.runVersion}` : p.customerName],
+    ["Portfolio batch", p.batchId],
+    ["Model", `${p.provider} · ${p.model}`],
+    ["Prompt", p.prompt ? `${p.prompt.version} (${p.prompt.hash})` : null],
+    ["Narratives", p.source === "model" ? "Model" : `${p.source}: ${p.fallbackReason || "template fill"}`],
+    ["Claim check", `${cc.warnings?.length || 0} warning(s)${cc.retried ? `; ${cc.corrected} corrected on retry` : ""}`],
+    ["Input payload (SHA-256)", p.inputHash],
+    ["Prompt sent (SHA-256)", p.requestHash],
+    ["Audit record", `#${p.seq} · ${p.hash}`],
+    ["Integrity", p.hashValid ? "Record matches its hash" : "Record does NOT match its hash: it was changed after it was written"]
+  ];
+
+  const inputs = Object.entries(p.valueInputs || {}).map(([k, v]) => [k, v?.value, v?.source, v?.basis]);
+  const assumptions = Object.entries(p.assumptions || {}).map(([k, v]) => [k, typeof v === "object" ? JSON.stringify(v) : v]);
+  const mapping = Object.entries(p.mapping || {}).filter(([, col]) => col).map(([field, col]) => [field, col]);
+  const raw = (p.rawOutputs || []).map((r, i) =>
+    block(
+      `Model response ${i + 1} (${r.stage}${r.streamed ? ", streamed" : ""}${r.error ? `, failed: ${r.error}` : ""})`,
+      r.output ?? "(no output)"
+    )
+  );
+
+  $("provenanceTitle").textContent = `Provenance: ${p.customerName}${p.runVersion ? ` v${p.runVersion}` : ""}`;
+  $("provenanceBody").innerHTML = [
+    table(["Record", ""], facts),
+    `<h4>Model inputs</h4>`,
+    inputs.length ? table(["Input", "Value", "Source", "Basis"], inputs) : `<div class="mini">None recorded.</div>`,
+    `<h4>Assumptions used</h4>`,
+    assumptions.length ? table(["Assumption", "Value"], assumptions) : `<div class="mini">None recorded.</div>`,
+    `<h4>Telemetry</h4>`,
+    mapping.length ? table(["Field", "Column"], mapping) : `<div class="mini">No column mapping.</div>`,
+    p.telemetrySummary ? block("Telemetry summary", p.telemetrySummary) : `<div class="mini">No telemetry was used.</div>`,
+    `<h4>Prompt sent to the model</h4>`,
+    p.request ? block("System prompt", p.request.system) + block("User prompt", p.request.user) : `<div class="mini">Only its hash was recorded.</div>`,
+    `<h4>Output</h4>`,
+    raw.length ? raw.join("") : `<div class="mini">No model response was received.</div>`,
+    block("Normalized output (as shown in the report)", p.output)
+  ].join("");
+}
+
+function downloadProvenance() {
+  const p = state.provenance;
+  if (!p) return;
+  const blob = new Blob([JSON.stringify(p, null, 2)], { type: "application/json" });
+  const a = document.createElement("a");
+  a.href = URL.createObjectURL(blob);
+  a.download = `provenance-${p.seq}-${(p.customerName || "run").replace(/[^a-z0-9]+/gi, "-").toLowerCase()}.json`;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+}
+
+function setupExports() {
+  document.querySelectorAll("[data-export]").forEach((btn) => {
+    btn.addEventListener("click", () => exportReport(btn.dataset.export));
+  });
+  $("provenanceBtn").addEventListener("click", openProvenance);
+  $("downloadProvenanceBtn").addEventListener("click", downloadProvenance);
+  $("closeProvenanceBtn").addEventListener("click", () => ($("provenanceOverlay").style.display = "none"));
+  $("provenanceOverlay").addEventListener("click", (e) => {
+    if (e.target === $("provenanceOverlay")) $("provenanceOverlay").style.display = "none";
+  });
+  document.querySelectorAll("[data-chart]").forEach((btn) => {
+    btn.addEventListener("click", () => exportChart(btn.dataset.chart, btn.dataset.format));
+  });
+}
+
+function setupHistory() {
+  $("refreshHistoryBtn").addEventListener("click", loadHistory);
+  $("compareRunsBtn").addEventListener("click", compareRuns);
+  $("customerName").addEventListener("change", loadHistory);
+  $("closeDiffBtn").addEventListener("click", () => ($("diffOverlay").style.display = "none"));
+  $("diffOverlay").addEventListener("click", (e) => {
+    if (e.target === $("diffOverlay")) $("diffOverlay").style.display = "none";
+  });
+  loadHistory();
+}
+
+/* ============================
+   Portfolio batches
+============================ */
+const BATCH_NAME_COLUMNS = ["customername", "customer", "account", "accountname", "name"];
+const BATCH_MAX_BYTES = 1.5 * 1024 * 1024;
+
+// Account names are not patient names, so the name column is only value-scanned (as on the server).
+async function precheckBatchFile(file) {
+  const { columns, rows } = await readUploadSample(file);
+  const nameColumns = columns.filter((c) => BATCH_NAME_COLUMNS.includes(c.toLowerCase().replace(/[\s_-]+/g, "")));
+  const scanner = SukiPhi.createPhiScanner({ columns: [] });
+  rows.forEach((r, i) => scanner.scanRow(r, i + 1));
+  const phi = { ...scanner.report(), columns: SukiPhi.scanColumns(columns, { exempt: nameColumns }) };
+  phi.clean = phi.clean && !phi.columns.length;
+  return phi;
+}
+
+// The form supplies shared settings; anything that identifies one customer is left to the rows.
+function batchDefaults() {
+  const { customerName, specialty, physicianCount, clinicalContext, burnoutImprovement, ...defaults } = readInputs();
+  return defaults;
+}
+
+async function startBatch() {
+  const file = $("batchFile").files?.[0];
+  if (!file) return toast("Choose a portfolio file first");
+  if (file.size > BATCH_MAX_BYTES) return toast("Portfolio file is too large (max 1.5 MB)");
+  renderPhiReport("batchPhi", null);
+
+  try {
+    const phi = await precheckBatchFile(file);
+    if (!phi.clean) throw phiError("Possible PHI detected; batch blocked.", phi);
+
+    const text = (await file.text()).replace(/^\uFEFF/, "");
+    const body = { name: file.name.replace(/\.[^.]+$/, ""), defaults: batchDefaults() };
+    if (file.name.toLowerCase().endsWith(".json") || /^\s*[[{]/.test(text)) {
+      const data = JSON.parse(text);
+      body.rows = Array.isArray(data) ? data : data.rows;
+    } else {
+      body.csv = text;
+    }
+
+    const res = await fetch("/api/suki-value-intelligence/batches", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body)
+    });
+    const json = await res.json();
+    if (!json.ok) {
+      if (json.details?.phi) throw phiError(json.message, json.details.phi);
+      throw new Error(json.message || json.error);
+    }
+    toast(`Batch queued: ${json.batch.total} account(s)`);
+    showBatch(json.batch);
+  } catch (err) {
+    console.error(err);
+    if (err.phi) renderPhiReport("batchPhi", err.phi);
+    $("batchStatus").textContent = `Batch not started: ${err.message}`;
+    toast(err.phi ? "Batch blocked: possible PHI" : "Batch failed to start");
+  }
+}
+
+const BATCH_ACTIVE = ["queued", "running"];
+
+function showBatch(batch) {
+  clearTimeout(state.batch.timer);
+  state.batch.id = batch.id;
+  renderBatch(batch);
+  if (BATCH_ACTIVE.includes(batch.status)) state.batch.timer = setTimeout(pollBatch, 1500);
+}
+
+async function pollBatch() {
+  try {
+    const res = await fetch(`/api/suki-value-intelligence/batches/${encodeURIComponent(state.batch.id)}`);
+    const json = await res.json();
+    if (!json.ok) throw new Error(json.message || json.error);
+    showBatch(json.batch);
+    if (!BATCH_ACTIVE.includes(json.batch.status)) loadHistory();
+  } catch (e) {
+    console.error(e);
+    state.batch.timer = setTimeout(pollBatch, 5000);
+  }
+}
+
+function renderBatch(b) {
+  const c = b.counts;
+  const finished = c.done + c.failed + c.cancelled;
+  $("batchStatus").textContent =
+    `${b.name || "Batch"} · ${b.status.replaceAll("_", " ")} · ${finished} of ${b.total} finished` +
+    ` (${c.done} done, ${c.failed} failed${c.cancelled ? `, ${c.cancelled} cancelled` : ""}${c.running ? `, ${c.running} running` : ""})`;
+  $("cancelBatchBtn").style.display = BATCH_ACTIVE.includes(b.status) ? "inline-block" : "none";
+  $("batchExports").style.display = c.done ? "flex" : "none";
+
+  // One KPI group per currency: figures are never converted across currencies.
+  $("batchRollup").innerHTML = (b.rollup?.byCurrency || [])
+    .map((g) => {
+      const fmt = { locale: g.locale, currency: g.currency };
+      return `
+        <div class="kpi"><small>Accounts · ${escapeHtml(g.currency)}</small><b>${g.accounts}</b><small>${g.physicians.toLocaleString()} physicians</small></div>
+        <div class="kpi"><small>Portfolio annual value</small><b>${fmtMoney(g.annualTotalValue, fmt)}</b></div>
+        <div class="kpi"><small>Portfolio ROI (x)</small><b>${Number.isFinite(g.roiX) ? g.roiX.toFixed(1) + "x" : "—"}</b><small>${g.validatedAccounts} validated</small></div>
+        <div class="kpi"><small>Portfolio NPV</small><b>${fmtMoney(g.npv, fmt)}</b></div>
+      `;
+    })
+    .join("");
+
+  const rows = b.rows
+    .map((r) => {
+      const fmt = r.currency ? { locale: r.locale, currency: r.currency } : undefined;
+      const roi = Number.isFinite(r.roiX) ? `${r.roiX.toFixed(1)}x` : "—";
+      const value = Number.isFinite(r.annualTotalValue) ? fmtMoney(r.annualTotalValue, fmt) : "—";
+      const status = r.status === "done" && r.source !== "model" ? `done (${r.source})` : r.status;
+      return `<tr title="${escapeHtml(r.error || "")}">
+        <td>${r.row}. ${escapeHtml(r.customerName || "—")}</td>
+        <td>${escapeHtml(status)}${r.attempts > 1 ? ` · ${r.attempts} tries` : ""}</td>
+        <td>${roi}</td><td>${value}</td>
+        <td>${r.runId ? `<button class="xbtn" type="button" data-run="${escapeHtml(r.runId)}">Open</button>` : escapeHtml(r.error || "")}</td>
+      </tr>`;
+    })
+    .join("");
+  $("batchRows").innerHTML = `<thead><tr><th>Account</th><th>Status</th><th>ROI</th><th>Annual value</th><th></th></tr></thead><tbody>${rows}</tbody>`;
+  $("batchRows").querySelectorAll("[data-run]").forEach((btn) => btn.addEventListener("click", () => openRun(btn.dataset.run)));
+}
+
+async function cancelBatch() {
+  try {
+    const res = await fetch(`/api/suki-value-intelligence/batches/${encodeURIComponent(state.batch.id)}/cancel`, { method: "POST" });
+    const json = await res.json();
+    if (!json.ok) throw new Error(json.message || json.error);
+    showBatch(json.batch);
+    toast("Cancelling batch");
+  } catch (e) {
+    console.error(e);
+    toast(`Cancel failed: ${e.message}`);
+  }
+}
+
+async function downloadBatch(format) {
+  try {
+    const res = await fetch(`/api/suki-value-intelligence/batches/${encodeURIComponent(state.batch.id)}/export/${format}`);
+    if (!res.ok) {
+      const json = await res.json().catch(() => ({}));
+      throw new Error(json.message || json.error || `HTTP ${res.status}`);
+    }
+    const blob = await res.blob();
+    const name = /filename="([^"]+)"/.exec(res.headers.get("Content-Disposition") || "")?.[1] || `portfolio-${format}.zip`;
+    const a = document.createElement("a");
+    a.href = URL.createObjectURL(blob);
+    a.download = name;
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+  } catch (e) {
+    console.error(e);
+    toast(`Download failed: ${e.message}`);
+  }
+}
+
+// Picks up the most recent batch (e.g. one still running after a reload).
+async function setupBatches() {
+  $("startBatchBtn").addEventListener("click", startBatch);
+  $("cancelBatchBtn").addEventListener("click", cancelBatch);
+  document.querySelectorAll("[data-batch-export]").forEach((btn) => {
+    btn.addEventListener("click", () => downloadBatch(btn.dataset.batchExport));
+  });
+  try {
+    const res = await fetch("/api/suki-value-intelligence/batches");
+    const json = await res.json();
+    if (!json.ok) throw new Error(json.message || json.error);
+    if (json.batches?.length) {
+      state.batch.id = json.batches[0].id;
+      await pollBatch();
+    }
+  } catch (e) {
+    console.error(e);
+  }
+}
+
+// Lists prompt template versions for per-request pinning; "Default" follows the server.
+async function setupPromptVersions() {
+  try {
+    const res = await fetch("/api/suki-value-intelligence/prompts");
+    const json = await res.json();
+    if (!json.ok) throw new Error(json.message || json.error);
+    for (const p of json.prompts || []) {
+      const opt = document.createElement("option");
+      opt.value = p.version;
+      opt.textContent = `${p.version}${p.default ? " (default)" : ""}`;
+      opt.title = p.description || "";
+      $("promptVersion").appendChild(opt);
+    }
+  } catch (e) {
+    console.error(e);
+  }
+}
+
+/* ============================
+   Sign-in, roles + workspaces
+============================ */
+const ROLE_RANK = { viewer: 0, csm: 1, admin: 2 };
+const ROLE_LABELS = { viewer: "Viewer", csm: "CSM", admin: "Admin" };
+
+function hasRole(role) {
+  return (ROLE_RANK[state.auth?.user?.role] ?? -1) >= ROLE_RANK[role];
+}
+
+// First run (no users yet) shows account setup; otherwise sign-in. Success reloads the page.
+function showAuthForm(setupRequired) {
+  $("authTitle").textContent = setupRequired ? "Create the admin account" : "Sign in";
+  $("authHint").textContent = setupRequired
+    ? "No accounts exist yet. This first account is the admin; it can add CSMs and viewers through the API."
+    : "Use the account your SuccessForce admin created for you.";
+  $("authNameField").style.display = setupRequired ? "" : "none";
+  $("authPassword").autocomplete = setupRequired ? "new-password" : "current-password";
+  $("authSubmit").textContent = setupRequired ? "Create account" : "Sign in";
+  $("authOverlay").style.display = "block";
+  $("authUsername").focus();
+
+  $("authForm").addEventListener("submit", async (e) => {
+    e.preventDefault();
+    $("authError").textContent = "";
+    $("authSubmit").disabled = true;
+    try {
+      const body = { username: $("authUsername").value, password: $("authPassword").value };
+      if (setupRequired) body.name = $("authName").value;
+      const res = await fetch(`/api/suki-value-intelligence/auth/${setupRequired ? "setup" : "login"}`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(body)
+      });
+      const json = await res.json();
+      if (!json.ok) throw new Error(json.message || json.error);
+      location.reload();
+    } catch (err) {
+      $("authError").textContent = err.message;
+      $("authSubmit").disabled = false;
+    }
+  });
+}
+
+function renderUserBar() {
+  const { user, workspace, workspaces } = state.auth;
+  $("userName").textContent = user.name;
+  $("userRole").textContent = ROLE_LABELS[user.role] || user.role;
+  const select = $("workspaceSelect");
+  select.innerHTML = "";
+  for (const w of workspaces) {
+    const opt = document.createElement("option");
+    opt.value = w.key;
+    opt.textContent = w.name;
+    select.appendChild(opt);
+  }
+  select.value = workspace || "";
+  select.disabled = workspaces.length < 2;
+  $("userBar").style.display = "";
+
+  // Viewers read history and exports; generating, uploading and batches need a CSM.
+  for (const el of document.querySelectorAll("[data-role]")) {
+    if (hasRole(el.dataset.role)) continue;
+    el.disabled = true;
+    el.title = `Needs the ${ROLE_LABELS[el.dataset.role]} role`;
+  }
+}
+
+// Resolves to true once signed in; otherwise shows the sign-in form and resolves false.
+async function setupAuth() {
+  try {
+    const res = await fetch("/api/suki-value-intelligence/auth/me");
+    if (res.status === 401) {
+      const status = await (await fetch("/api/suki-value-intelligence/auth/status")).json();
+      showAuthForm(Boolean(status.setupRequired));
+      return false;
+    }
+    const json = await res.json();
+    if (!json.ok) throw new Error(json.message || json.error);
+    state.auth = json;
+  } catch (err) {
+    console.error(err);
+    toast("Could not check your sign-in");
+    return false;
+  }
+  renderUserBar();
+  if (!state.auth.workspace) toast("You are not assigned to a workspace yet");
+
+  // Everything on screen belongs to the old workspace, so switch by reloading.
+  $("workspaceSelect").addEventListener("change", async (e) => {
+    try {
+      const res = await fetch("/api/suki-value-intelligence/auth/workspace", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ workspace: e.target.value })
+      });
+      const json = await res.json();
+      if (!json.ok) throw new Error(json.message || json.error);
+      location.reload();
+    } catch (err) {
+      toast(err.message);
+      e.target.value = state.auth.workspace;
+    }
+  });
+  $("logoutBtn").addEventListener("click", async () => {
+    await fetch("/api/suki-value-intelligence/auth/logout", { method: "POST" }).catch(() => {});
+    location.reload();
+  });
+  return true;
+}
+
+async function init() {
+  if (!(await setupAuth())) return;
   setupAudienceToggles();
+  setupPromptVersions();
   setupAssumptionsToggle();
   setupTelemetry();
   setupModal();
+  setupHistory();
+  setupExports();
+  setupBatches();
   $("generateBtn").addEventListener("click", generate);
+  $("cancelBtn").addEventListener("click", cancelGenerate);
 }
 
 init();
\ No newline at end of file
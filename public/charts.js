@@ -0,0 +1,284 @@
+/* ============================
+   Inline SVG charts (no external libraries)
+============================ */
+const CHART_COLORS = {
+  text: "rgba(255,255,255,.78)",
+  muted: "rgba(255,255,255,.52)",
+  grid: "rgba(255,255,255,.12)",
+  low: "#fb7185",
+  high: "#34d399"
+};
+
+function svgEsc(s) {
+  return String(s).replaceAll("&", "&amp;").replaceAll("<", "&lt;").replaceAll(">", "&gt;").replaceAll('"', "&quot;");
+}
+
+// Horizontal bars around the base ROI: one row per driver, widest swing first.
+function renderTornadoSvg(sensitivity) {
+  const drivers = sensitivity?.drivers || [];
+  const base = sensitivity?.baseRoi;
+  if (!drivers.length || !Number.isFinite(base)) return "";
+
+  const width = 560;
+  const labelW = 190;
+  const rowH = 26;
+  const top = 22;
+  const height = top + drivers.length * rowH + 10;
+
+  const lo = Math.min(base, ...drivers.map((d) => d.roiLow));
+  const hi = Math.max(base, ...drivers.map((d) => d.roiHigh));
+  const span = hi - lo || 1;
+  const plotW = width - labelW - 60;
+  const x = (v) => labelW + ((v - lo) / span) * plotW;
+
+  const rows = drivers
+    .map((d, i) => {
+      const y = top + i * rowH;
+      const leftVal = Math.min(d.roiAtLow, d.roiAtHigh);
+      const rightVal = Math.max(d.roiAtLow, d.roiAtHigh);
+      // Colour each side by which end of the input sweep produced it.
+      const leftColor = d.roiAtLow <= d.roiAtHigh ? CHART_COLORS.low : CHART_COLORS.high;
+      const rightColor = leftColor === CHART_COLORS.low ? CHART_COLORS.high : CHART_COLORS.low;
+      return `
+        <text x="${labelW - 8}" y="${y + 15}" text-anchor="end" font-size="11" fill="${CHART_COLORS.text}">${svgEsc(d.label)}${d.clamped ? " (capped)" : ""}</text>
+        <rect x="${x(leftVal)}" y="${y + 4}" width="${Math.max(1, x(base) - x(leftVal))}" height="${rowH - 10}" rx="3" fill="${leftColor}" opacity=".8"/>
+        <rect x="${x(base)}" y="${y + 4}" width="${Math.max(1, x(rightVal) - x(base))}" height="${rowH - 10}" rx="3" fill="${rightColor}" opacity=".8"/>
+        <text x="${x(leftVal) - 4}" y="${y + 15}" text-anchor="end" font-size="10" fill="${CHART_COLORS.muted}">${leftVal.toFixed(1)}x</text>
+        <text x="${x(rightVal) + 4}" y="${y + 15}" font-size="10" fill="${CHART_COLORS.muted}">${rightVal.toFixed(1)}x</text>`;
+    })
+    .join("");
+
+  return `
+    <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${height}" width="100%" role="img" aria-label="ROI sensitivity tornado chart" font-family="Inter, system-ui, sans-serif">
+      <text x="${x(base)}" y="12" text-anchor="middle" font-size="10" fill="${CHART_COLORS.muted}">Base ${base.toFixed(1)}x (±${sensitivity.swingPct}%)</text>
+      <line x1="${x(base)}" y1="${top - 4}" x2="${x(base)}" y2="${height - 6}" stroke="${CHART_COLORS.grid}" stroke-dasharray="3 3"/>
+      ${rows}
+    </svg>`;
+}
+
+// One metric over reporting periods, with the detected plateau (if any) marked.
+function renderTrendSvg(points, { label, format = (v) => v.toFixed(1), plateau = null, color = CHART_COLORS.high } = {}) {
+  const pts = (points || []).filter((p) => Number.isFinite(p.value));
+  if (pts.length < 2) return "";
+
+  const width = 280;
+  const height = 150;
+  const left = 40;
+  const right = 10;
+  const top = 24;
+  const bottom = 24;
+
+  const values = pts.map((p) => p.value);
+  let lo = Math.min(...values);
+  let hi = Math.max(...values);
+  if (hi === lo) {
+    lo -= 1;
+    hi += 1;
+  }
+  const x = (i) => left + (i / (pts.length - 1)) * (width - left - right);
+  const y = (v) => top + (1 - (v - lo) / (hi - lo)) * (height - top - bottom);
+  const path = pts.map((p, i) => `${i ? "L" : "M"}${x(i).toFixed(1)},${y(p.value).toFixed(1)}`).join(" ");
+
+  let marker = "";
+  const at = plateau?.reached ? pts.findIndex((p) => p.period === plateau.period) : -1;
+  if (at >= 0) {
+    const band = [y(Math.min(hi, plateau.level + plateau.tolerance)), y(Math.max(lo, plateau.level - plateau.tolerance))];
+    marker = `
+      <rect x="${x(at)}" y="${band[0]}" width="${Math.max(1, x(pts.length - 1) - x(at))}" height="${Math.max(1, band[1] - band[0])}" fill="${color}" opacity=".12"/>
+      <line x1="${x(at)}" y1="${top}" x2="${x(at)}" y2="${height - bottom}" stroke="${CHART_COLORS.muted}" stroke-dasharray="3 3"/>
+      <text x="${Math.min(x(at) + 4, width - right - 60)}" y="${top + 10}" font-size="9" fill="${CHART_COLORS.muted}">plateau ${svgEsc(plateau.period)}</text>`;
+  }
+
+  return `
+    <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${height}" width="100%" role="img" aria-label="${svgEsc(label)} trend chart" font-family="Inter, system-ui, sans-serif">
+      <text x="${left}" y="12" font-size="11" fill="${CHART_COLORS.text}">${svgEsc(label)}</text>
+      <line x1="${left}" y1="${height - bottom}" x2="${width - right}" y2="${height - bottom}" stroke="${CHART_COLORS.grid}"/>
+      <line x1="${left}" y1="${top}" x2="${width - right}" y2="${top}" stroke="${CHART_COLORS.grid}" stroke-dasharray="2 4"/>
+      <text x="${left - 4}" y="${top + 4}" text-anchor="end" font-size="9" fill="${CHART_COLORS.muted}">${svgEsc(format(hi))}</text>
+      <text x="${left - 4}" y="${height - bottom + 3}" text-anchor="end" font-size="9" fill="${CHART_COLORS.muted}">${svgEsc(format(lo))}</text>
+      ${marker}
+      <path d="${path}" fill="none" stroke="${color}" stroke-width="2" stroke-linejoin="round"/>
+      <text x="${left}" y="${height - 8}" font-size="9" fill="${CHART_COLORS.muted}">${svgEsc(pts[0].period)}</text>
+      <text x="${width - right}" y="${height - 8}" text-anchor="end" font-size="9" fill="${CHART_COLORS.muted}">${svgEsc(pts[pts.length - 1].period)}</text>
+    </svg>`;
+}
+
+/* ---------- Value dashboard ---------- */
+const DASH_COLORS = { gain: "#34d399", loss: "#fb7185", total: "#4da3ff", before: "rgba(255,255,255,.35)", after: "#57ffd6" };
+
+// Labor value + revenue uplift − platform cost = net value, as floating bars.
+function renderWaterfallSvg(fin, { format = (v) => v.toFixed(0) } = {}) {
+  const labor = fin?.annualLaborValue;
+  const revenue = fin?.annualRevenueUplift;
+  const cost = fin?.annualSukiCost;
+  if (![labor, revenue, cost].every(Number.isFinite)) return "";
+  const sources = fin.lineItemSources || {};
+  const gross = labor + revenue;
+  const net = gross - cost;
+
+  const steps = [
+    { label: "Labor value", from: 0, to: labor, color: DASH_COLORS.gain, note: sources.annualLaborValue },
+    { label: "Revenue uplift", from: labor, to: gross, color: DASH_COLORS.gain, note: sources.annualRevenueUplift },
+    { label: "Platform cost", from: gross, to: net, color: DASH_COLORS.loss, value: -cost },
+    { label: "Net value", from: 0, to: net, color: net >= 0 ? DASH_COLORS.total : DASH_COLORS.loss }
+  ];
+
+  const width = 560;
+  const height = 240;
+  const top = 38;
+  const bottom = 44;
+  const left = 16;
+  const slot = (width - left * 2) / steps.length;
+  const lo = Math.min(0, net);
+  const hi = Math.max(gross, 0) || 1;
+  const y = (v) => top + (1 - (v - lo) / (hi - lo)) * (height - top - bottom);
+
+  const bars = steps
+    .map((s, i) => {
+      const x = left + i * slot + slot * 0.18;
+      const w = slot * 0.64;
+      const y1 = y(Math.max(s.from, s.to));
+      const h = Math.max(1, Math.abs(y(s.from) - y(s.to)));
+      const value = s.value ?? s.to - s.from;
+      // Dotted connector from the top of this step to the next one.
+      const link = i < steps.length - 1 ? `<line x1="${x + w}" y1="${y(s.to)}" x2="${x + slot}" y2="${y(s.to)}" stroke="${CHART_COLORS.grid}" stroke-dasharray="2 3"/>` : "";
+      return `
+        <rect x="${x}" y="${y1}" width="${w}" height="${h}" rx="4" fill="${s.color}" opacity=".85"/>
+        ${link}
+        <text x="${x + w / 2}" y="${y1 - 6}" text-anchor="middle" font-size="11" fill="${CHART_COLORS.text}">${svgEsc(format(value))}</text>
+        <text x="${x + w / 2}" y="${height - bottom + 16}" text-anchor="middle" font-size="11" fill="${CHART_COLORS.text}">${svgEsc(s.label)}</text>
+        ${s.note ? `<text x="${x + w / 2}" y="${height - bottom + 30}" text-anchor="middle" font-size="9" fill="${CHART_COLORS.muted}">${svgEsc(s.note)}</text>` : ""}`;
+    })
+    .join("");
+
+  return `
+    <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${height}" width="100%" role="img" aria-label="Annual value waterfall chart" font-family="Inter, system-ui, sans-serif">
+      <text x="${left}" y="14" font-size="11" fill="${CHART_COLORS.muted}">Annual value waterfall</text>
+      <line x1="${left}" y1="${y(0)}" x2="${width - left}" y2="${y(0)}" stroke="${CHART_COLORS.grid}"/>
+      ${bars}
+    </svg>`;
+}
+
+// Baseline vs. post means for the paired telemetry metrics, with the percent change.
+function renderBeforeAfterSvg(summary) {
+  const metrics = [
+    ["Documentation min/day", summary?.doc_minutes],
+    ["After-hours min/day", summary?.after_hours_minutes]
+  ].filter(([, m]) => m?.n && Number.isFinite(m.baseline_mean) && Number.isFinite(m.post_mean));
+  if (!metrics.length) return "";
+
+  const width = 560;
+  const rowH = 58;
+  const top = 30;
+  const labelW = 150;
+  const height = top + metrics.length * rowH + 4;
+  const max = Math.max(...metrics.flatMap(([, m]) => [m.baseline_mean, m.post_mean])) || 1;
+  const plotW = width - labelW - 70;
+  const w = (v) => Math.max(1, (Math.max(0, v) / max) * plotW);
+
+  const rows = metrics
+    .map(([label, m], i) => {
+      const y = top + i * rowH;
+      const pct = Number.isFinite(m.pct_change) ? `${m.pct_change > 0 ? "+" : ""}${m.pct_change.toFixed(0)}%` : "";
+      return `
+        <text x="${labelW - 8}" y="${y + 20}" text-anchor="end" font-size="11" fill="${CHART_COLORS.text}">${svgEsc(label)}</text>
+        <text x="${labelW - 8}" y="${y + 34}" text-anchor="end" font-size="10" fill="${CHART_COLORS.muted}">n=${m.n} ${pct}</text>
+        <rect x="${labelW}" y="${y + 4}" width="${w(m.baseline_mean)}" height="18" rx="3" fill="${DASH_COLORS.before}"/>
+        <rect x="${labelW}" y="${y + 26}" width="${w(m.post_mean)}" height="18" rx="3" fill="${DASH_COLORS.after}" opacity=".85"/>
+        <text x="${labelW + w(m.baseline_mean) + 6}" y="${y + 17}" font-size="10" fill="${CHART_COLORS.muted}">${m.baseline_mean.toFixed(1)} before</text>
+        <text x="${labelW + w(m.post_mean) + 6}" y="${y + 39}" font-size="10" fill="${CHART_COLORS.text}">${m.post_mean.toFixed(1)} after</text>`;
+    })
+    .join("");
+
+  return `
+    <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${height}" width="100%" role="img" aria-label="Before and after telemetry chart" font-family="Inter, system-ui, sans-serif">
+      <text x="16" y="14" font-size="11" fill="${CHART_COLORS.muted}">Before vs. after (paired telemetry)</text>
+      ${rows}
+    </svg>`;
+}
+
+// Mean change in documentation minutes per specialty with its 95% CI; fewer minutes point left.
+function renderSpecialtySvg(bySpecialty, { metric = "doc_minutes", title = "Documentation min/day change by specialty" } = {}) {
+  const groups = (bySpecialty || []).filter((s) => s[metric]?.n && Number.isFinite(s[metric].mean_change)).slice(0, 10);
+  if (!groups.length) return "";
+
+  const width = 560;
+  const labelW = 170;
+  const rowH = 24;
+  const top = 28;
+  const height = top + groups.length * rowH + 10;
+  const ends = groups.flatMap((s) => [s[metric].mean_change, ...(s[metric].ci95 || [])]);
+  const lo = Math.min(0, ...ends);
+  const hi = Math.max(0, ...ends);
+  const span = hi - lo || 1;
+  const plotW = width - labelW - 50;
+  const x = (v) => labelW + ((v - lo) / span) * plotW;
+
+  const rows = groups
+    .map((s, i) => {
+      const m = s[metric];
+      const y = top + i * rowH;
+      const color = m.mean_change <= 0 ? DASH_COLORS.gain : DASH_COLORS.loss;
+      const ci = m.ci95
+        ? `<line x1="${x(m.ci95[0])}" y1="${y + 11}" x2="${x(m.ci95[1])}" y2="${y + 11}" stroke="${CHART_COLORS.text}" stroke-width="1.2"/>`
+        : "";
+      return `
+        <text x="${labelW - 8}" y="${y + 15}" text-anchor="end" font-size="11" fill="${CHART_COLORS.text}">${svgEsc(s.specialty)} (${s.providers})</text>
+        <rect x="${Math.min(x(0), x(m.mean_change))}" y="${y + 4}" width="${Math.max(1, Math.abs(x(m.mean_change) - x(0)))}" height="${rowH - 10}" rx="3" fill="${color}" opacity=".8"/>
+        ${ci}
+        <text x="${Math.max(x(0), x(m.mean_change)) + 4}" y="${y + 15}" font-size="10" fill="${CHART_COLORS.muted}">${m.mean_change.toFixed(1)}</text>`;
+    })
+    .join("");
+
+  return `
+    <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${height}" width="100%" role="img" aria-label="${svgEsc(title)}" font-family="Inter, system-ui, sans-serif">
+      <text x="16" y="14" font-size="11" fill="${CHART_COLORS.muted}">${svgEsc(title)} (line = 95% CI)</text>
+      <line x1="${x(0)}" y1="${top - 4}" x2="${x(0)}" y2="${height - 6}" stroke="${CHART_COLORS.grid}"/>
+      ${rows}
+    </svg>`;
+}
+
+/* ---------- Export ---------- */
+// Charts are drawn for the dark UI, so exports get the page background baked in.
+const EXPORT_BACKGROUND = "#0a1224";
+
+function standaloneSvg(svgEl) {
+  const clone = svgEl.cloneNode(true);
+  const [, , w, h] = (clone.getAttribute("viewBox") || "0 0 560 240").split(/\s+/).map(Number);
+  clone.setAttribute("width", w);
+  clone.setAttribute("height", h);
+  const bg = document.createElementNS("http://www.w3.org/2000/svg", "rect");
+  bg.setAttribute("width", "100%");
+  bg.setAttribute("height", "100%");
+  bg.setAttribute("fill", EXPORT_BACKGROUND);
+  clone.insertBefore(bg, clone.firstChild);
+  return { markup: new XMLSerializer().serializeToString(clone), width: w, height: h };
+}
+
+function chartSvgBlob(svgEl) {
+  return new Blob([standaloneSvg(svgEl).markup], { type: "image/svg+xml" });
+}
+
+// Rasterized at 2x so the PNG stays sharp on slides.
+function chartPngBlob(svgEl, scale = 2) {
+  const { markup, width, height } = standaloneSvg(svgEl);
+  const url = URL.createObjectURL(new Blob([markup], { type: "image/svg+xml" }));
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => {
+      const canvas = document.createElement("canvas");
+      canvas.width = width * scale;
+      canvas.height = height * scale;
+      const ctx = canvas.getContext("2d");
+      ctx.scale(scale, scale);
+      ctx.drawImage(img, 0, 0, width, height);
+      URL.revokeObjectURL(url);
+      canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error("PNG encoding failed"))), "image/png");
+    };
+    img.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error("Chart could not be rasterized"));
+    };
+    img.src = url;
+  });
+}
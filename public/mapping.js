@@ -0,0 +1,222 @@
+/* ============================
+   Column auto-mapping + type checks (shared by browser + server)
+============================ */
+// Column names are reduced to concepts (documentation, minutes, baseline, …) and
+// scored against each telemetry field; sampled values then rule out columns whose
+// content cannot be the field (text in a minutes column, NPS of 3000).
+(function (root) {
+  const FIELDS = {
+    provider_id: { concepts: ["provider", "id"], type: "id" },
+    specialty: { concepts: ["specialty"], type: "text" },
+    encounters: { concepts: ["encounters"], type: "number", min: 0, max: 1e7 },
+    encounters_per_day_before: { concepts: ["encounters", "per_day", "before"], type: "number", min: 0, max: 200 },
+    encounters_per_day_after: { concepts: ["encounters", "per_day", "after"], type: "number", min: 0, max: 200 },
+    doc_minutes_before: { concepts: ["doc", "minutes", "before"], type: "number", min: 0, max: 1440, neutral: ["per_day"] },
+    doc_minutes_after: { concepts: ["doc", "minutes", "after"], type: "number", min: 0, max: 1440, neutral: ["per_day"] },
+    after_hours_minutes_before: { concepts: ["after_hours", "minutes", "before"], type: "number", min: 0, max: 1440, neutral: ["per_day"] },
+    after_hours_minutes_after: { concepts: ["after_hours", "minutes", "after"], type: "number", min: 0, max: 1440, neutral: ["per_day"] },
+    adoption_rate: { concepts: ["adoption", "rate"], type: "number", min: 0, max: 100 },
+    nps: { concepts: ["nps"], type: "number", min: -100, max: 100 },
+    cohort: { concepts: ["cohort"], type: "label", maxLabels: 6 },
+    period: { concepts: ["period"], type: "period" }
+  };
+
+  // Multi-word phrases first, so "after hours minutes after" is one after-hours concept plus "after".
+  const PHRASES = [
+    [/\b(pajama time|time outside (of )?scheduled( hours)?)\b/g, " after_hours minutes "],
+    [/\b(after ?hours?|after ?hrs|outside (of )?scheduled( hours)?|off ?hours|evening)\b/g, " after_hours "],
+    [/\b(per (provider |clinician )?day|daily|pd)\b/g, " per_day "],
+    [/\b(net promoter( score)?)\b/g, " nps "],
+    [/\b(service line)\b/g, " specialty "],
+    [/\b(time in notes?)\b/g, " doc minutes "]
+  ];
+
+  const TOKENS = {
+    provider: ["provider", "prov", "clinician", "physician", "doctor", "user", "author", "ser", "prv"],
+    id: ["id", "key", "hash", "hashed", "identifier"],
+    specialty: ["specialty", "spec", "specialities", "specialties", "dept", "department"],
+    encounters: ["encounters", "encounter", "enc", "visits", "visit", "appointments", "appointment", "appts", "appt"],
+    doc: ["doc", "docs", "documentation", "documenting", "notes", "note", "charting", "chart", "ehr"],
+    minutes: ["minutes", "minute", "min", "mins", "time", "duration"],
+    before: ["before", "baseline", "base", "pre", "prior", "bl", "t0"],
+    after: ["after", "post", "current", "followup", "t1", "suki"],
+    adoption: ["adoption", "utilization", "usage", "uptake", "active"],
+    rate: ["rate", "pct", "percent", "percentage", "share"],
+    nps: ["nps"],
+    cohort: ["cohort", "group", "arm", "adopter", "adopters", "comparison", "control", "treatment"],
+    period: ["period", "week", "month", "quarter", "qtr", "date", "wk", "mo", "reporting"],
+    after_hours: ["after_hours"],
+    per_day: ["per_day"]
+  };
+  const TOKEN_CONCEPT = new Map(Object.entries(TOKENS).flatMap(([concept, words]) => words.map((w) => [w, concept])));
+  // NPI is both halves of a provider identifier.
+  TOKEN_CONCEPT.set("npi", ["provider", "id"]);
+
+  function normalize(column) {
+    return String(column)
+      .replace(/([a-z])([A-Z])/g, "$1 $2")
+      .toLowerCase()
+      .replace(/%/g, " pct ")
+      .replace(/[^a-z0-9]+/g, " ")
+      .trim();
+  }
+
+  function conceptsOf(column) {
+    let s = ` ${normalize(column)} `;
+    for (const [re, to] of PHRASES) s = s.replace(re, to);
+    const concepts = new Set();
+    let unknown = 0;
+    for (const tok of s.split(/\s+/).filter(Boolean)) {
+      const c = TOKEN_CONCEPT.get(tok);
+      if (!c) unknown++;
+      else for (const x of [].concat(c)) concepts.add(x);
+    }
+    return { concepts, unknown };
+  }
+
+  // 0–1: share of the field's concepts present, less a penalty for concepts that
+  // point at another field (baseline vs post) and a small one for unrecognized words.
+  const isExact = (field, column) => normalize(column).replace(/ /g, "_") === field;
+
+  function scoreColumn(field, column) {
+    const spec = FIELDS[field];
+    if (isExact(field, column)) return 1;
+    const { concepts, unknown } = conceptsOf(column);
+    const wanted = spec.concepts;
+    const hits = wanted.filter((c) => concepts.has(c)).length;
+    if (!hits) return 0;
+    // "Provider" qualifies most column names; minutes are per day by default.
+    const neutral = new Set([...(spec.neutral || []), ...(field === "provider_id" ? [] : ["provider"])]);
+    const extra = [...concepts].filter((c) => !wanted.includes(c) && !neutral.has(c)).length;
+    const score = hits / wanted.length - 0.3 * extra - 0.05 * Math.min(unknown, 4);
+    return Math.max(0, Math.min(1, Number(score.toFixed(2))));
+  }
+
+  // Same rules as the server's parseNum: blanks are missing, "1,234" is 1234.
+  function toNumber(x) {
+    if (x == null) return null;
+    if (typeof x === "number") return Number.isFinite(x) ? x : null;
+    let s = String(x).trim();
+    if (!s) return null;
+    if (/^-?\d{1,3}(,\d{3})+(\.\d+)?$/.test(s)) s = s.replace(/,/g, "");
+    const n = Number(s);
+    return Number.isFinite(n) ? n : null;
+  }
+
+  const MONTHS = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+  const pad = (n) => String(n).padStart(2, "0");
+
+  /**
+   * Reporting period as a sortable key: "2024-03-04" (day), "2024-03" (month),
+   * "2024-W09" (ISO week) or "2024-Q1". Slash dates are read month-first. Null if unreadable.
+   */
+  function toPeriod(x) {
+    const s = String(x ?? "").trim();
+    let m;
+    if ((m = s.match(/^(\d{4})-(\d{1,2})-(\d{1,2})(?:[T ].*)?$/))) return `${m[1]}-${pad(m[2])}-${pad(m[3])}`;
+    if ((m = s.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/))) return `${m[3]}-${pad(m[1])}-${pad(m[2])}`;
+    if ((m = s.match(/^(\d{4})[-/](\d{1,2})$/)) && +m[2] >= 1 && +m[2] <= 12) return `${m[1]}-${pad(m[2])}`;
+    if ((m = s.match(/^(\d{4})[- ]?W(\d{1,2})$/i)) && +m[2] >= 1 && +m[2] <= 53) return `${m[1]}-W${pad(m[2])}`;
+    if ((m = s.match(/^(\d{4})[- ]?Q([1-4])$/i))) return `${m[1]}-Q${m[2]}`;
+    if ((m = s.match(/^([a-z]{3})[a-z]*\.?[ -](\d{4})$/i)) && MONTHS.includes(m[1].toLowerCase())) {
+      return `${m[2]}-${pad(MONTHS.indexOf(m[1].toLowerCase()) + 1)}`;
+    }
+    return null;
+  }
+
+  /**
+   * Checks sampled values of one column against a field's expected content.
+   * Returns null when they fit (or there is nothing to check), else a short problem.
+   */
+  function checkColumn(field, column, rows) {
+    const spec = FIELDS[field];
+    const values = (rows || []).map((r) => r?.[column]).filter((v) => v != null && String(v).trim() !== "");
+    if (!spec || !values.length || spec.type === "id") return null;
+
+    const nums = values.map(toNumber);
+    const numeric = nums.filter((n) => n != null);
+    const share = numeric.length / values.length;
+
+    if (spec.type === "text") {
+      return share >= 0.9 ? `"${column}" holds numbers, not specialty names` : null;
+    }
+    if (spec.type === "period") {
+      const read = values.filter((v) => toPeriod(v) != null).length / values.length;
+      return read < 0.9 ? `"${column}" does not hold dates, months, ISO weeks or quarters (e.g. "${String(values.find((v) => toPeriod(v) == null)).slice(0, 24)}")` : null;
+    }
+    // Cohort labels may be 0/1, but a handful of distinct values at most.
+    if (spec.type === "label") {
+      const labels = new Set(values.map((v) => String(v).trim().toLowerCase()));
+      return labels.size > spec.maxLabels ? `"${column}" has ${labels.size} distinct values; a cohort column holds a few group labels` : null;
+    }
+    if (share < 0.9) {
+      const example = values.find((v, i) => nums[i] == null);
+      return `only ${Math.round(share * 100)}% of sampled "${column}" values are numeric (e.g. "${String(example).slice(0, 24)}")`;
+    }
+    const outside = numeric.filter((n) => n < spec.min || n > spec.max);
+    if (outside.length / numeric.length > 0.1) {
+      return `"${column}" has values outside ${spec.min}–${spec.max} (e.g. ${outside[0]})`;
+    }
+    return null;
+  }
+
+  /** Every mapped field whose sampled content does not fit: [{ field, column, problem }]. */
+  function checkMapping(mapping, rows) {
+    const issues = [];
+    for (const [field, column] of Object.entries(mapping || {})) {
+      if (!column || !FIELDS[field]) continue;
+      const problem = checkColumn(field, column, rows);
+      if (problem) issues.push({ field, column, problem });
+    }
+    return issues;
+  }
+
+  const MIN_CONFIDENCE = 0.6;
+
+  /**
+   * Proposes a mapping for the given columns. profile.columns ({ field: [names] })
+   * names and exact field keys win (confidence 1); everything else is scored fuzzily.
+   * With sample rows, candidates failing the content check are skipped.
+   * Returns { mapping, fields: { [field]: { column, confidence, source, problem? } } }.
+   */
+  function autoMap(columns, { profile = null, rows = null } = {}) {
+    const cols = [...new Set(columns || [])];
+    const byNorm = new Map(cols.map((c) => [normalize(c), c]));
+    const candidates = [];
+
+    for (const field of Object.keys(FIELDS)) {
+      for (const name of [].concat(profile?.columns?.[field] || [])) {
+        const column = byNorm.get(normalize(name));
+        if (column) candidates.push({ field, column, confidence: 1, source: "profile" });
+      }
+      for (const column of cols) {
+        const confidence = scoreColumn(field, column);
+        if (confidence >= MIN_CONFIDENCE) candidates.push({ field, column, confidence, source: isExact(field, column) ? "exact" : "fuzzy" });
+      }
+    }
+
+    // Best pairs first; each field and each column is used once.
+    const rank = { profile: 2, exact: 1, fuzzy: 0 };
+    candidates.sort((a, b) => b.confidence - a.confidence || rank[b.source] - rank[a.source]);
+    const mapping = Object.fromEntries(Object.keys(FIELDS).map((f) => [f, ""]));
+    const fields = {};
+    const rejected = {};
+    const used = new Set();
+    for (const c of candidates) {
+      if (mapping[c.field] || used.has(c.column)) continue;
+      const problem = rows ? checkColumn(c.field, c.column, rows) : null;
+      if (problem) {
+        rejected[c.field] ||= { column: c.column, confidence: c.confidence, source: c.source, problem };
+        continue;
+      }
+      mapping[c.field] = c.column;
+      fields[c.field] = { column: c.column, confidence: c.confidence, source: c.source };
+      used.add(c.column);
+    }
+    for (const [field, r] of Object.entries(rejected)) if (!mapping[field]) fields[field] = { ...r, column: "", rejectedColumn: r.column };
+
+    return { mapping, fields };
+  }
+
+  root.SukiMapping = { FIELDS, scoreColumn, checkColumn, checkMapping, autoMap, toPeriod };
+})(globalThis);
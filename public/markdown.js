@@ -0,0 +1,141 @@
+/* ============================
+   Safe Markdown (shared by browser + server exports)
+============================ */
+// Supports only headers, bullet/numbered lists, **bold** and pipe tables.
+// Output is built from parsed tokens with every text run escaped, so any HTML
+// (or other Markdown) the model emits is shown as literal text, never executed.
+(function (root) {
+  function escapeHtml(s) {
+    return String(s)
+      .replaceAll("&", "&amp;")
+      .replaceAll("<", "&lt;")
+      .replaceAll(">", "&gt;")
+      .replaceAll('"', "&quot;")
+      .replaceAll("'", "&#39;");
+  }
+
+  // Inline runs: [{ text, bold }]
+  function parseInline(text) {
+    const runs = [];
+    const re = /\*\*(.+?)\*\*|__(.+?)__/g;
+    let last = 0;
+    let m;
+    while ((m = re.exec(text))) {
+      if (m.index > last) runs.push({ text: text.slice(last, m.index), bold: false });
+      runs.push({ text: m[1] ?? m[2], bold: true });
+      last = re.lastIndex;
+    }
+    if (last < text.length) runs.push({ text: text.slice(last), bold: false });
+    return runs;
+  }
+
+  const TABLE_ROW = /^\s*\|.*\|\s*$/;
+  const TABLE_RULE = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+
+  function splitRow(line) {
+    return line.trim().replace(/^\|/, "").replace(/\|$/, "").split("|").map((c) => parseInline(c.trim()));
+  }
+
+  /**
+   * Parses Markdown into blocks:
+   * { type: "heading", level, runs } | { type: "list", ordered, items: [runs] }
+   * { type: "table", header: [runs], rows: [[runs]] } | { type: "paragraph", runs }
+   */
+  function parseMarkdown(src) {
+    const lines = String(src || "").replace(/\r\n?/g, "\n").split("\n");
+    const blocks = [];
+    let para = [];
+
+    const flushPara = () => {
+      if (para.length) blocks.push({ type: "paragraph", runs: parseInline(para.join(" ")) });
+      para = [];
+    };
+
+    for (let i = 0; i < lines.length; i++) {
+      const line = lines[i];
+      const trimmed = line.trim();
+
+      if (!trimmed) {
+        flushPara();
+        continue;
+      }
+
+      const heading = trimmed.match(/^(#{1,6})\s+(.*?)\s*#*$/);
+      if (heading) {
+        flushPara();
+        blocks.push({ type: "heading", level: heading[1].length, runs: parseInline(heading[2]) });
+        continue;
+      }
+
+      const bullet = trimmed.match(/^[-*•]\s+(.*)$/);
+      const numbered = trimmed.match(/^\d+[.)]\s+(.*)$/);
+      if (bullet || numbered) {
+        flushPara();
+        const ordered = Boolean(numbered);
+        const prev = blocks[blocks.length - 1];
+        const list = prev && prev.type === "list" && prev.ordered === ordered && prev.open ? prev : null;
+        const item = parseInline((bullet || numbered)[1]);
+        if (list) list.items.push(item);
+        else blocks.push({ type: "list", ordered, items: [item], open: true });
+        continue;
+      }
+
+      if (TABLE_ROW.test(line) && i + 1 < lines.length && TABLE_RULE.test(lines[i + 1])) {
+        flushPara();
+        const table = { type: "table", header: splitRow(line), rows: [] };
+        i += 2;
+        while (i < lines.length && TABLE_ROW.test(lines[i])) table.rows.push(splitRow(lines[i++]));
+        i--;
+        blocks.push(table);
+        continue;
+      }
+
+      // Any other line closes an open list and joins the current paragraph.
+      const prev = blocks[blocks.length - 1];
+      if (prev && prev.type === "list") prev.open = false;
+      para.push(trimmed);
+    }
+    flushPara();
+
+    for (const b of blocks) delete b.open;
+    return blocks;
+  }
+
+  const runsHtml = (runs) => runs.map((r) => (r.bold ? `<strong>${escapeHtml(r.text)}</strong>` : escapeHtml(r.text))).join("");
+  const runsText = (runs) => runs.map((r) => r.text).join("");
+
+  function renderMarkdownHtml(src) {
+    return parseMarkdown(src)
+      .map((b) => {
+        if (b.type === "heading") {
+          // Narrative cards already carry a title, so the largest allowed heading is h3.
+          const level = Math.min(6, Math.max(3, b.level + 2));
+          return `<h${level}>${runsHtml(b.runs)}</h${level}>`;
+        }
+        if (b.type === "list") {
+          const tag = b.ordered ? "ol" : "ul";
+          return `<${tag}>${b.items.map((it) => `<li>${runsHtml(it)}</li>`).join("")}</${tag}>`;
+        }
+        if (b.type === "table") {
+          const head = `<thead><tr>${b.header.map((c) => `<th>${runsHtml(c)}</th>`).join("")}</tr></thead>`;
+          const body = `<tbody>${b.rows.map((r) => `<tr>${r.map((c) => `<td>${runsHtml(c)}</td>`).join("")}</tr>`).join("")}</tbody>`;
+          return `<table>${head}${body}</table>`;
+        }
+        return `<p>${runsHtml(b.runs)}</p>`;
+      })
+      .join("\n");
+  }
+
+  function renderMarkdownText(src) {
+    return parseMarkdown(src)
+      .map((b) => {
+        if (b.type === "heading") return runsText(b.runs).toUpperCase();
+        if (b.type === "list") return b.items.map((it, i) => `${b.ordered ? `${i + 1}.` : "•"} ${runsText(it)}`).join("\n");
+        if (b.type === "table") return [b.header, ...b.rows].map((r) => r.map(runsText).join(" | ")).join("\n");
+        return runsText(b.runs);
+      })
+      .join("\n\n");
+  }
+
+  root.SukiMarkdown = { parseMarkdown, parseInline, renderMarkdownHtml, renderMarkdownText, runsText };
+})(globalThis);
@@ -0,0 +1,175 @@
+/* ============================
+   PHI scanner (shared by browser + server)
+============================ */
+// Pattern-based: catches the identifiers that most often leak into telemetry
+// extracts and free text. It is a guard rail, not a de-identification guarantee.
+(function (root) {
+  // NPIs carry a Luhn check digit over "80840" + the first nine digits.
+  function isNpi(digits) {
+    if (!/^[12]\d{9}$/.test(digits)) return false;
+    const s = "80840" + digits;
+    let sum = 0;
+    for (let i = 0; i < s.length; i++) {
+      let d = Number(s[s.length - 1 - i]);
+      if (i % 2 === 1) {
+        d *= 2;
+        if (d > 9) d -= 9;
+      }
+      sum += d;
+    }
+    return sum % 10 === 0;
+  }
+
+  const MONTH = "(?:jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec)[a-z]*\\.?";
+  const STREET = "(?:[Ss]treet|St|[Aa]venue|Ave|[Rr]oad|Rd|[Bb]oulevard|Blvd|[Ll]ane|Ln|[Dd]rive|Dr|[Cc]ourt|Ct|[Ww]ay|[Pp]lace|Pl|[Pp]arkway|Pkwy)";
+  const DATE = `(?:\\d{1,2}/\\d{1,2}/\\d{2,4}|\\d{4}-\\d{2}-\\d{2}|${MONTH}\\s+\\d{1,2},\\s+\\d{4})`;
+
+  const TEXT_PATTERNS = [
+    { type: "email", re: /\b[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}\b/gi },
+    { type: "ssn", re: /\b\d{3}-\d{2}-\d{4}\b/g },
+    { type: "mrn", re: /\b(?:MRN|medical record(?: number| no\.?)?)\s*[:#]?\s*[A-Z0-9-]{4,}\b/gi },
+    {
+      type: "dob",
+      re: new RegExp(`\\b(?:DOB|D\\.O\\.B\\.|date of birth|born(?: on)?)\\s*[:\\-]?\\s*(?:\\d{1,4}[/.-]\\d{1,2}[/.-]\\d{1,4}|${MONTH}\\s+\\d{1,2},?\\s+\\d{4})`, "gi")
+    },
+    { type: "phone", re: /(?:\+?1[\s.-]?)?(?:\(\d{3}\)\s?|\b\d{3}[\s.-])\d{3}[\s.-]\d{4}\b/g },
+    { type: "npi", re: /\b[12]\d{9}\b/g, valid: isNpi },
+    { type: "address", re: new RegExp(`\\b\\d{1,5}\\s+(?:[A-Z][a-z]+\\s+){1,3}${STREET}\\b\\.?`, "g") },
+    // Honorific + name, or a labelled "Patient: Jane Doe". Bare "Patient Experience" is fine.
+    {
+      type: "name",
+      re: /\b(?:(?:Mr|Mrs|Ms|Miss|MR|MRS|MS)\.?\s+[A-Z][a-z]+(?:\s+[A-Z][a-z]+)?|(?:[Pp]atient|PATIENT|[Pp]t|PT)(?:\s+[Nn]ame)?\s*[:\-]\s*[A-Z][a-z]+(?:\s+[A-Z][a-z]+)?)\b/g
+    },
+    // In prose, a full date is only PHI when it is tied to a patient encounter
+    // ("seen 2024-02-11"); "EHR upgrade on 2023-05-01" is not.
+    {
+      type: "date",
+      re: new RegExp(`\\b(?:seen|visit(?:ed)?|admi(?:tted|ssion)|discharge[d]?|DOS|date of service|encounter)\\b[^.\\n]{0,20}?${DATE}\\b`, "gi")
+    }
+  ];
+
+  // In an upload cell any full date (day precision) is treated as a date of service;
+  // months and years ("2024-03") are not identifying.
+  const CELL_PATTERNS = [...TEXT_PATTERNS.filter((p) => p.type !== "date"), { type: "date", re: new RegExp(`\\b${DATE}\\b`, "gi") }];
+
+  const COLUMN_PATTERNS = [
+    { type: "name", re: /(^|_|\b)(patient|member|guarantor|pt)_?(full_?)?name|^(first|last|full|given|family)_?name$|^name$/i },
+    { type: "mrn", re: /(^|_)(mrn|medical_?record|chart_?(no|num|number))(_|$)/i },
+    { type: "dob", re: /(^|_)(dob|birth_?date|date_?of_?birth|birthday)(_|$)/i },
+    { type: "ssn", re: /(^|_)(ssn|social_?security)(_|$)/i },
+    { type: "phone", re: /(^|_)(phone|mobile|cell|fax|telephone)(_|$)/i },
+    { type: "email", re: /(^|_)e_?mail(_|$)/i },
+    { type: "address", re: /(^|_)(address|street|addr|zip_?code|postal_?code)(_|$)/i },
+    { type: "npi", re: /(^|_)npi(_|$)/i },
+    { type: "date", re: /(^|_)(dos|date_?of_?service|service_?date|visit_?date|encounter_?date|admit_?date|discharge_?date)(_|$)/i }
+  ];
+
+  const normColumn = (c) => String(c).trim().replace(/[\s-]+/g, "_");
+
+  // Keeps a hint of the shape without echoing the identifier back.
+  function maskValue(s) {
+    const str = String(s);
+    if (str.length <= 2) return "••";
+    return str[0] + str.slice(1, -1).replace(/[A-Za-z0-9]/g, "•") + str[str.length - 1];
+  }
+
+  /** Finds PHI-looking substrings: [{ type, preview, index }]. cell: text is an upload value, not prose. */
+  function scanText(text, { cell = false } = {}) {
+    const str = String(text ?? "");
+    if (!str) return [];
+    const hits = [];
+    for (const p of cell ? CELL_PATTERNS : TEXT_PATTERNS) {
+      for (const m of str.matchAll(p.re)) {
+        if (p.valid && !p.valid(m[0])) continue;
+        // One finding per span: phone digits inside an SSN or a date inside a DOB.
+        if (hits.some((h) => m.index < h.index + h.length && h.index < m.index + m[0].length)) continue;
+        hits.push({ type: p.type, preview: maskValue(m[0]), index: m.index, length: m[0].length });
+      }
+    }
+    return hits.sort((a, b) => a.index - b.index).map(({ type, preview, index }) => ({ type, preview, index }));
+  }
+
+  function redactText(text) {
+    let out = String(text ?? "");
+    for (const p of TEXT_PATTERNS) {
+      out = out.replace(p.re, (m) => (p.valid && !p.valid(m) ? m : `[${p.type.toUpperCase()} REDACTED]`));
+    }
+    return out;
+  }
+
+  /**
+   * Column names that identify patients: [{ column, type }]. periods: mapped
+   * reporting-period columns, whose dates aggregate many encounters rather than date one.
+   */
+  function scanColumns(columns, { exempt = [], periods = [] } = {}) {
+    const skip = new Set(exempt);
+    const period = new Set(periods);
+    const out = [];
+    for (const column of columns || []) {
+      if (skip.has(column)) continue;
+      const hit = COLUMN_PATTERNS.find((p) => p.re.test(normColumn(column)) && !(p.type === "date" && period.has(column)));
+      if (hit) out.push({ column, type: hit.type });
+    }
+    return out;
+  }
+
+  // Plain numeric metric cells are by far the most common and cannot hold PHI.
+  const PLAIN_NUMBER = /^\s*-?\d{1,6}(\.\d+)?\s*$/;
+
+  /**
+   * Row-by-row scanner for uploads. exempt: columns (e.g. provider IDs) that are
+   * hashed before use; periods: columns whose dates are not flagged (see scanColumns). report() →
+   * { clean, rows_scanned, rows_flagged, counts, columns: [{ column, type }], rows: [{ row, column, type, preview }] }
+   */
+  function createPhiScanner({ columns = [], exempt = [], periods = [], maxRows = 50 } = {}) {
+    const skip = new Set(exempt);
+    const period = new Set(periods);
+    const flaggedColumns = scanColumns(columns, { exempt, periods });
+    const counts = {};
+    const rows = [];
+    let rowsScanned = 0;
+    let rowsFlagged = 0;
+    // Category columns (specialty, site…) repeat the same few values on every row.
+    const cache = new Map();
+    const scanCell = (value) => {
+      let hits = cache.get(value);
+      if (!hits) {
+        hits = scanText(value, { cell: true });
+        if (cache.size < 20000) cache.set(value, hits);
+      }
+      return hits;
+    };
+
+    for (const c of flaggedColumns) counts[c.type] = (counts[c.type] || 0) + 1;
+
+    return {
+      scanRow(row, rowNumber) {
+        rowsScanned++;
+        let flagged = false;
+        for (const [column, value] of Object.entries(row || {})) {
+          if (skip.has(column) || value == null || value === "") continue;
+          if (typeof value === "number" || typeof value === "boolean" || PLAIN_NUMBER.test(value)) continue;
+          for (const hit of scanCell(typeof value === "object" ? JSON.stringify(value) : String(value))) {
+            if (hit.type === "date" && period.has(column)) continue;
+            flagged = true;
+            counts[hit.type] = (counts[hit.type] || 0) + 1;
+            if (rows.length < maxRows) rows.push({ row: rowNumber, column, type: hit.type, preview: hit.preview });
+          }
+        }
+        if (flagged) rowsFlagged++;
+      },
+      report() {
+        return {
+          clean: !flaggedColumns.length && !rowsFlagged,
+          rows_scanned: rowsScanned,
+          rows_flagged: rowsFlagged,
+          counts,
+          columns: flaggedColumns,
+          rows
+        };
+      }
+    };
+  }
+
+  root.SukiPhi = { scanText, redactText, scanColumns, createPhiScanner, maskValue };
+})(globalThis);
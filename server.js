@@ -2,13 +2,59 @@ import "dotenv/config";
 import express from "express";
 import path from "path";
 import { fileURLToPath } from "url";
-import OpenAI from "openai";
+import { anySignal, clamp, httpError, money, parseJsonSafely, parseModelJson, safeNum } from "./lib/util.js";
+import { computeFinancials } from "./lib/financials.js";
+import { deleteAudience, describeAudiences, listAudiences, narrativesSchema, resolveAudiences, saveAudience } from "./lib/audiences.js";
+import {
+  SESSION_COOKIE,
+  bootstrapAuth,
+  createToken,
+  createUser,
+  deleteUser,
+  deleteWorkspace,
+  hasRole,
+  identify,
+  listTokens,
+  listUsers,
+  listWorkspaces,
+  login,
+  logout,
+  needsSetup,
+  publicUser,
+  resolveWorkspace,
+  revokeToken,
+  saveWorkspace,
+  selectWorkspace,
+  setupAdmin,
+  updateUser
+} from "./lib/auth.js";
+import { exportAuditLog, findProvenance, listAuditEntries, recordGeneration, verifyAuditLog } from "./lib/audit.js";
+import { bundleBatch, createBatchRunner, parseBatchInput } from "./lib/batch.js";
+import { checkClaims, correctionPrompt } from "./lib/claims.js";
+import { diffRuns } from "./lib/diff.js";
+import { fillFromTemplate } from "./lib/fallback.js";
+import { exportRun, validatePostedRun } from "./lib/exports/index.js";
+import { resolveLocale } from "./lib/locale.js";
+import { deleteMappingProfile, listMappingProfiles, resolveMappingProfile, saveMappingProfile } from "./lib/mapping.js";
+import { describeScenarioAnalysis, runScenarioAnalysis } from "./lib/scenarios.js";
+import { describeSimulation, runSimulation } from "./lib/simulation.js";
+import { scanTranslatePayload } from "./lib/phi.js";
+import { getPrompt, listPrompts, renderPrompt } from "./lib/prompts.js";
+import { createProvider } from "./lib/providers/index.js";
+import { getRun, listCustomers, listRuns, runWorkspace, saveRun } from "./lib/store.js";
+import { createJsonFieldScanner, openSse } from "./lib/stream.js";
+import { describeTelemetryEvidence, ingestTelemetry } from "./lib/telemetry.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const app = express();
-app.use(express.json({ limit: "2mb" }));
+
+const TELEMETRY_PATH = "/api/suki-value-intelligence/telemetry";
+
+// Telemetry uploads are streamed by their own route, so keep the JSON body parser off them.
+const jsonBody = express.json({ limit: "2mb" });
+app.use((req, res, next) => (req.path === TELEMETRY_PATH ? next() : jsonBody(req, res, next)));
 
 /* ============================
    Static Frontend
@@ -21,103 +67,208 @@ app.get("/", (req, res) => {
 const PORT = process.env.PORT || 3000;
 
 /* ============================
-   OpenAI Setup
+   Authentication + Workspaces
 ============================ */
-if (!process.env.OPENAI_API_KEY) {
-  console.warn("⚠️ OPENAI_API_KEY not set. Add it to .env (local) or Render env vars.");
+// Every API route needs a session cookie (browser) or "Authorization: Bearer <token>"
+// (scripts). Roles rank viewer < csm < admin; each request acts in one workspace,
+// picked with the X-Workspace header or ?workspace=, else the session's selection.
+const API_PATH = "/api/suki-value-intelligence";
+// Reachable signed out: the sign-in screen needs these.
+const PUBLIC_API = new Set(["/auth/status", "/auth/login", "/auth/setup"]);
+
+function sendAuthError(res, err) {
+  const status = err?.expose ? err.status : 500;
+  if (status >= 500) console.error("❌ Auth error:", err);
+  res.status(status).json({
+    ok: false,
+    error: status === 401 ? "Authentication required" : status === 403 ? "Forbidden" : "Account request failed",
+    message: err?.message || "Unknown error",
+    details: err?.expose ? err.details : undefined
+  });
 }
 
-const client = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
-const MODEL = process.env.OPENAI_MODEL || "gpt-4.1-mini";
+app.use(API_PATH, (req, res, next) => {
+  if (PUBLIC_API.has(req.path)) return next();
+  const auth = identify(req);
+  if (!auth) return sendAuthError(res, httpError(401, "Sign in or send an API token."));
+  try {
+    auth.workspace = resolveWorkspace(auth, req.get("X-Workspace") || req.query.workspace);
+  } catch (err) {
+    // A user without workspaces can still see who they are and sign out.
+    if (!req.path.startsWith("/auth/")) return sendAuthError(res, err);
+    auth.workspace = null;
+  }
+  req.auth = auth;
+  next();
+});
 
-/* ============================
-   Helpers
-============================ */
-function safeNum(x, fallback = 0) {
-  const n = Number(x);
-  return Number.isFinite(n) ? n : fallback;
+const requireRole = (role) => (req, res, next) =>
+  hasRole(req.auth.user, role) ? next() : sendAuthError(res, httpError(403, `This needs the ${role} role.`));
+
+// Who and where a generated run is recorded under.
+const runContext = (req) => ({
+  workspace: req.auth.workspace,
+  createdBy: { id: req.auth.user.id, username: req.auth.user.username, via: req.auth.via }
+});
+
+function setSessionCookie(res, { token, maxAgeMs }) {
+  res.cookie(SESSION_COOKIE, token, {
+    httpOnly: true,
+    sameSite: "strict",
+    secure: process.env.COOKIE_SECURE === "true",
+    maxAge: maxAgeMs,
+    path: "/"
+  });
 }
 
-function clamp(n, min, max) {
-  return Math.min(max, Math.max(min, n));
+function describeSession(auth) {
+  return {
+    user: publicUser(auth.user),
+    via: auth.via,
+    workspace: auth.workspace,
+    workspaces: listWorkspaces(auth.user)
+  };
 }
 
-function money(n) {
+app.get(`${API_PATH}/auth/status`, (req, res) => {
+  res.json({ ok: true, setupRequired: needsSetup(), signedIn: Boolean(identify(req)) });
+});
+
+// First run only: creates the admin account and signs it in.
+app.post(`${API_PATH}/auth/setup`, async (req, res) => {
   try {
-    return `$${Math.round(n).toLocaleString()}`;
-  } catch {
-    return `$${Math.round(n)}`;
+    const body = req.body || {};
+    await setupAdmin(body);
+    const session = await login(body.username, body.password);
+    setSessionCookie(res, session);
+    res.status(201).json({ ok: true, user: session.user });
+  } catch (err) {
+    sendAuthError(res, err);
   }
-}
+});
 
-function computeFinancials(input) {
-  // Conservative defaults; illustrative unless telemetry validates
-  const physicians = clamp(safeNum(input.physicianCount, 1), 1, 200000);
-  const timeSaved = clamp(safeNum(input.timeSavedHrsPerDay, 0), 0, 8);
-  const patientIncrease = clamp(safeNum(input.patientIncreasePerDay, 0), 0, 30);
+app.post(`${API_PATH}/auth/login`, async (req, res) => {
+  try {
+    const session = await login(req.body?.username, req.body?.password);
+    setSessionCookie(res, session);
+    res.json({ ok: true, user: session.user });
+  } catch (err) {
+    sendAuthError(res, err);
+  }
+});
 
-  const fullyLoadedPhysicianRate = clamp(
-    safeNum(input.assumptions?.physicianHourlyRate, 200),
-    80,
-    600
-  );
-  const reimbursementPerVisit = clamp(
-    safeNum(input.assumptions?.reimbursementPerVisit, 150),
-    40,
-    1000
-  );
-  const sukiCostPerPhysicianPerMonth = clamp(
-    safeNum(input.assumptions?.sukiCostPerPhysicianPerMonth, 300),
-    50,
-    2000
-  );
+app.post(`${API_PATH}/auth/logout`, (req, res) => {
+  logout(req.auth.sessionToken);
+  res.clearCookie(SESSION_COOKIE, { path: "/" });
+  res.json({ ok: true });
+});
 
-  const workDays = clamp(safeNum(input.assumptions?.workDaysPerYear, 250), 180, 365);
+app.get(`${API_PATH}/auth/me`, (req, res) => {
+  res.json({ ok: true, ...describeSession(req.auth) });
+});
 
-  const annualLaborValue = physicians * timeSaved * fullyLoadedPhysicianRate * workDays;
-  const annualRevenueUplift = physicians * patientIncrease * reimbursementPerVisit * workDays;
+// Body: { workspace }. Sessions only; API tokens send X-Workspace per request.
+app.post(`${API_PATH}/auth/workspace`, (req, res) => {
+  try {
+    req.auth.workspace = selectWorkspace(req.auth, String(req.body?.workspace || ""));
+    res.json({ ok: true, ...describeSession(req.auth) });
+  } catch (err) {
+    sendAuthError(res, err);
+  }
+});
 
-  const annualSukiCost = physicians * sukiCostPerPhysicianPerMonth * 12;
-  const annualTotalValue = annualLaborValue + annualRevenueUplift;
-  const roiX = annualSukiCost > 0 ? annualTotalValue / annualSukiCost : null;
+/* ---------- API tokens ---------- */
+app.get(`${API_PATH}/auth/tokens`, (req, res) => {
+  res.json({ ok: true, tokens: listTokens(req.auth.user.id) });
+});
 
-  return {
-    assumptionsUsed: {
-      fullyLoadedPhysicianRate,
-      reimbursementPerVisit,
-      sukiCostPerPhysicianPerMonth,
-      workDays
-    },
-    annualLaborValue,
-    annualRevenueUplift,
-    annualSukiCost,
-    annualTotalValue,
-    roiX
-  };
-}
+// The token value is in this response only.
+app.post(`${API_PATH}/auth/tokens`, async (req, res) => {
+  try {
+    res.status(201).json({ ok: true, token: await createToken(req.auth.user.id, req.body?.name) });
+  } catch (err) {
+    sendAuthError(res, err);
+  }
+});
 
-/* ============================
-   Robust parsing for Responses API
-============================ */
-function getResponseText(resp) {
-  // Works across SDK versions
-  return resp?.output_text || "";
-}
+app.delete(`${API_PATH}/auth/tokens/:id`, async (req, res) => {
+  try {
+    await revokeToken(req.auth.user.id, req.params.id, { any: hasRole(req.auth.user, "admin") });
+    res.json({ ok: true });
+  } catch (err) {
+    sendAuthError(res, err);
+  }
+});
+
+/* ---------- Users (admin) ---------- */
+app.get(`${API_PATH}/users`, requireRole("admin"), (req, res) => {
+  res.json({ ok: true, users: listUsers() });
+});
+
+// Body: { username, password, name?, role?, workspaces? }
+app.post(`${API_PATH}/users`, requireRole("admin"), async (req, res) => {
+  try {
+    res.status(201).json({ ok: true, user: await createUser(req.body || {}) });
+  } catch (err) {
+    sendAuthError(res, err);
+  }
+});
+
+// Body: any of { name, role, workspaces, password }
+app.patch(`${API_PATH}/users/:id`, requireRole("admin"), async (req, res) => {
+  try {
+    res.json({ ok: true, user: await updateUser(req.params.id, req.body || {}) });
+  } catch (err) {
+    sendAuthError(res, err);
+  }
+});
+
+app.delete(`${API_PATH}/users/:id`, requireRole("admin"), async (req, res) => {
+  try {
+    await deleteUser(req.params.id);
+    res.json({ ok: true });
+  } catch (err) {
+    sendAuthError(res, err);
+  }
+});
+
+/* ---------- Workspaces ---------- */
+app.get(`${API_PATH}/workspaces`, (req, res) => {
+  res.json({ ok: true, workspaces: listWorkspaces(req.auth.user) });
+});
 
-function parseJsonSafely(text) {
-  const trimmed = String(text || "").trim();
-  if (!trimmed) return null;
+app.put(`${API_PATH}/workspaces/:key`, requireRole("admin"), async (req, res) => {
   try {
-    return JSON.parse(trimmed);
-  } catch {
-    return null;
+    res.json({ ok: true, workspace: await saveWorkspace(req.params.key, req.body || {}) });
+  } catch (err) {
+    sendAuthError(res, err);
   }
+});
+
+app.delete(`${API_PATH}/workspaces/:key`, requireRole("admin"), async (req, res) => {
+  try {
+    await deleteWorkspace(req.params.key);
+    res.json({ ok: true });
+  } catch (err) {
+    sendAuthError(res, err);
+  }
+});
+
+/* ============================
+   LLM Provider Setup
+============================ */
+const provider = createProvider();
+if (provider.name === "mock") {
+  console.warn("⚠️ Using the offline mock LLM provider. Set OPENAI_API_KEY or LLM_PROVIDER for real narratives.");
 }
 
+// Past this, the model call is abandoned and template narratives are returned instead.
+const LLM_TIMEOUT_MS = safeNum(process.env.LLM_TIMEOUT_MS, 90000);
+
 /* ============================
    HARD GUARDS (never let demo fail)
 ============================ */
-function normalizeOutput(out) {
+function normalizeOutput(out, audiences) {
   const normalized = out && typeof out === "object" ? out : {};
 
   normalized.narratives =
@@ -125,14 +276,9 @@ function normalizeOutput(out) {
       ? normalized.narratives
       : {};
 
-  normalized.narratives.clinical =
-    typeof normalized.narratives.clinical === "string" ? normalized.narratives.clinical : "";
-  normalized.narratives.operations =
-    typeof normalized.narratives.operations === "string" ? normalized.narratives.operations : "";
-  normalized.narratives.financial =
-    typeof normalized.narratives.financial === "string" ? normalized.narratives.financial : "";
-  normalized.narratives.executive =
-    typeof normalized.narratives.executive === "string" ? normalized.narratives.executive : "";
+  for (const key of audiences) {
+    normalized.narratives[key] = typeof normalized.narratives[key] === "string" ? normalized.narratives[key] : "";
+  }
 
   normalized.assumptions_and_caveats = Array.isArray(normalized.assumptions_and_caveats)
     ? normalized.assumptions_and_caveats
@@ -150,10 +296,6 @@ function normalizeOutput(out) {
     .filter((x) => typeof x === "string" && x.trim().length > 0)
     .slice(0, 3);
 
-  while (normalized.next_best_actions.length < 3) {
-    normalized.next_best_actions.push("Validate baseline + data provenance.");
-  }
-
   normalized.assumptions_and_caveats = normalized.assumptions_and_caveats
     .filter((x) => typeof x === "string" && x.trim().length > 0)
     .slice(0, 10);
@@ -166,207 +308,838 @@ function normalizeOutput(out) {
 }
 
 /* ============================
-   API: Generate Narratives
+   API: Telemetry Ingestion
 ============================ */
-app.post("/api/suki-value-intelligence/translate", async (req, res) => {
-  const t0 = Date.now();
+// Raw CSV/JSON file as the request body; ?mapping=<json> optional (guessed from headers if omitted).
+app.post(TELEMETRY_PATH, requireRole("csm"), async (req, res) => {
+  try {
+    let mapping = null;
+    if (req.query.mapping) {
+      mapping = parseJsonSafely(req.query.mapping);
+      if (!mapping || typeof mapping !== "object") throw httpError(400, "mapping must be a JSON object.");
+    }
+
+    const profile = resolveMappingProfile(req.query.profile, req.auth.workspace);
 
+    const result = await ingestTelemetry(req, { format: req.query.format, mapping, profile });
+
+    res.json({ ok: true, fileName: req.query.fileName || null, profile: profile?.key || null, ...result });
+  } catch (err) {
+    const status = err?.expose ? err.status : 500;
+    if (status >= 500) console.error("❌ Telemetry ingestion error:", err);
+    res.status(status).json({
+      ok: false,
+      error: "Telemetry ingestion failed",
+      message: err?.message || "Unknown error",
+      details: err?.expose ? err.details : undefined
+    });
+  }
+});
+
+/* ============================
+   API: Mapping Profiles
+============================ */
+function sendMappingProfileError(res, err) {
+  const status = err?.expose ? err.status : 500;
+  if (status >= 500) console.error("❌ Mapping profile error:", err);
+  res.status(status).json({
+    ok: false,
+    error: "Mapping profile update failed",
+    message: err?.message || "Unknown error",
+    details: err?.expose ? err.details : undefined
+  });
+}
+
+app.get("/api/suki-value-intelligence/mapping-profiles", (req, res) => {
+  res.json({ ok: true, profiles: listMappingProfiles(req.auth.workspace) });
+});
+
+app.put("/api/suki-value-intelligence/mapping-profiles/:key", requireRole("csm"), async (req, res) => {
+  try {
+    res.json({ ok: true, profile: await saveMappingProfile(req.params.key, req.body || {}, req.auth.workspace) });
+  } catch (err) {
+    sendMappingProfileError(res, err);
+  }
+});
+
+app.delete("/api/suki-value-intelligence/mapping-profiles/:key", requireRole("csm"), async (req, res) => {
+  try {
+    await deleteMappingProfile(req.params.key, req.auth.workspace);
+    res.json({ ok: true });
+  } catch (err) {
+    sendMappingProfileError(res, err);
+  }
+});
+
+/* ============================
+   API: Scenarios + Sensitivity
+============================ */
+app.post("/api/suki-value-intelligence/scenarios", requireRole("csm"), (req, res) => {
   try {
     const payload = req.body || {};
-    const {
-      customerName,
-      specialty,
-      physicianCount,
-      timeSavedHrsPerDay,
-      patientIncreasePerDay,
-      burnoutImprovement,
-      adoptionRatePct,
-      npsScore,
-      clinicalContext,
-      audiences,
-      clinicalValidationMode,
-      epicMapping,
-      telemetrySummary
-    } = payload;
-
-    if (!customerName || !specialty || !Array.isArray(audiences) || audiences.length === 0) {
-      return res.status(400).json({
-        ok: false,
-        error: "Missing required fields (customerName, specialty, audiences[])."
-      });
+    if (!(safeNum(payload.physicianCount, 0) > 0)) {
+      return res.status(400).json({ ok: false, error: "physicianCount must be > 0." });
+    }
+
+    const analysis = runScenarioAnalysis(
+      {
+        physicianCount: payload.physicianCount,
+        timeSavedHrsPerDay: payload.timeSavedHrsPerDay,
+        patientIncreasePerDay: payload.patientIncreasePerDay,
+        valueMode: payload.valueMode,
+        assumptions: payload.assumptions
+      },
+      payload.telemetrySummary,
+      { scenarios: payload.scenarios, swingPct: payload.swingPct }
+    );
+
+    res.json({ ok: true, ...analysis });
+  } catch (err) {
+    const status = err?.expose ? err.status : 500;
+    if (status >= 500) console.error("❌ Scenario analysis error:", err);
+    res.status(status).json({
+      ok: false,
+      error: "Scenario analysis failed",
+      message: err?.message || "Unknown error"
+    });
+  }
+});
+
+/* ============================
+   API: Monte Carlo Simulation
+============================ */
+// distributions: { [driverKey]: { type: "triangular"|"normal"|"uniform"|"fixed", ... } }
+app.post("/api/suki-value-intelligence/simulate", requireRole("csm"), (req, res) => {
+  try {
+    const payload = req.body || {};
+    if (!(safeNum(payload.physicianCount, 0) > 0)) {
+      return res.status(400).json({ ok: false, error: "physicianCount must be > 0." });
     }
 
-    const keep = new Set(audiences);
+    const simulation = runSimulation(
+      {
+        physicianCount: payload.physicianCount,
+        timeSavedHrsPerDay: payload.timeSavedHrsPerDay,
+        patientIncreasePerDay: payload.patientIncreasePerDay,
+        valueMode: payload.valueMode,
+        assumptions: payload.assumptions
+      },
+      payload.telemetrySummary,
+      { distributions: payload.distributions, iterations: payload.iterations, seed: payload.seed }
+    );
 
-    const financials = computeFinancials({
+    res.json({ ok: true, ...simulation });
+  } catch (err) {
+    const status = err?.expose ? err.status : 500;
+    if (status >= 500) console.error("❌ Simulation error:", err);
+    res.status(status).json({
+      ok: false,
+      error: "Simulation failed",
+      message: err?.message || "Unknown error"
+    });
+  }
+});
+
+/* ============================
+   API: Audience Registry
+============================ */
+function sendAudienceError(res, err) {
+  const status = err?.expose ? err.status : 500;
+  if (status >= 500) console.error("❌ Audience registry error:", err);
+  res.status(status).json({
+    ok: false,
+    error: "Audience registry update failed",
+    message: err?.message || "Unknown error",
+    details: err?.expose ? err.details : undefined
+  });
+}
+
+app.get("/api/suki-value-intelligence/audiences", (req, res) => {
+  res.json({ ok: true, audiences: listAudiences() });
+});
+
+app.put("/api/suki-value-intelligence/audiences/:key", requireRole("admin"), async (req, res) => {
+  try {
+    res.json({ ok: true, audience: await saveAudience(req.params.key, req.body || {}) });
+  } catch (err) {
+    sendAudienceError(res, err);
+  }
+});
+
+app.delete("/api/suki-value-intelligence/audiences/:key", requireRole("admin"), async (req, res) => {
+  try {
+    await deleteAudience(req.params.key);
+    res.json({ ok: true });
+  } catch (err) {
+    sendAudienceError(res, err);
+  }
+});
+
+/* ============================
+   Narrative Generation (shared by JSON + streaming routes)
+============================ */
+const LIST_KEYS = ["assumptions_and_caveats", "clinical_validation_checklist", "next_best_actions"];
+
+// Validates the payload, runs the models and builds the provider request from the
+// default or pinned (payload.promptVersion) prompt template.
+// context: { workspace, createdBy, batchId } recorded on the saved run and audit entry.
+async function prepareTranslation(payload, context = {}) {
+  const {
+    customerName,
+    specialty,
+    physicianCount,
+    timeSavedHrsPerDay,
+    patientIncreasePerDay,
+    burnoutImprovement,
+    adoptionRatePct,
+    npsScore,
+    clinicalContext,
+    audiences,
+    clinicalValidationMode,
+    epicMapping,
+    telemetrySummary,
+    valueMode
+  } = payload;
+
+  if (!customerName || !specialty || !Array.isArray(audiences) || audiences.length === 0) {
+    throw httpError(400, "Missing required fields (customerName, specialty, audiences[]).");
+  }
+  const audienceDefs = resolveAudiences(audiences);
+  const locale = resolveLocale({ locale: payload.locale, currency: payload.currency });
+  const prompt = await getPrompt(payload.promptVersion || null);
+  if (!prompt) {
+    throw payload.promptVersion
+      ? httpError(400, `Unknown prompt version "${payload.promptVersion}".`)
+      : httpError(500, "No prompt templates found.");
+  }
+
+  // Second pass after the browser check: nothing PHI-like reaches the prompt.
+  const phi = scanTranslatePayload(payload);
+  if (!phi.clean) {
+    throw httpError(422, "Possible PHI detected in the request. Remove or redact the flagged fields and try again.", { phi });
+  }
+
+  const keys = audienceDefs.map((a) => a.key);
+
+  const financials = computeFinancials(
+    {
       physicianCount,
       timeSavedHrsPerDay,
       patientIncreasePerDay,
+      valueMode,
       assumptions: payload.assumptions
-    });
+    },
+    telemetrySummary
+  );
+  const modelInput = { physicianCount, timeSavedHrsPerDay, patientIncreasePerDay, valueMode, assumptions: payload.assumptions };
+  const scenarioAnalysis = runScenarioAnalysis(modelInput, telemetrySummary);
+  const simulation = runSimulation(modelInput, telemetrySummary, payload.simulation || {});
+  const src = financials.lineItemSources;
+  const vi = financials.valueInputs;
+  const my = financials.multiYear;
 
-    const system = `
-You are "Suki Value Intelligence" — a Customer Value & Clinical Impact narrative generator for a healthcare ambient documentation AI platform.
-
-Rules:
-- Be specific, executive-ready, and non-hype.
-- Avoid medical claims. Do not claim improved clinical outcomes; focus on workflow/time/revenue-integrity mechanics.
-- Clearly label any estimates as "illustrative unless validated by telemetry."
-- If clinicalValidationMode=true, use conservative language and explicitly recommend validation steps.
-- If telemetrySummary is present, treat it as higher-confidence evidence; still call out limitations.
-- If epicMapping is present, reference it as provenance ("based on mapped fields from Epic exports") without revealing PHI.
-- Output STRICT JSON ONLY that matches the schema provided. No markdown. No extra keys.
-
-Constraints:
-- If an audience is not requested, set that narrative to an empty string.
-- Requested narratives should be 250–450 words with short headers + bullets.
-- assumptions_and_caveats: 5–8 bullets
-- clinical_validation_checklist: 5–8 bullets
-- next_best_actions: EXACTLY 3 bullets
-`;
-
-    const user = `
-INPUT
-Customer:
-- Name: ${customerName}
-- Specialty: ${specialty}
-- Physicians using solution: ${safeNum(physicianCount, 0)}
-- Time saved per physician per day (hours): ${safeNum(timeSavedHrsPerDay, 0)}
-- Additional patient capacity per physician per day: ${safeNum(patientIncreasePerDay, 0)}
-- Burnout improvement: ${burnoutImprovement || "Not provided"}
-- Adoption rate (%): ${safeNum(adoptionRatePct, 0)}
-- NPS: ${safeNum(npsScore, 0)}
-- Clinical context: ${clinicalContext || "None"}
-
-Requested audiences:
-${audiences.join(", ")}
-
-Flags:
-- clinicalValidationMode: ${clinicalValidationMode ? "true" : "false"}
-
-Telemetry summary (optional; may be mock):
-${telemetrySummary ? JSON.stringify(telemetrySummary, null, 2) : "None"}
-
-Epic column mapping (optional):
-${epicMapping ? JSON.stringify(epicMapping, null, 2) : "None"}
-
-ILLUSTRATIVE FINANCIALS (unless validated by telemetry):
-- Fully-loaded physician rate: $${financials.assumptionsUsed.fullyLoadedPhysicianRate}/hr
-- Reimbursement per visit: $${financials.assumptionsUsed.reimbursementPerVisit}
-- Suki cost per physician per month: $${financials.assumptionsUsed.sukiCostPerPhysicianPerMonth}
-- Work days per year: ${financials.assumptionsUsed.workDays}
-
-Calculated (illustrative):
-- Annual labor productivity value: ${money(financials.annualLaborValue)}
-- Annual revenue opportunity: ${money(financials.annualRevenueUplift)}
-- Annual Suki cost: ${money(financials.annualSukiCost)}
-- Annual total value: ${money(financials.annualTotalValue)}
-- ROI multiple: ${financials.roiX ? financials.roiX.toFixed(1) + "x" : "N/A"}
-
-IMPORTANT:
-- Generate only requested audiences; set others to empty string.
-- Return STRICT JSON only.
-`;
-
-    // ✅ JSON Schema for Responses API using text.format (NO response_format)
-    const schema = {
-      type: "object",
-      additionalProperties: false,
-      properties: {
-        narratives: {
-          type: "object",
-          additionalProperties: false,
-          properties: {
-            clinical: { type: "string" },
-            operations: { type: "string" },
-            financial: { type: "string" },
-            executive: { type: "string" }
-          },
-          required: ["clinical", "operations", "financial", "executive"]
-        },
-        assumptions_and_caveats: {
-          type: "array",
-          minItems: 5,
-          maxItems: 10,
-          items: { type: "string" }
-        },
-        clinical_validation_checklist: {
-          type: "array",
-          minItems: 5,
-          maxItems: 10,
-          items: { type: "string" }
-        },
-        next_best_actions: {
-          type: "array",
-          minItems: 3,
-          maxItems: 3,
-          items: { type: "string" }
-        }
-      },
-      required: ["narratives", "assumptions_and_caveats", "clinical_validation_checklist", "next_best_actions"]
-    };
+  const vars = {
+    language: locale.language,
+    locale: locale.locale,
+    currency: locale.currency,
+    customerName,
+    specialty,
+    physicianCount: safeNum(physicianCount, 0),
+    timeSavedHrsPerDay: safeNum(timeSavedHrsPerDay, 0),
+    patientIncreasePerDay: safeNum(patientIncreasePerDay, 0),
+    burnoutImprovement: burnoutImprovement || "Not provided",
+    adoptionRatePct: safeNum(adoptionRatePct, 0),
+    npsScore: safeNum(npsScore, 0),
+    clinicalContext: clinicalContext || "None",
+    audiences: describeAudiences(audienceDefs),
+    clinicalValidationMode: clinicalValidationMode ? "true" : "false",
+    telemetrySummary: telemetrySummary ? JSON.stringify(telemetrySummary, null, 2) : "None",
+    telemetryEvidence: describeTelemetryEvidence(telemetrySummary),
+    epicMapping: epicMapping ? JSON.stringify(epicMapping, null, 2) : "None",
+    valueMode: financials.valueMode,
+    financialInputs: [
+      `- Time saved per physician per day used in model: ${vi.timeSavedHrsPerDay.value.toFixed(2)} hrs [${vi.timeSavedHrsPerDay.source}] — ${vi.timeSavedHrsPerDay.basis}`,
+      `- Additional patients per physician per day used in model: ${vi.patientIncreasePerDay.value.toFixed(2)} [${vi.patientIncreasePerDay.source}] — ${vi.patientIncreasePerDay.basis}`,
+      `- Fully-loaded physician rate: ${money(financials.assumptionsUsed.fullyLoadedPhysicianRate, locale)}/hr`,
+      `- Reimbursement per visit: ${money(financials.assumptionsUsed.reimbursementPerVisit, locale)}`,
+      `- Suki cost per physician per month: ${money(financials.assumptionsUsed.sukiCostPerPhysicianPerMonth, locale)}`,
+      `- Work days per year: ${financials.assumptionsUsed.workDays}`
+    ].join("\n"),
+    calculated: [
+      `- Annual labor productivity value: ${money(financials.annualLaborValue, locale)} [${src.annualLaborValue}]`,
+      `- Annual revenue opportunity: ${money(financials.annualRevenueUplift, locale)} [${src.annualRevenueUplift}]`,
+      `- Annual Suki cost: ${money(financials.annualSukiCost, locale)} [${src.annualSukiCost}]`,
+      `- Annual total value: ${money(financials.annualTotalValue, locale)} [${src.annualTotalValue}]`,
+      `- ROI multiple: ${financials.roiX ? financials.roiX.toFixed(1) + "x" : "N/A"} [${src.roiX}]`
+    ].join("\n"),
+    multiYearHeader: `${my.horizonYears} years; ramp ${financials.assumptionsUsed.rampStartPct}% → 100% over ${financials.assumptionsUsed.rampMonths} months; price escalator ${financials.assumptionsUsed.priceEscalatorPct}%/yr; discount rate ${financials.assumptionsUsed.discountRatePct}%`,
+    multiYear: [
+      `- One-time implementation + training cost (year 0): ${money(my.oneTimeCost, locale)}`,
+      ...my.years.map(
+        (y) =>
+          `- Year ${y.year}: adoption ${y.adoptionPct.toFixed(0)}%, value ${money(y.totalValue, locale)}, subscription ${money(y.subscriptionCost, locale)}, net ${money(y.netCashFlow, locale)}, cumulative ${money(y.cumulativeNetCashFlow, locale)}`
+      ),
+      `- ${my.horizonYears}-year NPV: ${money(my.npv, locale)}`,
+      `- IRR: ${my.irr != null ? (my.irr * 100).toFixed(0) + "%" : "N/A (no meaningful IRR)"}`,
+      `- Payback month: ${my.paybackMonth != null ? my.paybackMonth : `not reached within ${my.horizonYears} years`}`
+    ].join("\n"),
+    simulation: describeSimulation(simulation, locale),
+    swingPct: scenarioAnalysis.sensitivity.swingPct,
+    scenarios: describeScenarioAnalysis(scenarioAnalysis, locale)
+  };
+  const { system, user } = renderPrompt(prompt, vars);
 
-    const response = await client.responses.create({
-      model: MODEL,
-      input: [
-        { role: "system", content: system },
-        { role: "user", content: user }
-      ],
-      text: {
-        format: {
-          type: "json_schema",
-          name: "suki_value_intelligence_output",
-          schema,
-          strict: true
-        }
+  // JSON Schema enforced by the provider (structured output where supported)
+  const schema = {
+    type: "object",
+    additionalProperties: false,
+    properties: {
+      narratives: narrativesSchema(audienceDefs),
+      assumptions_and_caveats: {
+        type: "array",
+        minItems: 5,
+        maxItems: 10,
+        items: { type: "string" }
+      },
+      clinical_validation_checklist: {
+        type: "array",
+        minItems: 5,
+        maxItems: 10,
+        items: { type: "string" }
+      },
+      next_best_actions: {
+        type: "array",
+        minItems: 3,
+        maxItems: 3,
+        items: { type: "string" }
       }
-    });
+    },
+    required: ["narratives", "assumptions_and_caveats", "clinical_validation_checklist", "next_best_actions"]
+  };
 
-    // Parse (robust)
-    let out = response.output_parsed;
-    if (!out) {
-      const txt = getResponseText(response);
-      out = parseJsonSafely(txt);
+  return {
+    payload,
+    customerName,
+    workspace: context.workspace,
+    createdBy: context.createdBy || null,
+    batchId: context.batchId || null,
+    // Every model response as received, for the audit log.
+    rawOutputs: [],
+    audiences: keys,
+    locale,
+    prompt: { version: prompt.version, hash: prompt.hash },
+    financials,
+    scenarioAnalysis,
+    simulation,
+    request: { system, user, schema, name: "suki_value_intelligence_output" }
+  };
+}
+
+// Normalizes model output and keeps only the requested audiences' narratives.
+function cleanOutput(job, out) {
+  // Normalize (never crash demo)
+  out = normalizeOutput(out, job.audiences);
+  out.narratives = Object.fromEntries(job.audiences.map((key) => [key, out.narratives[key]]));
+  return out;
+}
+
+// Checks model output against the computed figures and outcome-claim rules;
+// anything flagged gets one corrective retry. Returns { output, claimCheck }.
+async function reviewClaims(job, out, { signal, onRetry } = {}) {
+  out = cleanOutput(job, out);
+  const warnings = checkClaims(out, job);
+  if (!warnings.length) return { output: out, claimCheck: { retried: false, corrected: 0, warnings } };
+
+  onRetry?.(warnings);
+  let result = { output: out, claimCheck: { retried: true, corrected: 0, warnings } };
+  try {
+    const retry = await provider.generate({ ...job.request, user: correctionPrompt(job.request.user, out, warnings), signal });
+    // A copy: cleanOutput below normalizes the provider's object in place.
+    job.rawOutputs.push({ stage: "correction", output: retry == null ? null : structuredClone(retry) });
+    if (retry) {
+      const fixed = cleanOutput(job, retry);
+      const remaining = checkClaims(fixed, job);
+      // A "fix" that drops a narrative is not a fix.
+      const complete = job.audiences.every((a) => !out.narratives[a] || fixed.narratives[a]);
+      if (complete && remaining.length < warnings.length) {
+        result = { output: fixed, claimCheck: { retried: true, corrected: warnings.length - remaining.length, warnings: remaining } };
+      }
     }
+  } catch (e) {
+    if (!signal?.aborted) console.error("❌ Corrective retry failed:", e);
+  }
+  if (result.claimCheck.warnings.length) {
+    console.warn(`⚠️ Claim check: ${result.claimCheck.warnings.length} warning(s) remain after retry.`);
+  }
+  return result;
+}
 
-    // Normalize (never crash demo)
-    out = normalizeOutput(out);
+// Fills anything missing from templates and saves the run.
+// failure: model error message, if any; claimCheck: from reviewClaims.
+async function finishTranslation(job, out, t0, { failure = null, claimCheck = null } = {}) {
+  out = cleanOutput(job, out);
 
-    // Enforce “only requested audiences populated”
-    out.narratives = {
-      clinical: keep.has("clinical") ? out.narratives.clinical : "",
-      operations: keep.has("operations") ? out.narratives.operations : "",
-      financial: keep.has("financial") ? out.narratives.financial : "",
-      executive: keep.has("executive") ? out.narratives.executive : ""
-    };
+  // Blank cards are worse than honest templates: fill the gaps and say so.
+  const filled = fillFromTemplate(out, job);
+  out = filled.output;
+  const templated = new Set(filled.templateFields);
+  const source = !templated.size
+    ? "model"
+    : job.audiences.every((a) => templated.has(`narratives.${a}`))
+      ? "template"
+      : "mixed";
+  if (templated.size) console.warn(`⚠️ Template fallback (${source}): ${failure || "model output incomplete"}`);
 
-    const latency_ms = Date.now() - t0;
+  const result = {
+    provider: provider.name,
+    model: provider.model,
+    latency_ms: Date.now() - t0,
+    prompt: job.prompt,
+    locale: job.locale,
+    audiences: job.audiences,
+    financials: job.financials,
+    scenarioAnalysis: job.scenarioAnalysis,
+    simulation: job.simulation,
+    source,
+    templateFields: filled.templateFields,
+    claimCheck: claimCheck || { retried: false, corrected: 0, warnings: [] },
+    fallbackReason: templated.size ? failure || "Model returned missing or invalid content." : null,
+    output: out
+  };
 
-    res.json({
-      ok: true,
-      model: MODEL,
-      latency_ms,
-      financials,
-      output: out
+  // History is best-effort: a storage failure must not cost the user their narratives.
+  let run = null;
+  let saved = null;
+  try {
+    saved = await saveRun({
+      customerName: job.customerName,
+      workspace: job.workspace,
+      createdBy: job.createdBy,
+      input: job.payload,
+      ...result
     });
+    run = { id: saved.id, version: saved.version, createdAt: saved.createdAt };
+  } catch (e) {
+    console.error("⚠️ Failed to save run:", e);
+  }
+
+  // Written even when history fails: it is the record of what was generated and from what.
+  // A failed append is reported with the result so nobody shares it believing it is on record.
+  let audit = null;
+  let auditError = null;
+  try {
+    audit = await recordGeneration(job, result, saved);
+  } catch (e) {
+    console.error("⚠️ Failed to write audit entry:", e);
+    auditError = "The audit log could not be written, so this generation has no provenance record.";
+  }
+
+  return { ...result, run, audit, auditError };
+}
+
+// One non-streaming model call plus claim review. Never throws: a failed call
+// comes back as { out: null, failure } for finishTranslation to fill from templates.
+// signal: optional caller abort (batch cancel), combined with the model timeout.
+async function generateOutput(job, signal = null) {
+  const timeout = () => anySignal([signal, AbortSignal.timeout(LLM_TIMEOUT_MS)]);
+
+  let out = null;
+  let failure = null;
+  try {
+    out = await provider.generate({ ...job.request, signal: timeout() });
+    // Copied before reviewClaims normalizes it in place, so the audit log keeps what the provider returned.
+    job.rawOutputs.push({ stage: "initial", output: out == null ? null : structuredClone(out) });
+  } catch (e) {
+    if (!signal?.aborted) console.error("❌ Model call failed:", e);
+    failure = e?.name === "TimeoutError" ? `Model timed out after ${LLM_TIMEOUT_MS} ms.` : e?.message || "Model call failed.";
+    job.rawOutputs.push({ stage: "initial", error: failure });
+  }
+
+  let claimCheck = null;
+  if (out) ({ output: out, claimCheck } = await reviewClaims(job, out, { signal: timeout() }));
+  return { out, failure, claimCheck };
+}
+
+/* ============================
+   API: Generate Narratives
+============================ */
+app.post("/api/suki-value-intelligence/translate", requireRole("csm"), async (req, res) => {
+  const t0 = Date.now();
+
+  try {
+    const job = await prepareTranslation(req.body || {}, runContext(req));
+    const { out, failure, claimCheck } = await generateOutput(job);
+    res.json({ ok: true, ...(await finishTranslation(job, out, t0, { failure, claimCheck })) });
   } catch (err) {
-    console.error("❌ Suki Value Intelligence error:", err);
-    res.status(500).json({
+    const status = err?.expose ? err.status : 500;
+    if (status >= 500) console.error("❌ Suki Value Intelligence error:", err);
+    res.status(status).json({
       ok: false,
       error: "Suki Value Intelligence failed",
-      message: err?.message || "Unknown error"
+      message: err?.message || "Unknown error",
+      details: err?.expose ? err.details : undefined
+    });
+  }
+});
+
+// Same generation as Server-Sent Events:
+//   financials → (narrative | list)* → done, or error.
+// Closing the connection cancels the upstream model call.
+app.post("/api/suki-value-intelligence/translate/stream", requireRole("csm"), async (req, res) => {
+  const t0 = Date.now();
+  const controller = new AbortController();
+  res.on("close", () => {
+    if (!res.writableEnded) controller.abort();
+  });
+
+  let sse = null;
+  try {
+    const job = await prepareTranslation(req.body || {}, runContext(req));
+    sse = openSse(res);
+    sse.send("financials", {
+      provider: provider.name,
+      model: provider.model,
+      prompt: job.prompt,
+      locale: job.locale,
+      audiences: job.audiences,
+      financials: job.financials,
+      scenarioAnalysis: job.scenarioAnalysis,
+      simulation: job.simulation
+    });
+
+    // Fields already streamed are kept if the model fails before finishing.
+    const partial = { narratives: {} };
+    const scanner = createJsonFieldScanner((path, value) => {
+      if (path.length === 2 && path[0] === "narratives" && job.audiences.includes(path[1]) && typeof value === "string") {
+        partial.narratives[path[1]] = value;
+        sse.send("narrative", { audience: path[1], text: value });
+      } else if (path.length === 1 && LIST_KEYS.includes(path[0]) && Array.isArray(value)) {
+        partial[path[0]] = value;
+        sse.send("list", { key: path[0], items: value });
+      }
     });
+
+    let text = "";
+    let failure = null;
+    const timeout = AbortSignal.timeout(LLM_TIMEOUT_MS);
+    try {
+      for await (const delta of provider.stream({ ...job.request, signal: anySignal([controller.signal, timeout]) })) {
+        text += delta;
+        scanner.push(delta);
+      }
+    } catch (e) {
+      if (!controller.signal.aborted && !timeout.aborted) {
+        console.error("❌ Model stream failed:", e);
+        failure = e?.message || "Model stream failed.";
+      }
+    }
+    // Some SDK streams end quietly on abort instead of throwing, so check both signals here.
+    if (controller.signal.aborted) return; // client cancelled; nothing to report to
+    if (timeout.aborted) failure = `Model timed out after ${LLM_TIMEOUT_MS} ms.`;
+    job.rawOutputs.push({ stage: "initial", streamed: true, output: text, ...(failure && { error: failure }) });
+
+    const { output, claimCheck } = await reviewClaims(job, parseModelJson(text) || partial, {
+      signal: anySignal([controller.signal, AbortSignal.timeout(LLM_TIMEOUT_MS)]),
+      onRetry: (warnings) => sse.send("retry", { warnings })
+    });
+    if (controller.signal.aborted) return;
+
+    sse.send("done", { ok: true, ...(await finishTranslation(job, output, t0, { failure, claimCheck })) });
+    sse.end();
+  } catch (err) {
+    if (controller.signal.aborted) return; // client cancelled; nothing to report to
+    const status = err?.expose ? err.status : 500;
+    if (status >= 500) console.error("❌ Suki Value Intelligence stream error:", err);
+    const body = {
+      ok: false,
+      error: "Suki Value Intelligence failed",
+      message: err?.message || "Unknown error",
+      details: err?.expose ? err.details : undefined
+    };
+    if (!sse) return res.status(status).json(body);
+    sse.send("error", body);
+    sse.end();
+  }
+});
+
+/* ============================
+   API: Prompt Templates
+============================ */
+function sendPromptError(res, err) {
+  const status = err?.expose ? err.status : 500;
+  if (status >= 500) console.error("❌ Prompt template error:", err);
+  res.status(status).json({
+    ok: false,
+    error: "Prompt template request failed",
+    message: err?.message || "Unknown error",
+    details: err?.expose ? err.details : undefined
+  });
+}
+
+app.get("/api/suki-value-intelligence/prompts", async (req, res) => {
+  try {
+    res.json({ ok: true, prompts: await listPrompts() });
+  } catch (err) {
+    sendPromptError(res, err);
+  }
+});
+
+app.get("/api/suki-value-intelligence/prompts/:version", async (req, res) => {
+  try {
+    const prompt = await getPrompt(req.params.version);
+    if (!prompt) return res.status(404).json({ ok: false, error: "Prompt version not found." });
+    res.json({ ok: true, prompt });
+  } catch (err) {
+    sendPromptError(res, err);
+  }
+});
+
+// Renders a version against a translate payload without calling the model.
+app.post("/api/suki-value-intelligence/prompts/:version/preview", requireRole("csm"), async (req, res) => {
+  try {
+    const job = await prepareTranslation({ ...(req.body || {}), promptVersion: req.params.version });
+    res.json({ ok: true, prompt: job.prompt, ...job.request });
+  } catch (err) {
+    sendPromptError(res, err);
+  }
+});
+
+/* ============================
+   API: Report History
+============================ */
+// Runs outside the caller's workspace read as not found.
+async function getScopedRun(req, id) {
+  const run = await getRun(id);
+  return run && runWorkspace(run) === req.auth.workspace ? run : null;
+}
+
+app.get("/api/suki-value-intelligence/customers", async (req, res) => {
+  try {
+    res.json({ ok: true, customers: await listCustomers({ workspace: req.auth.workspace }) });
+  } catch (err) {
+    console.error("❌ History error:", err);
+    res.status(500).json({ ok: false, error: "Failed to list customers", message: err?.message || "Unknown error" });
+  }
+});
+
+app.get("/api/suki-value-intelligence/runs", async (req, res) => {
+  try {
+    res.json({ ok: true, runs: await listRuns({ customer: req.query.customer, workspace: req.auth.workspace }) });
+  } catch (err) {
+    console.error("❌ History error:", err);
+    res.status(500).json({ ok: false, error: "Failed to list runs", message: err?.message || "Unknown error" });
+  }
+});
+
+app.get("/api/suki-value-intelligence/runs/:id", async (req, res) => {
+  try {
+    const run = await getScopedRun(req, req.params.id);
+    if (!run) return res.status(404).json({ ok: false, error: "Run not found." });
+    res.json({ ok: true, run });
+  } catch (err) {
+    console.error("❌ History error:", err);
+    res.status(500).json({ ok: false, error: "Failed to load run", message: err?.message || "Unknown error" });
+  }
+});
+
+// Diff from :id (older) to :otherId (newer)
+app.get("/api/suki-value-intelligence/runs/:id/diff/:otherId", async (req, res) => {
+  try {
+    const [a, b] = await Promise.all([getScopedRun(req, req.params.id), getScopedRun(req, req.params.otherId)]);
+    if (!a || !b) return res.status(404).json({ ok: false, error: "Run not found." });
+    res.json({ ok: true, diff: diffRuns(a, b) });
+  } catch (err) {
+    console.error("❌ History error:", err);
+    res.status(500).json({ ok: false, error: "Failed to diff runs", message: err?.message || "Unknown error" });
+  }
+});
+
+// The audit entry the run was generated under: inputs, assumptions, model, prompt and raw output.
+app.get("/api/suki-value-intelligence/runs/:id/provenance", async (req, res) => {
+  try {
+    const run = await getScopedRun(req, req.params.id);
+    if (!run) return res.status(404).json({ ok: false, error: "Run not found." });
+    const provenance = await findProvenance(run.id);
+    if (!provenance) {
+      return res.status(404).json({ ok: false, error: "No audit entry for this run.", message: "It was generated before the audit log was kept." });
+    }
+    res.json({ ok: true, provenance });
+  } catch (err) {
+    console.error("❌ Audit log error:", err);
+    res.status(500).json({ ok: false, error: "Failed to load provenance", message: err?.message || "Unknown error" });
+  }
+});
+
+/* ============================
+   API: Report Exports
+============================ */
+function sendExport(res, file) {
+  res.setHeader("Content-Type", file.contentType);
+  res.setHeader("Content-Disposition", `attachment; filename="${file.filename}"`);
+  res.send(file.buffer);
+}
+
+function sendExportError(res, err) {
+  const status = err?.expose ? err.status : 500;
+  if (status >= 500) console.error("❌ Export error:", err);
+  res.status(status).json({ ok: false, error: "Export failed", message: err?.message || "Unknown error" });
+}
+
+app.get("/api/suki-value-intelligence/runs/:id/export/:format", async (req, res) => {
+  try {
+    const run = await getScopedRun(req, req.params.id);
+    if (!run) return res.status(404).json({ ok: false, error: "Run not found." });
+    // Stored runs carry their audit reference into the report header.
+    sendExport(res, await exportRun({ ...run, provenance: await findProvenance(run.id) }, req.params.format));
+  } catch (err) {
+    sendExportError(res, err);
+  }
+});
+
+// Body: a just-generated translate response (plus customerName) that was not stored.
+// A posted body is not evidence of anything, so it never gets an audit reference.
+app.post("/api/suki-value-intelligence/export/:format", requireRole("csm"), async (req, res) => {
+  try {
+    const { provenance, ...run } = req.body || {};
+    sendExport(res, await exportRun(validatePostedRun(run), req.params.format));
+  } catch (err) {
+    sendExportError(res, err);
+  }
+});
+
+/* ============================
+   API: Portfolio Batches
+============================ */
+// Each account goes through the same pipeline as /translate. Model failures are
+// retried by the runner; only the last attempt settles for template narratives.
+const batches = createBatchRunner({
+  concurrency: clamp(safeNum(process.env.BATCH_CONCURRENCY, 3), 1, 10),
+  retries: clamp(safeNum(process.env.BATCH_RETRIES, 2), 0, 5),
+  async runRow(payload, { signal, final, workspace, createdBy, batchId }) {
+    const t0 = Date.now();
+    const job = await prepareTranslation(payload, { workspace, createdBy, batchId });
+    const { out, failure, claimCheck } = await generateOutput(job, signal);
+    if (signal.aborted) throw new Error("Cancelled.");
+    if (failure && !final) throw new Error(failure);
+    return finishTranslation(job, out, t0, { failure, claimCheck });
+  }
+});
+
+// Batches saved before workspaces existed belong to "default"; others read as not found.
+async function getScopedBatch(req, id) {
+  const batch = await batches.get(id);
+  return batch && (batch.workspace || "default") === req.auth.workspace ? batch : null;
+}
+
+function sendBatchError(res, err) {
+  const status = err?.expose ? err.status : 500;
+  if (status >= 500) console.error("❌ Batch error:", err);
+  res.status(status).json({
+    ok: false,
+    error: "Portfolio batch failed",
+    message: err?.message || "Unknown error",
+    details: err?.expose ? err.details : undefined
+  });
+}
+
+// Body: { csv: "..." } or { rows: [...] }, plus optional { name, defaults } where
+// defaults is a translate payload applied to every row (row columns win).
+app.post("/api/suki-value-intelligence/batches", requireRole("csm"), async (req, res) => {
+  try {
+    const body = req.body || {};
+    const batch = await batches.create(parseBatchInput(body), { name: body.name, ...runContext(req) });
+    res.status(202).json({ ok: true, batch });
+  } catch (err) {
+    sendBatchError(res, err);
+  }
+});
+
+app.get("/api/suki-value-intelligence/batches", async (req, res) => {
+  try {
+    res.json({ ok: true, batches: await batches.list({ workspace: req.auth.workspace }) });
+  } catch (err) {
+    sendBatchError(res, err);
+  }
+});
+
+app.get("/api/suki-value-intelligence/batches/:id", async (req, res) => {
+  try {
+    const batch = await getScopedBatch(req, req.params.id);
+    if (!batch) return res.status(404).json({ ok: false, error: "Batch not found." });
+    res.json({ ok: true, batch });
+  } catch (err) {
+    sendBatchError(res, err);
+  }
+});
+
+app.post("/api/suki-value-intelligence/batches/:id/cancel", requireRole("csm"), async (req, res) => {
+  try {
+    const batch = (await getScopedBatch(req, req.params.id)) && (await batches.cancel(req.params.id));
+    if (!batch) return res.status(404).json({ ok: false, error: "Batch not found." });
+    res.json({ ok: true, batch });
+  } catch (err) {
+    sendBatchError(res, err);
+  }
+});
+
+// Zip of the finished accounts' reports plus accounts.csv and rollup.json.
+app.get("/api/suki-value-intelligence/batches/:id/export/:format", async (req, res) => {
+  try {
+    const batch = await getScopedBatch(req, req.params.id);
+    if (!batch) return res.status(404).json({ ok: false, error: "Batch not found." });
+    sendExport(res, await bundleBatch(batch, req.params.format));
+  } catch (err) {
+    sendExportError(res, err);
+  }
+});
+
+/* ============================
+   API: Audit Log (admin)
+============================ */
+// Filters (query): workspace, user, customer, from, to (ISO dates). Without a
+// workspace filter the whole log is covered.
+const auditFilter = (q) => ({ workspace: q.workspace, user: q.user, customer: q.customer, from: q.from, to: q.to, limit: q.limit });
+
+function sendAuditError(res, err) {
+  const status = err?.expose ? err.status : 500;
+  if (status >= 500) console.error("❌ Audit log error:", err);
+  res.status(status).json({ ok: false, error: "Audit log request failed", message: err?.message || "Unknown error" });
+}
+
+app.get("/api/suki-value-intelligence/audit", requireRole("admin"), async (req, res) => {
+  try {
+    res.json({ ok: true, ...(await listAuditEntries(auditFilter(req.query))) });
+  } catch (err) {
+    sendAuditError(res, err);
+  }
+});
+
+app.get("/api/suki-value-intelligence/audit/verify", requireRole("admin"), async (req, res) => {
+  try {
+    res.json({ ok: true, verification: await verifyAuditLog() });
+  } catch (err) {
+    sendAuditError(res, err);
+  }
+});
+
+// jsonl: full entries as stored; csv: one summary row per generation.
+app.get("/api/suki-value-intelligence/audit/export/:format", requireRole("admin"), async (req, res) => {
+  try {
+    sendExport(res, await exportAuditLog(req.params.format, auditFilter(req.query)));
+  } catch (err) {
+    sendAuditError(res, err);
   }
 });
 
 /* ============================
    Health Check
 ============================ */
-app.get("/health", (req, res) => res.json({ ok: true }));
+app.get("/health", (req, res) => res.json({ ok: true, provider: provider.name, model: provider.model }));
 
 /* ============================
    Start Server
 ============================ */
+await bootstrapAuth();
 app.listen(PORT, () => {
   console.log(`🚀 Suki Value Intelligence running at http://localhost:${PORT}`);
 });
\ No newline at end of file
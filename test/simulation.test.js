@@ -0,0 +1,33 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { runSimulation } from "../lib/simulation.js";
+
+// ROI sits around 1x here, so P(ROI > 1x) is neither 0 nor 1 and a changed draw shows.
+const INPUT = { physicianCount: 10, timeSavedHrsPerDay: 0.1, patientIncreasePerDay: 0, assumptions: {} };
+
+const summary = (sim) => ({
+  roiX: { p10: sim.roiX.p10, p50: sim.roiX.p50, p90: sim.roiX.p90 },
+  annualTotalValue: { p10: sim.annualTotalValue.p10, p50: sim.annualTotalValue.p50, p90: sim.annualTotalValue.p90 },
+  probRoiAbove1: sim.probRoiAbove1
+});
+
+test("a fixed seed reproduces the same distribution", () => {
+  const a = runSimulation(INPUT, null, { seed: 42, iterations: 2000 });
+  const b = runSimulation(INPUT, null, { seed: 42, iterations: 2000 });
+  assert.equal(a.seed, 42);
+  assert.deepEqual(summary(a), summary(b));
+  assert.ok(a.probRoiAbove1 > 0 && a.probRoiAbove1 < 1);
+});
+
+test("a different seed draws a different distribution", () => {
+  const a = runSimulation(INPUT, null, { seed: 42, iterations: 2000 });
+  const b = runSimulation(INPUT, null, { seed: 43, iterations: 2000 });
+  assert.notDeepEqual(summary(a), summary(b));
+});
+
+test("without a seed the default one is used, so runs still repeat", () => {
+  const a = runSimulation(INPUT, null, { iterations: 500 });
+  const b = runSimulation(INPUT, null, { iterations: 500 });
+  assert.equal(a.seed, b.seed);
+  assert.deepEqual(summary(a), summary(b));
+});
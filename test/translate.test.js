@@ -0,0 +1,114 @@
+import assert from "node:assert/strict";
+import { spawn } from "node:child_process";
+import fs from "node:fs/promises";
+import net from "node:net";
+import os from "node:os";
+import path from "node:path";
+import { after, before, test } from "node:test";
+import { fileURLToPath } from "node:url";
+
+// Runs the real server against the offline mock provider: no network, no API key.
+const ROOT = path.dirname(path.dirname(fileURLToPath(import.meta.url)));
+const API = "/api/suki-value-intelligence";
+const ADMIN = { username: "tester", password: "test-password-1" };
+const LIST_KEYS = ["assumptions_and_caveats", "clinical_validation_checklist", "next_best_actions"];
+
+let server;
+let dataDir;
+let base;
+let cookie;
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer().once("error", reject);
+    probe.listen(0, () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+function startServer(env) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, ["server.js"], { cwd: ROOT, env, stdio: ["ignore", "pipe", "pipe"] });
+    let log = "";
+    const onData = (chunk) => {
+      log += chunk;
+      if (log.includes("running at")) resolve(child);
+    };
+    child.stdout.on("data", onData);
+    child.stderr.on("data", onData);
+    child.once("exit", (code) => reject(new Error(`Server exited (${code}) before listening:\n${log}`)));
+  });
+}
+
+async function api(method, url, body) {
+  const res = await fetch(base + API + url, {
+    method,
+    headers: { "Content-Type": "application/json", ...(cookie && { Cookie: cookie }) },
+    body: body && JSON.stringify(body)
+  });
+  return { status: res.status, headers: res.headers, json: await res.json() };
+}
+
+before(async () => {
+  dataDir = await fs.mkdtemp(path.join(os.tmpdir(), "svi-test-"));
+  const port = await freePort();
+  base = `http://127.0.0.1:${port}`;
+  const { OPENAI_API_KEY, ...env } = process.env;
+  server = await startServer({
+    ...env,
+    LLM_PROVIDER: "mock",
+    DATA_DIR: dataDir,
+    PORT: String(port),
+    ADMIN_USERNAME: ADMIN.username,
+    ADMIN_PASSWORD: ADMIN.password
+  });
+  const login = await api("POST", "/auth/login", ADMIN);
+  assert.equal(login.status, 200);
+  cookie = login.headers.get("set-cookie").split(";")[0];
+});
+
+after(async () => {
+  server?.kill();
+  if (dataDir) await fs.rm(dataDir, { recursive: true, force: true });
+});
+
+test("translate with the mock provider returns schema-valid model output", async () => {
+  const audiences = (await api("GET", "/audiences")).json.audiences.map((a) => a.key);
+  const { status, json } = await api("POST", "/translate", {
+    customerName: "Acme Health",
+    specialty: "Cardiology",
+    audiences,
+    physicianCount: 25,
+    timeSavedHrsPerDay: 1,
+    patientIncreasePerDay: 1
+  });
+
+  assert.equal(status, 200, json.message);
+  assert.equal(json.provider, "mock");
+  // "model" means normalizeOutput kept every field: nothing was filled from templates.
+  assert.equal(json.source, "model");
+  assert.deepEqual(json.templateFields, []);
+  assert.equal(json.fallbackReason, null);
+
+  for (const key of audiences) {
+    assert.equal(typeof json.output.narratives[key], "string");
+    assert.ok(json.output.narratives[key].includes("Acme Health"), `narrative ${key} names the customer`);
+  }
+  for (const key of LIST_KEYS) {
+    assert.ok(Array.isArray(json.output[key]) && json.output[key].length > 0, `${key} is a non-empty list`);
+    assert.ok(json.output[key].every((item) => typeof item === "string" && item.trim()));
+  }
+  assert.ok(Number.isFinite(json.financials.roiX));
+  assert.ok(json.run?.id, "the run is saved");
+  assert.ok(json.audit?.hash, "the generation is on the audit log");
+});
+
+test("the mock provider is deterministic", async () => {
+  const payload = { customerName: "Beta Clinic", specialty: "Primary Care", audiences: ["clinical"], physicianCount: 5, timeSavedHrsPerDay: 0.5 };
+  const a = await api("POST", "/translate", payload);
+  const b = await api("POST", "/translate", payload);
+  assert.equal(a.status, 200, a.json.message);
+  assert.deepEqual(a.json.output, b.json.output);
+});